@@ -4,9 +4,10 @@ const SpotifyWebApi = require("spotify-web-api-node");
 const crypto = require("crypto");
 const Logger = require("../utils/logger");
 const TokenManager = require("./token-manager");
+const { SpotifyApiClient } = require("../spotify/api-client");
 const { SpotifyAuthError } = require("../utils/errors");
 
-dotenv.config();
+dotenv.config({ quiet: true });
 
 /**
  * Spotify OAuth authentication handler with persistent token management
@@ -34,6 +35,11 @@ class SpotifyAuth {
       redirectUri: this.redirectUri,
     });
 
+    // What the rest of the app calls: shares rate limiting, retries and metrics
+    this.apiClient = new SpotifyApiClient(this.spotifyApi, {
+      refreshTokens: () => this.tokenManager.refreshTokens(this.spotifyApi),
+    });
+
     this.tokenManager = new TokenManager();
     this.server = null;
     this.authPromise = null;
@@ -68,7 +74,7 @@ class SpotifyAuth {
       // Serve a simple success page
       app.get("/callback", async (req, res) => {
         try {
-          const { code, error, state } = req.query;
+          const { code, error } = req.query;
 
           if (error) {
             res.send(`
@@ -240,9 +246,6 @@ class SpotifyAuth {
    * @returns {Promise<Object>} Tokens from OAuth flow
    */
   async performOAuthFlow() {
-    // Generate PKCE parameters
-    const { codeVerifier, codeChallenge } = this.generatePKCE();
-
     // Define the scopes we need
     const scopes = [
       "playlist-read-private",
@@ -305,10 +308,10 @@ class SpotifyAuth {
 
   /**
    * Get the configured Spotify API client
-   * @returns {SpotifyWebApi} The Spotify API client
+   * @returns {SpotifyApiClient} The Spotify API client (same methods as SpotifyWebApi)
    */
   getSpotifyApi() {
-    return this.spotifyApi;
+    return this.apiClient;
   }
 }
 
@@ -1,8 +1,8 @@
 const fs = require("fs").promises;
 const path = require("path");
-const os = require("os");
 const Logger = require("../utils/logger");
 const { SpotifyAuthError } = require("../utils/errors");
+const { DATA_DIR } = require("../utils/config");
 
 /**
  * Token management system for storing and refreshing Spotify tokens
@@ -10,8 +10,10 @@ const { SpotifyAuthError } = require("../utils/errors");
 class TokenManager {
   constructor() {
     // Store tokens in user's home directory (hidden folder)
-    this.tokenDir = path.join(os.homedir(), ".apple-music-spotify-sync");
+    this.tokenDir = DATA_DIR;
     this.tokenFile = path.join(this.tokenDir, "spotify-tokens.json");
+    // Refresh in progress, shared by every caller that needs a new token meanwhile
+    this.refreshing = null;
   }
 
   /**
@@ -93,11 +95,21 @@ class TokenManager {
   }
 
   /**
-   * Refresh the access token using the refresh token
+   * Refresh the access token using the refresh token, save it and set it on the client.
+   * Concurrent calls share one refresh request.
    * @param {SpotifyWebApi} spotifyApi - The Spotify API client
-   * @returns {Object} New token data
+   * @returns {Promise<Object>} New token data
    */
-  async refreshTokens(spotifyApi) {
+  refreshTokens(spotifyApi) {
+    if (!this.refreshing) {
+      this.refreshing = this.requestNewTokens(spotifyApi).finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async requestNewTokens(spotifyApi) {
     try {
       const tokens = await this.loadTokens();
 
@@ -122,6 +134,8 @@ class TokenManager {
       }
 
       await this.saveTokens(newTokens);
+      spotifyApi.setAccessToken(newTokens.accessToken);
+      spotifyApi.setRefreshToken(newTokens.refreshToken);
       Logger.success("Access token refreshed successfully");
 
       return newTokens;
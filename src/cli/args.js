@@ -0,0 +1,65 @@
+/**
+ * Minimal command-line argument parser.
+ * Supports positionals, boolean flags (--dry-run), valued flags (--key value / --key=value)
+ * and negated booleans (--no-review).
+ *
+ * @param {Array<string>} argv - Arguments without the node/script prefix
+ * @param {Object} [spec]
+ * @param {Array<string>} [spec.boolean] - Flags that never take a value
+ * @param {Array<string>} [spec.multiple] - Flags that may repeat; their values are collected in an array
+ * @returns {Object} { positionals, flags } with flag names converted to camelCase
+ */
+function parseArgs(argv, spec = {}) {
+  const booleanFlags = new Set(spec.boolean || []);
+  const multipleFlags = new Set(spec.multiple || []);
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith("--")) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const eqIndex = arg.indexOf("=");
+    let name = eqIndex === -1 ? arg.slice(2) : arg.slice(2, eqIndex);
+    let value;
+
+    if (eqIndex !== -1) {
+      value = arg.slice(eqIndex + 1);
+    } else if (name.startsWith("no-") && booleanFlags.has(name.slice(3))) {
+      name = name.slice(3);
+      value = false;
+    } else if (booleanFlags.has(name)) {
+      value = true;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+      value = argv[++i];
+    } else {
+      value = true;
+    }
+
+    const key = toCamelCase(name);
+    if (multipleFlags.has(name)) {
+      flags[key] = [...(flags[key] || []), value];
+    } else {
+      flags[key] = value;
+    }
+  }
+
+  return { positionals, flags };
+}
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+}
+
+module.exports = {
+  parseArgs,
+};
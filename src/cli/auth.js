@@ -0,0 +1,66 @@
+const Logger = require("../utils/logger");
+const SpotifyAuth = require("../auth/spotify-auth");
+const { UsageError } = require("../utils/errors");
+const { EXIT_CODES } = require("./exit-codes");
+
+const ACTIONS = {
+  async login(auth, flags) {
+    if (!flags.force && (await auth.isAuthenticated())) {
+      Logger.info("Already logged in (use --force to log in again)");
+      return EXIT_CODES.OK;
+    }
+    await auth.authenticate(Boolean(flags.force));
+    const me = await auth.getSpotifyApi().getMe();
+    Logger.success(`Logged in as ${me.body.display_name || me.body.id}`);
+    return EXIT_CODES.OK;
+  },
+
+  async logout(auth) {
+    await auth.logout();
+    return EXIT_CODES.OK;
+  },
+
+  async status(auth) {
+    const tokens = await auth.tokenManager.loadTokens();
+    if (!tokens) {
+      Logger.warning("Not logged in. Run `auth login` to connect Spotify.");
+      return EXIT_CODES.AUTH;
+    }
+    if (await auth.isAuthenticated()) {
+      Logger.success(
+        `Logged in; access token valid until ${new Date(tokens.expiresAt).toLocaleString()}`,
+      );
+    } else {
+      Logger.warning(
+        "Access token expired; it will be refreshed on the next sync",
+      );
+    }
+    Logger.info(`Tokens stored in ${auth.tokenManager.getTokenFilePath()}`);
+    return EXIT_CODES.OK;
+  },
+};
+
+/**
+ * `auth login|logout|status` command
+ */
+async function run({ positionals, flags }) {
+  const action = ACTIONS[positionals[0]];
+  if (!action) {
+    throw new UsageError(
+      positionals[0]
+        ? `Unknown auth action "${positionals[0]}"`
+        : "Missing auth action",
+      "auth",
+    );
+  }
+  return action(new SpotifyAuth(), flags);
+}
+
+module.exports = {
+  name: "auth",
+  summary: "Log in to Spotify, log out or show the login status",
+  usage: "auth <login|logout|status> [--force]",
+  options: [["--force", "With login, start a new login even if tokens are valid"]],
+  boolean: ["force"],
+  run,
+};
@@ -0,0 +1,180 @@
+const fs = require("fs").promises;
+const path = require("path");
+const chalk = require("chalk");
+const Logger = require("../utils/logger");
+const playlistUtils = require("../spotify/playlist");
+const { runSync, createSession } = require("./sync");
+const { parseReportFormats } = require("../utils/sync-report");
+const { parseColumnMap } = require("../parsers/csv");
+const { parseLocaleOption } = require("../parsers/locales");
+const { parseWhere } = require("../data/song-filter");
+const { parseSortOption, parseTopOption } = require("../data/song-sort");
+const { UsageError, SpotifyAuthError } = require("../utils/errors");
+const { CONFIG_OPTIONS } = require("./config");
+const { EXIT_CODES, exitCodeFor } = require("./exit-codes");
+
+// File types picked up when a directory is given
+const EXPORT_EXTENSIONS = [".txt", ".tsv", ".m3u", ".m3u8", ".csv"];
+
+/**
+ * Expand the file and directory arguments into a sorted, de-duplicated list of exports
+ */
+async function collectExportFiles(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    let stat;
+    try {
+      stat = await fs.stat(input);
+    } catch (error) {
+      throw new UsageError(`No such file or directory: ${input}`, "batch");
+    }
+    if (!stat.isDirectory()) {
+      files.push(path.resolve(input));
+      continue;
+    }
+    const entries = await fs.readdir(input, { withFileTypes: true });
+    entries
+      .filter(
+        (entry) =>
+          entry.isFile() &&
+          EXPORT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()),
+      )
+      .map((entry) => path.resolve(input, entry.name))
+      .sort()
+      .forEach((file) => files.push(file));
+  }
+  return [...new Set(files)];
+}
+
+function printBatchSummary(outcomes, dryRun) {
+  const totals = { added: 0, duplicate: 0, unmatched: 0, error: 0 };
+  Logger.info(chalk.bold(`\n📚 Batch summary (${outcomes.length} files):`));
+  outcomes.forEach(({ file, result, error }) => {
+    const name = path.basename(file);
+    if (error) {
+      Logger.error(`  ${name}: failed (${error.message})`);
+      return;
+    }
+    if (result.status === "cancelled") {
+      Logger.warning(`  ${name}: cancelled`);
+      return;
+    }
+    const { summary } = result;
+    Object.keys(totals).forEach((key) => {
+      totals[key] += summary[key];
+    });
+    Logger.info(
+      `  ${name} → "${result.playlist.name}": ${summary.added} ${dryRun ? "to add" : "added"}, ${summary.duplicate} duplicates, ${summary.unmatched} unmatched, ${summary.error} errors`,
+    );
+  });
+
+  const failed = outcomes.filter(({ error }) => error).length;
+  Logger.info(
+    `\nTotal: ${totals.added} ${dryRun ? "to add" : "added"}, ${totals.duplicate} duplicates, ${totals.unmatched} unmatched, ${totals.error} errors` +
+      (failed > 0 ? `; ${failed} files failed` : ""),
+  );
+}
+
+/**
+ * `batch <file|dir>...` command: sync several exports with one Spotify session
+ */
+async function run({ positionals, flags }) {
+  if (positionals.length === 0) {
+    throw new UsageError("Missing export files or directories", "batch");
+  }
+  const files = await collectExportFiles(positionals);
+  if (files.length === 0) {
+    throw new UsageError(
+      `No exports (${EXPORT_EXTENSIONS.join(", ")}) found in ${positionals.join(", ")}`,
+      "batch",
+    );
+  }
+
+  const dryRun = Boolean(flags.dryRun);
+  const columnMap = parseColumnMap(flags.map, "batch");
+  const locale = parseLocaleOption(flags.locale, "batch");
+  const where = parseWhere(flags.where, "batch");
+  const sortBy = parseSortOption(flags.sortBy, "batch");
+  const top = parseTopOption(flags.top, "batch");
+  const reportFormats = parseReportFormats(flags.reportFormat, "batch");
+  Logger.info(`Batch sync of ${files.length} exports`);
+
+  // One login, one playlist listing and one search cache for the whole queue
+  const session = await createSession();
+  session.playlists = await playlistUtils.fetchAllUserPlaylists(
+    session.spotifyApi,
+  );
+
+  const outcomes = [];
+  for (const [i, file] of files.entries()) {
+    Logger.info(
+      chalk.bold(`\n[${i + 1}/${files.length}] ${path.basename(file)}`),
+    );
+    try {
+      const result = await runSync(file, {
+        session,
+        nameAfterExport: true,
+        dryRun,
+        mirror: Boolean(flags.mirror),
+        keepManual: Boolean(flags.keepManual),
+        review: flags.review !== false,
+        stream: Boolean(flags.stream),
+        confirm: false,
+        reportFormats,
+        columnMap,
+        locale,
+        where,
+        sortBy,
+        top,
+      });
+      outcomes.push({ file, result });
+      if (result.interrupted) {
+        Logger.warning(`Batch stopped; ${files.length - i - 1} exports were not synced`);
+        break;
+      }
+    } catch (error) {
+      // Keep going; one bad export should not stop the queue
+      Logger.error(`Sync of ${path.basename(file)} failed: ${error.message}`);
+      outcomes.push({ file, error });
+      // ...but without a working login the rest would fail the same way
+      if (error instanceof SpotifyAuthError) {
+        Logger.warning(`Batch stopped; ${files.length - i - 1} exports were not synced`);
+        break;
+      }
+    }
+  }
+
+  printBatchSummary(outcomes, dryRun);
+
+  if (outcomes.some(({ result }) => result && result.interrupted)) {
+    return EXIT_CODES.CANCELLED;
+  }
+  const firstFailure =
+    outcomes.find(({ error }) => error instanceof SpotifyAuthError) ||
+    outcomes.find(({ error }) => error);
+  return firstFailure ? exitCodeFor(firstFailure.error) : EXIT_CODES.OK;
+}
+
+module.exports = {
+  name: "batch",
+  summary: "Sync several exports (files or directories) into playlists named after them",
+  usage: "batch <file|directory>... [options]",
+  options: [
+    ["--dry-run", "Print the sync plans without changing Spotify or the cache"],
+    ["--mirror", "Remove tracks missing from each export and restore its order"],
+    ["--keep-manual", "With --mirror, keep tracks added on the Spotify side"],
+    ["--no-review", "Do not offer uncertain matches for manual review"],
+    ["--stream", "Read large exports incrementally and start searching before parsing ends"],
+    ["--report-format <list>", "Report formats to write (default: reports.formats setting)"],
+    ["--map <field=Column,...>", "CSV column mapping, e.g. title=Track,artist=Performer"],
+    ["--locale <code>", "Export language: auto (default), en, de, fr, es or ja"],
+    ["--where <expr>", 'Only sync matching songs, e.g. "genre=Rock and year<2000" (repeatable)'],
+    ["--sort-by <field>", "Place new tracks in order of plays, rating, dateAdded, lastPlayed or year (add :asc or :desc); --mirror reorders the whole playlist"],
+    ["--top <n>", "Only sync the first n songs of each export by --sort-by that can be synced (default: most played)"],
+    ...CONFIG_OPTIONS,
+  ],
+  boolean: ["dry-run", "mirror", "keep-manual", "review", "stream", "public"],
+  multiple: ["where"],
+  run,
+  collectExportFiles,
+};
@@ -0,0 +1,56 @@
+const Logger = require("../utils/logger");
+const { clearSearchCache, getSearchCacheStats } = require("../utils/cache");
+const { loadDecisions, clearDecisions } = require("../utils/decisions");
+const { UsageError } = require("../utils/errors");
+const { EXIT_CODES } = require("./exit-codes");
+
+const ACTIONS = {
+  async stats() {
+    const stats = await getSearchCacheStats();
+    const decisions = await loadDecisions();
+    Logger.info(`\n📦 Search cache: ${stats.file}`);
+    Logger.info(`  • Entries: ${stats.entries} (${(stats.sizeBytes / 1024).toFixed(1)} KB)`);
+    Logger.info(`  • Matched: ${stats.matched}`);
+    Logger.info(`  • Not found: ${stats.unmatched}`);
+    Logger.info(`  • Failed searches: ${stats.errors}`);
+    if (stats.oldest) {
+      Logger.info(`  • Oldest entry: ${new Date(stats.oldest).toLocaleString()}`);
+      Logger.info(`  • Newest entry: ${new Date(stats.newest).toLocaleString()}`);
+    }
+    Logger.info(`  • Saved match decisions: ${Object.keys(decisions).length}`);
+    return EXIT_CODES.OK;
+  },
+
+  async clear(flags) {
+    await clearSearchCache();
+    if (flags.decisions) {
+      await clearDecisions();
+    }
+    return EXIT_CODES.OK;
+  },
+};
+
+/**
+ * `cache stats|clear` command
+ */
+async function run({ positionals, flags }) {
+  const action = ACTIONS[positionals[0]];
+  if (!action) {
+    throw new UsageError(
+      positionals[0]
+        ? `Unknown cache action "${positionals[0]}"`
+        : "Missing cache action",
+      "cache",
+    );
+  }
+  return action(flags);
+}
+
+module.exports = {
+  name: "cache",
+  summary: "Show search cache statistics or clear the cache",
+  usage: "cache <stats|clear> [--decisions]",
+  options: [["--decisions", "With clear, also forget saved manual match decisions"]],
+  boolean: ["decisions"],
+  run,
+};
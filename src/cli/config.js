@@ -0,0 +1,121 @@
+const Logger = require("../utils/logger");
+const config = require("../utils/config");
+const { UsageError } = require("../utils/errors");
+const { EXIT_CODES } = require("./exit-codes");
+
+// Flags that override a config setting for one run: [flag, description, key path]
+const CONFIG_FLAGS = [
+  ["--config <file>", "Read settings from this config file as well", null],
+  ["--min-confidence <n>", "Minimum confidence for a search match", "search.minConfidence"],
+  ["--review-threshold <n>", "Review matches below this confidence", "review.threshold"],
+  ["--max-concurrency <n>", "Most Spotify searches in flight at once", "search.maxConcurrency"],
+  ["--min-quality <n>", "Skip songs below this validation score", "validation.minQualityScore"],
+  ["--podcasts <mode>", "Podcast episodes: skip (default) or search Spotify episodes", "search.podcasts"],
+  ["--public", "Create new playlists as public (--no-public for private)", "playlist.public"],
+];
+
+/**
+ * Help entries for commands that accept the config flags
+ */
+const CONFIG_OPTIONS = CONFIG_FLAGS.map(([flag, description]) => [flag, description]);
+
+function toFlagName(flag) {
+  return flag
+    .split(" ")[0]
+    .slice(2)
+    .replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+}
+
+/**
+ * Load the configuration with the config flags of this run applied on top
+ * @param {Object} flags - Parsed flags of the command
+ * @param {string} [commandName] - For usage errors
+ */
+function applyConfigFlags(flags, commandName) {
+  const overrides = {};
+  CONFIG_FLAGS.forEach(([flag, , keyPath]) => {
+    const name = toFlagName(flag);
+    if (!keyPath || flags[name] === undefined) return;
+    const value = flags[name];
+    const flagName = flag.split(" ")[0];
+    const defaultValue = keyPath
+      .split(".")
+      .reduce((node, key) => node[key], config.DEFAULT_CONFIG);
+    const choices = config.CONFIG_CHOICES[keyPath];
+    if (typeof defaultValue === "number") {
+      // Number("") is 0, so empty values are caught before converting
+      const number = typeof value === "string" && value.trim() ? Number(value) : NaN;
+      if (!Number.isFinite(number)) {
+        throw new UsageError(`${flagName} expects a number`, commandName);
+      }
+      overrides[keyPath] = number;
+    } else if (choices) {
+      if (!choices.includes(value)) {
+        throw new UsageError(
+          `${flagName} expects one of: ${choices.join(", ")}`,
+          commandName,
+        );
+      }
+      overrides[keyPath] = value;
+    } else {
+      overrides[keyPath] = value;
+    }
+  });
+  // A bare --config at the end of the command line parses as true
+  if (
+    flags.config !== undefined &&
+    (typeof flags.config !== "string" || !flags.config.trim())
+  ) {
+    throw new UsageError("--config expects a file path", commandName);
+  }
+  return config.loadConfig({ file: flags.config, overrides });
+}
+
+const ACTIONS = {
+  show() {
+    console.log(JSON.stringify(config.getConfig(), null, 2));
+    return EXIT_CODES.OK;
+  },
+
+  path() {
+    console.log(`User config:    ${config.USER_CONFIG_FILE}`);
+    console.log(`Project config: ./${config.PROJECT_CONFIG_FILE}`);
+    return EXIT_CODES.OK;
+  },
+
+  init() {
+    if (config.initUserConfig()) {
+      Logger.success(`Wrote default settings to ${config.USER_CONFIG_FILE}`);
+    } else {
+      Logger.info(`${config.USER_CONFIG_FILE} already exists`);
+    }
+    return EXIT_CODES.OK;
+  },
+};
+
+/**
+ * `config show|path|init` command
+ */
+async function run({ positionals }) {
+  const action = ACTIONS[positionals[0]];
+  if (!action) {
+    throw new UsageError(
+      positionals[0]
+        ? `Unknown config action "${positionals[0]}"`
+        : "Missing config action",
+      "config",
+    );
+  }
+  return action();
+}
+
+module.exports = {
+  name: "config",
+  summary: "Show the effective settings, their file locations or create a config file",
+  usage: "config <show|path|init> [--config <file>]",
+  options: [CONFIG_OPTIONS[0]],
+  boolean: [],
+  run,
+  CONFIG_OPTIONS,
+  applyConfigFlags,
+};
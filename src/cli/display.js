@@ -0,0 +1,140 @@
+const chalk = require("chalk");
+const Logger = require("../utils/logger");
+
+/**
+ * "Artist - Title" label for an Apple track result
+ */
+function trackLabel(track) {
+  return `${track.artist || track.Artist} - ${track.title || track.name || track.Name}`;
+}
+
+/**
+ * "Title — Artist, Artist" label for a Spotify track summary
+ */
+function spotifyLabel(info) {
+  if (!info) return "?";
+  const artists = Array.isArray(info.artists)
+    ? info.artists.join(", ")
+    : info.artists;
+  // Podcast episodes have no artists
+  return artists ? `${info.name} — ${artists}` : info.name;
+}
+
+function formatConfidence(confidence) {
+  return typeof confidence === "number" ? confidence.toFixed(2) : "N/A";
+}
+
+/**
+ * Print the changes a sync would make, without making them
+ * @param {Object} plan
+ * @param {Object} plan.playlist - Target playlist ({ id: null } when it would be created)
+ * @param {Array} plan.toAdd - Matched tracks that are not in the playlist yet
+ * @param {Array} plan.duplicates - { track, method, confidence, existingTrack } entries
+ * @param {Array} plan.unmatched - Tracks without a Spotify match
+ * @param {Array} [plan.needsReview] - Matches that would be offered for manual review
+ * @param {Array} [plan.toRemove] - Playlist items mirror mode would remove
+ * @param {Array} [plan.keptManual] - Playlist items mirror mode keeps (added on Spotify)
+ * @param {number|null} [plan.reorderMoves] - Moves mirror mode needs to restore Apple order
+ * @param {Array} [plan.localFiles] - Results for local-only files, listed separately
+ */
+function printSyncPlan(plan) {
+  const {
+    playlist,
+    toAdd,
+    duplicates,
+    unmatched,
+    needsReview = [],
+    toRemove = [],
+    keptManual = [],
+    reorderMoves = null,
+    localFiles = [],
+  } = plan;
+
+  Logger.info(chalk.bold(`\n📝 Sync plan (dry run) for "${playlist.name}"`));
+  if (!playlist.id) {
+    Logger.info(`  Playlist would be created`);
+  }
+
+  Logger.info(chalk.bold(`\n➕ Tracks to add (${toAdd.length}):`));
+  toAdd.forEach((track) => {
+    Logger.info(
+      `  + ${trackLabel(track)} → ${spotifyLabel(track.spotifyTrackInfo)} (confidence: ${formatConfidence(track.confidence)})`,
+    );
+  });
+
+  Logger.info(chalk.bold(`\n🔁 Already in playlist (${duplicates.length}):`));
+  duplicates.forEach(({ track, method, confidence, existingTrack }) => {
+    Logger.info(
+      `  = ${trackLabel(track)} ≈ ${spotifyLabel(existingTrack)} (${method}, confidence: ${formatConfidence(confidence)})`,
+    );
+  });
+
+  if (needsReview.length > 0) {
+    Logger.warning(
+      chalk.bold(`\n🔎 Low-confidence matches to review (${needsReview.length}):`),
+    );
+    needsReview.forEach((track) => {
+      Logger.warning(
+        `  ? ${trackLabel(track)} → ${spotifyLabel(track.spotifyTrackInfo)} (confidence: ${formatConfidence(track.confidence)})`,
+      );
+    });
+  }
+
+  if (toRemove.length > 0) {
+    Logger.warning(chalk.bold(`\n➖ Tracks to remove (${toRemove.length}):`));
+    toRemove.forEach((item) => {
+      Logger.warning(`  - ${spotifyLabel(item)}`);
+    });
+  }
+
+  if (keptManual.length > 0) {
+    Logger.info(
+      chalk.bold(`\n📌 Kept (added on Spotify) (${keptManual.length}):`),
+    );
+    keptManual.forEach((item) => {
+      Logger.info(`  · ${spotifyLabel(item)}`);
+    });
+  }
+
+  if (reorderMoves !== null) {
+    Logger.info(
+      reorderMoves > 0
+        ? `\n↕️  Reorder: ${reorderMoves} moves to follow the Apple Music order`
+        : `\n↕️  Reorder: order already matches the Apple Music export`,
+    );
+  }
+
+  printLocalFiles(localFiles);
+
+  Logger.warning(chalk.bold(`\n❌ Unmatched (${unmatched.length}):`));
+  unmatched.forEach((track) => {
+    Logger.warning(`  - ${trackLabel(track)}`);
+  });
+
+  Logger.info(
+    `\nDry run complete: ${toAdd.length} to add, ${toRemove.length} to remove, ${duplicates.length} duplicates, ${unmatched.length} unmatched. No changes were made.`,
+  );
+}
+
+/**
+ * List local-only files (ripped, imported or uploaded) with their match, since
+ * these are the rows most likely to need a manual check
+ */
+function printLocalFiles(tracks) {
+  if (tracks.length === 0) return;
+  Logger.info(chalk.bold(`\n💾 Local files (${tracks.length}):`));
+  tracks.forEach((track) => {
+    Logger.info(
+      track.matched
+        ? `  ✓ ${trackLabel(track)} → ${spotifyLabel(track.spotifyTrackInfo)}`
+        : `  ✗ ${trackLabel(track)} (not found)`,
+    );
+  });
+}
+
+module.exports = {
+  trackLabel,
+  spotifyLabel,
+  printSyncPlan,
+  printLocalFiles,
+};
@@ -0,0 +1,36 @@
+const {
+  SpotifyAuthError,
+  FileParsingError,
+  APIError,
+  UsageError,
+} = require("../utils/errors");
+
+/**
+ * Process exit codes, so scripts can tell failures apart
+ */
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1, // Unexpected failure
+  USAGE: 2, // Bad command, arguments or flags
+  AUTH: 3, // Missing credentials or Spotify login failed
+  INPUT: 4, // Playlist file or report could not be read
+  API: 5, // Spotify API request failed
+  CANCELLED: 6, // Stopped by the user before finishing
+};
+
+/**
+ * Map an error thrown by a command to its exit code
+ */
+function exitCodeFor(error) {
+  if (error instanceof UsageError) return EXIT_CODES.USAGE;
+  if (error instanceof SpotifyAuthError) return EXIT_CODES.AUTH;
+  if (error instanceof FileParsingError) return EXIT_CODES.INPUT;
+  // spotify-web-api-node rejects with a WebapiError that carries statusCode
+  if (error instanceof APIError || error.statusCode) return EXIT_CODES.API;
+  return EXIT_CODES.ERROR;
+}
+
+module.exports = {
+  EXIT_CODES,
+  exitCodeFor,
+};
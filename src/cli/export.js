@@ -0,0 +1,98 @@
+const fs = require("fs").promises;
+const path = require("path");
+const Logger = require("../utils/logger");
+const SpotifyAuth = require("../auth/spotify-auth");
+const playlistUtils = require("../spotify/playlist");
+const {
+  APPLE_EXPORT_FORMATS,
+  renderAppleExport,
+} = require("../utils/apple-export");
+const { UsageError } = require("../utils/errors");
+const { EXIT_CODES } = require("./exit-codes");
+
+// spotify:playlist:<id> or https://open.spotify.com/playlist/<id>?si=...
+const PLAYLIST_LINK =
+  /(?:spotify:playlist:|open\.spotify\.com\/(?:[\w-]+\/)?playlist\/)([A-Za-z0-9]+)/;
+const PLAYLIST_ID = /^[A-Za-z0-9]{22}$/;
+
+/**
+ * Find a playlist by link, URI, ID or (case-insensitive) name among the user's playlists
+ */
+async function resolvePlaylist(spotifyApi, value) {
+  const link = value.match(PLAYLIST_LINK);
+  if (!link) {
+    const wanted = value.trim().toLowerCase();
+    const playlists = await playlistUtils.fetchAllUserPlaylists(spotifyApi);
+    const byName = playlists.find((p) => p.name.trim().toLowerCase() === wanted);
+    if (byName) return byName;
+    if (!PLAYLIST_ID.test(value)) {
+      throw new UsageError(`No Spotify playlist named "${value}"`, "export");
+    }
+  }
+  const response = await spotifyApi.getPlaylist(link ? link[1] : value, {
+    fields: "id,name,description,uri",
+  });
+  return response.body;
+}
+
+// Playlist name as a file name, without characters Finder or Explorer reject
+function defaultOutputFile(playlist, format) {
+  const base =
+    playlist.name.replace(/[/\\:*?"<>|]+/g, "_").trim() || playlist.id;
+  return `${base}${APPLE_EXPORT_FORMATS[format]}`;
+}
+
+/**
+ * `export <playlist>` command: write a Spotify playlist as a file Apple Music can import
+ */
+async function run({ positionals, flags }) {
+  const target = positionals[0];
+  if (!target) {
+    throw new UsageError(
+      "Missing the Spotify playlist (name, link or ID)",
+      "export",
+    );
+  }
+  const format = flags.format || "tsv";
+  if (!APPLE_EXPORT_FORMATS[format]) {
+    throw new UsageError(
+      `Unknown export format "${format}" (use ${Object.keys(APPLE_EXPORT_FORMATS).join(", ")})`,
+      "export",
+    );
+  }
+
+  const spotifyAuth = new SpotifyAuth();
+  await spotifyAuth.authenticate();
+  const spotifyApi = spotifyAuth.getSpotifyApi();
+
+  const playlist = await resolvePlaylist(spotifyApi, target);
+  Logger.info(`Reading Spotify playlist "${playlist.name}"...`);
+  const tracks = await playlistUtils.getPlaylistTracks(spotifyApi, playlist.id);
+  if (tracks.length === 0) {
+    Logger.warning(`"${playlist.name}" has no tracks; writing an empty playlist`);
+  }
+  const content = renderAppleExport(playlist, tracks, format);
+
+  if (flags.output === "-") {
+    process.stdout.write(content);
+    return EXIT_CODES.OK;
+  }
+  const outputFile = path.resolve(
+    flags.output || defaultOutputFile(playlist, format),
+  );
+  await fs.writeFile(outputFile, content);
+  Logger.success(`Wrote ${tracks.length} tracks to ${outputFile}`);
+  return EXIT_CODES.OK;
+}
+
+module.exports = {
+  name: "export",
+  summary: "Write a Spotify playlist as a file Apple Music can import",
+  usage: "export <playlist name|link|ID> [--format tsv|m3u8|xml] [--output <file>]",
+  options: [
+    ["--format <format>", "tsv (Music.app text export, default), m3u8 or xml (Library.xml playlist)"],
+    ["--output <file>", 'File to write (default: the playlist name in the current directory; "-" for stdout)'],
+  ],
+  boolean: [],
+  run,
+};
@@ -0,0 +1,146 @@
+const fs = require("fs");
+const chalk = require("chalk");
+const Logger = require("../utils/logger");
+const { parseArgs } = require("./args");
+const { EXIT_CODES, exitCodeFor } = require("./exit-codes");
+const { UsageError } = require("../utils/errors");
+const { applyConfigFlags } = require("./config");
+const { version } = require("../../package.json");
+
+const PROGRAM = "npm start --";
+
+const COMMANDS = [
+  require("./sync"),
+  require("./batch"),
+  require("./parse"),
+  require("./inspect"),
+  require("./export"),
+  require("./auth"),
+  require("./cache"),
+  require("./report"),
+  require("./config"),
+];
+
+function findCommand(name) {
+  return COMMANDS.find((command) => command.name === name);
+}
+
+function printHelp() {
+  console.log(`apple-music-spotify-sync ${version}
+
+Usage: ${PROGRAM} <command> [options]
+
+Commands:
+${COMMANDS.map((command) => `  ${command.name.padEnd(10)}${command.summary}`).join("\n")}
+
+Options:
+  -h, --help      Show help for a command
+  -v, --version   Print the version
+
+Run "${PROGRAM} <command> --help" for the options of a command.
+A bare file path is synced, e.g. "npm start playlist.txt".
+
+Exit codes:
+${Object.entries(EXIT_CODES)
+  .map(([name, code]) => `  ${String(code).padEnd(4)}${name.toLowerCase()}`)
+  .join("\n")}`);
+}
+
+function printCommandHelp(command) {
+  const options = [...command.options, ["-h, --help", "Show this help"]];
+  const width = Math.max(...options.map(([flag]) => flag.length)) + 2;
+  console.log(`${command.summary}
+
+Usage: ${PROGRAM} ${command.usage}
+
+Options:
+${options.map(([flag, description]) => `  ${flag.padEnd(width)}${description}`).join("\n")}`);
+}
+
+/**
+ * Reject flags a command does not declare, so typos do not silently change a sync
+ */
+function checkFlags(command, flags) {
+  const known = new Set(
+    command.options.map(([flag]) =>
+      flag
+        .split(" ")[0]
+        .replace(/^--(no-)?/, "")
+        .replace(/-([a-z])/g, (_, char) => char.toUpperCase()),
+    ),
+  );
+  const unknown = Object.keys(flags).filter((flag) => !known.has(flag));
+  if (unknown.length > 0) {
+    throw new UsageError(
+      `Unknown option${unknown.length > 1 ? "s" : ""}: ${unknown.map((flag) => `--${flag.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`)}`).join(", ")}`,
+      command.name,
+    );
+  }
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments without the node/script prefix
+ * @returns {Promise<number>} Exit code (see EXIT_CODES)
+ */
+async function run(argv) {
+  const [first, ...rest] = argv;
+
+  if (!first || ["help", "-h", "--help"].includes(first)) {
+    const command = rest[0] && findCommand(rest[0]);
+    if (command) printCommandHelp(command);
+    else printHelp();
+    return first ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+  if (["-v", "--version"].includes(first)) {
+    console.log(version);
+    return EXIT_CODES.OK;
+  }
+
+  let command = findCommand(first);
+  let commandArgv = rest;
+  if (!command && !first.startsWith("-") && fs.existsSync(first)) {
+    // `npm start playlist.txt` predates subcommands and still means sync
+    command = findCommand("sync");
+    commandArgv = argv;
+  }
+
+  try {
+    if (!command) {
+      throw new UsageError(`Unknown command "${first}"`);
+    }
+
+    const { positionals, flags } = parseArgs(commandArgv, {
+      boolean: [...command.boolean, "help"],
+      multiple: command.multiple || [],
+    });
+    if (flags.help || positionals.includes("-h")) {
+      printCommandHelp(command);
+      return EXIT_CODES.OK;
+    }
+    checkFlags(command, flags);
+    applyConfigFlags(flags, command.name);
+
+    return await command.run({ positionals, flags });
+  } catch (error) {
+    Logger.setOutput(null);
+    Logger.error(error.message);
+    if (error instanceof UsageError) {
+      console.error(
+        chalk.gray(
+          error.command
+            ? `Usage: ${PROGRAM} ${findCommand(error.command).usage}\nRun "${PROGRAM} ${error.command} --help" for details.`
+            : `Run "${PROGRAM} --help" for the list of commands.`,
+        ),
+      );
+    } else {
+      Logger.debug(error.stack);
+    }
+    return exitCodeFor(error);
+  }
+}
+
+module.exports = {
+  COMMANDS,
+  run,
+};
@@ -0,0 +1,123 @@
+const path = require("path");
+const chalk = require("chalk");
+const Logger = require("../utils/logger");
+const AppleMusicParser = require("../parsers/apple-music");
+const { FORMATS, detectFormat } = require("../parsers");
+const { LOCALES, parseLocaleOption } = require("../parsers/locales");
+const { UsageError } = require("../utils/errors");
+const { EXIT_CODES } = require("./exit-codes");
+
+const FIX_LABELS = {
+  padded: "padded to the header length",
+  truncated: "extra columns ignored",
+};
+
+function printList(title, items, describe) {
+  const log = items.length > 0 ? Logger.warning : Logger.info;
+  log(chalk.bold(`\n${title} (${items.length}):`));
+  items.forEach((item) => log(`  ${describe(item)}`));
+}
+
+function printDiagnostics(diagnostics) {
+  const { encoding, header, rows } = diagnostics;
+  Logger.info(chalk.bold(`\n🔎 ${path.basename(diagnostics.file)}`));
+  Logger.info(`  • Size: ${(diagnostics.size / 1024).toFixed(1)} KB`);
+  Logger.info(
+    `  • Encoding: ${encoding.name} (${encoding.bom ? `${encoding.bom} BOM` : "no BOM"})`,
+  );
+  Logger.info(`  • Language: ${LOCALES[diagnostics.locale].name}`);
+  Logger.info(`  • Date order: ${diagnostics.dateOrder}`);
+  Logger.info(
+    `  • Rows: ${rows.total} (${rows.valid} valid, ${diagnostics.rejectedRows.length} rejected)`,
+  );
+
+  const headerLog =
+    header.count === header.expected && header.missing.length === 0
+      ? Logger.info
+      : Logger.warning;
+  headerLog(
+    chalk.bold(`\n📋 Header: ${header.count} columns (expected ${header.expected})`),
+  );
+  if (header.missing.length > 0) {
+    Logger.warning(`  Missing: ${header.missing.join(", ")}`);
+  }
+  if (header.unexpected.length > 0) {
+    Logger.warning(`  Not Apple columns: ${header.unexpected.join(", ")}`);
+  }
+  if (header.missing.length === 0 && !header.inAppleOrder) {
+    Logger.info("  All Apple columns are present, in a different order");
+  }
+
+  // Exports usually omit the empty trailing Location on every row; count those, list the rest
+  const locationOnly = diagnostics.mismatchedRows.filter(
+    ({ fix }) => fix === "padded-location",
+  );
+  printList(
+    "📐 Padded or truncated rows",
+    diagnostics.mismatchedRows.filter(({ fix }) => fix !== "padded-location"),
+    ({ row, columns, fix }) =>
+      `Row ${row}: ${columns} columns, ${FIX_LABELS[fix]}`,
+  );
+  if (locationOnly.length > 0) {
+    Logger.info(
+      `  ${locationOnly.length} more rows only lack the empty trailing Location column (--json lists them)`,
+    );
+  }
+  printList(
+    "📅 Dates that did not parse",
+    diagnostics.dateErrors,
+    ({ row, column, value }) => `Row ${row}: ${column} "${value}"`,
+  );
+  printList(
+    "🚫 Rejected rows",
+    diagnostics.rejectedRows,
+    ({ row, reason, title, artist }) =>
+      `Row ${row}: ${reason} (${artist || "-"} / ${title || "-"})`,
+  );
+}
+
+/**
+ * `inspect <file>` command: report how an Apple Music text export reads, row by row
+ */
+async function run({ positionals, flags }) {
+  const file = positionals[0];
+  if (!file) {
+    throw new UsageError("Missing the Apple Music export file", "inspect");
+  }
+  const locale = parseLocaleOption(flags.locale, "inspect");
+  const format = await detectFormat(file);
+  if (format !== FORMATS.APPLE_TSV) {
+    throw new UsageError(
+      `inspect reads Apple Music text exports; ${path.basename(file)} looks like ${format}`,
+      "inspect",
+    );
+  }
+
+  // The report covers what the parser would log row by row
+  Logger.setOutput(() => {});
+  let diagnostics;
+  try {
+    diagnostics = await new AppleMusicParser({ locale }).inspectFile(file);
+  } finally {
+    Logger.setOutput(null);
+  }
+
+  if (flags.json) {
+    console.log(JSON.stringify(diagnostics, null, 2));
+  } else {
+    printDiagnostics(diagnostics);
+  }
+  return EXIT_CODES.OK;
+}
+
+module.exports = {
+  name: "inspect",
+  summary: "Report encoding, header, row and date problems in an Apple Music export",
+  usage: "inspect <playlist.txt> [--locale <code>] [--json]",
+  options: [
+    ["--locale <code>", "Export language: auto (default), en, de, fr, es or ja"],
+    ["--json", "Print the diagnostics as JSON"],
+  ],
+  boolean: ["json"],
+  run,
+};
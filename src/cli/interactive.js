@@ -0,0 +1,342 @@
+const inquirer = require("inquirer");
+const chalk = require("chalk");
+const Logger = require("../utils/logger");
+const {
+  SpotifySearchService,
+  formatTrack,
+  toSearchSong,
+} = require("../spotify/search");
+const { buildSearchInput } = require("../data/song-pipeline");
+const config = require("../utils/config");
+
+// Matches spotify:track:<id> URIs and open.spotify.com/track/<id> URLs (with or without locale prefix)
+const SPOTIFY_TRACK_PATTERN =
+  /(?:spotify:track:|open\.spotify\.com\/(?:intl-[\w-]+\/)?track\/)([A-Za-z0-9]{22})/;
+
+/**
+ * Extract a Spotify track ID from a pasted URL or URI
+ * @param {string} input - e.g. "https://open.spotify.com/track/<id>?si=..." or "spotify:track:<id>"
+ * @returns {string|null} Track ID or null if the input is not a track link
+ */
+function parseSpotifyTrackId(input) {
+  const match = String(input || "").trim().match(SPOTIFY_TRACK_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Format milliseconds as m:ss
+ */
+function formatDuration(ms) {
+  if (!ms) return "?:??";
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * One-line description of a candidate for selection menus
+ */
+function describeCandidate(candidate) {
+  const confidence =
+    typeof candidate.confidence === "number"
+      ? candidate.confidence.toFixed(2)
+      : "N/A";
+  return `${candidate.name} — ${candidate.artists.join(", ")} | ${candidate.album || "?"} | ${candidate.year || "????"} | ${formatDuration(candidate.durationMs)} | ${confidence}`;
+}
+
+/**
+ * Whether a search result should be shown to the user for review
+ */
+function needsReview(track, reviewThreshold) {
+  // Tracks resolved by a saved decision were already reviewed on an earlier sync
+  if (track.fromDecision) return false;
+  if (!track.matched) return true;
+  return (
+    typeof track.confidence === "number" && track.confidence < reviewThreshold
+  );
+}
+
+/**
+ * Apply a decision to a track result.
+ * `previousSpotifyUri` keeps the auto-match the user overrode so it can be remembered as rejected.
+ */
+function applyDecision(track, decision) {
+  const reviewInfo = {
+    manuallyResolved: true,
+    reviewBulk: Boolean(decision.bulk),
+    previousSpotifyUri: track.spotifyUri,
+  };
+  if (decision.action === "select") {
+    const chosen = decision.candidate;
+    return {
+      ...track,
+      matched: true,
+      spotifyUri: chosen.uri,
+      spotifyTrackInfo: {
+        name: chosen.name,
+        artists: chosen.artists,
+        album: chosen.album,
+      },
+      confidence: chosen.confidence,
+      searchStrategy: decision.source,
+      ...reviewInfo,
+      reviewDecision: "selected",
+    };
+  }
+  if (decision.action === "skip") {
+    return {
+      ...track,
+      matched: false,
+      spotifyUri: undefined,
+      spotifyTrackInfo: undefined,
+      ...reviewInfo,
+      reviewDecision: "skipped",
+    };
+  }
+  return { ...track, ...reviewInfo, reviewDecision: "kept" };
+}
+
+/**
+ * Check a bulk rule against a track; returns a decision or null when the user must still decide
+ */
+function applyBulkRule(track, bulkRule) {
+  if (!bulkRule) return null;
+  const confidence = track.matched ? track.confidence || 0 : 0;
+
+  if (bulkRule.type === "skipAll") return { action: "skip", bulk: true };
+  if (bulkRule.type === "skipBelow" && confidence < bulkRule.threshold) {
+    return { action: "skip", bulk: true };
+  }
+  if (bulkRule.type === "acceptBest") {
+    return { action: track.matched ? "keep" : "skip", bulk: true };
+  }
+  return null;
+}
+
+/**
+ * Score raw Spotify tracks against the Apple song and format them for display
+ */
+function scoreTracks(track, spotifyTracks) {
+  const service = new SpotifySearchService(null);
+  const song = toSearchSong(buildSearchInput(track));
+  return spotifyTracks
+    .map((spotifyTrack) =>
+      formatTrack(spotifyTrack, service.scoreCandidate(song, spotifyTrack)),
+    )
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Prompt until the user makes a decision for a single track
+ * @returns {Promise<Object>} { action: "select"|"skip"|"keep"|"bulk", candidate?, source?, bulkRule? }
+ */
+async function resolveTrack(spotifyApi, track, position, options) {
+  const rejectedUris = new Set(track.rejectedUris || []);
+  let candidates = track.candidates || [];
+
+  Logger.info(
+    chalk.bold(
+      `\n[${position.index}/${position.total}] ${track.artist} - ${track.title}`,
+    ) +
+      chalk.gray(
+        ` (${track.album || "no album"}, ${track.year || "????"}, ${formatDuration(track.duration ? track.duration * 1000 : null)})`,
+      ),
+  );
+  if (track.matched) {
+    Logger.info(
+      `Current match: ${track.spotifyTrackInfo.name} — ${track.spotifyTrackInfo.artists.join(", ")} (confidence: ${(track.confidence || 0).toFixed(2)})`,
+    );
+  } else {
+    Logger.warning("No confident match found.");
+  }
+
+  while (true) {
+    const choices = candidates
+      .slice(0, options.maxCandidates)
+      .map((candidate) => ({
+        name: describeCandidate(candidate),
+        value: { action: "select", candidate, source: "manual:candidate" },
+      }));
+    choices.push(new inquirer.Separator());
+    if (track.matched) {
+      choices.push({ name: "Keep current match", value: { action: "keep" } });
+    }
+    choices.push(
+      { name: "Enter a custom search query", value: { action: "query" } },
+      { name: "Paste a Spotify track URL/URI", value: { action: "uri" } },
+      { name: "Skip this track", value: { action: "skip" } },
+      new inquirer.Separator(),
+      {
+        name: "Skip all remaining below a confidence...",
+        value: { action: "bulkSkipBelow" },
+      },
+      {
+        name: "Accept current matches for all remaining",
+        value: { action: "bulk", bulkRule: { type: "acceptBest" } },
+      },
+      {
+        name: "Skip all remaining",
+        value: { action: "bulk", bulkRule: { type: "skipAll" } },
+      },
+    );
+
+    const { choice } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "choice",
+        message: "Choose a Spotify track:",
+        choices,
+        pageSize: 15,
+      },
+    ]);
+
+    if (choice.action === "query") {
+      const { query } = await inquirer.prompt([
+        {
+          type: "input",
+          name: "query",
+          message: "Search Spotify for:",
+          default: `${track.title} ${track.artist}`,
+        },
+      ]);
+      try {
+        const response = await spotifyApi.searchTracks(query, { limit: 10 });
+        candidates = scoreTracks(track, response.body.tracks.items).filter(
+          (candidate) => !rejectedUris.has(candidate.uri),
+        );
+        if (candidates.length === 0) {
+          Logger.warning(`No results for "${query}".`);
+        }
+      } catch (err) {
+        Logger.error(`Search failed: ${err.message}`);
+      }
+      continue;
+    }
+
+    if (choice.action === "uri") {
+      const { link } = await inquirer.prompt([
+        {
+          type: "input",
+          name: "link",
+          message: "Spotify track URL or URI:",
+          validate: (input) =>
+            parseSpotifyTrackId(input)
+              ? true
+              : "Enter a spotify:track:… URI or an open.spotify.com/track/… URL",
+        },
+      ]);
+      try {
+        const response = await spotifyApi.getTrack(parseSpotifyTrackId(link));
+        const [candidate] = scoreTracks(track, [response.body]);
+        Logger.info(`Selected: ${describeCandidate(candidate)}`);
+        return { action: "select", candidate, source: "manual:uri" };
+      } catch (err) {
+        Logger.error(`Could not load track: ${err.message}`);
+      }
+      continue;
+    }
+
+    if (choice.action === "bulkSkipBelow") {
+      const { threshold } = await inquirer.prompt([
+        {
+          type: "number",
+          name: "threshold",
+          message: "Skip every remaining track with confidence below:",
+          default: 0.6,
+          validate: (input) =>
+            input >= 0 && input <= 1 ? true : "Enter a number between 0 and 1",
+        },
+      ]);
+      return { action: "bulk", bulkRule: { type: "skipBelow", threshold } };
+    }
+
+    return choice;
+  }
+}
+
+/**
+ * Interactive review of low-confidence and unmatched search results.
+ * Tracks that do not need review are returned untouched and in their original order.
+ * @param {SpotifyWebApi} spotifyApi - Authenticated Spotify API instance
+ * @param {Array} trackResults - Search results (matched/unmatched tracks with candidates)
+ * @param {Object} [options]
+ * @param {number} [options.reviewThreshold] - Matches below this confidence are reviewed (review.threshold setting)
+ * @param {number} [options.maxCandidates] - Candidates listed per track (search.maxCandidates setting)
+ * @param {boolean} [options.interactive] - Defaults to whether stdin/stdout are a TTY
+ * @returns {Promise<Object>} { results, stats }
+ */
+async function reviewMatches(spotifyApi, trackResults, options = {}) {
+  const {
+    reviewThreshold = config.get("review.threshold"),
+    maxCandidates = config.get("search.maxCandidates"),
+    interactive = Boolean(process.stdin.isTTY && process.stdout.isTTY),
+  } = options;
+
+  const stats = { reviewed: 0, selected: 0, skipped: 0, kept: 0 };
+  const toReview = trackResults.filter((track) =>
+    needsReview(track, reviewThreshold),
+  );
+
+  if (toReview.length === 0) {
+    return { results: trackResults, stats };
+  }
+  if (!interactive) {
+    Logger.warning(
+      `Skipping manual review of ${toReview.length} uncertain tracks (not an interactive terminal)`,
+    );
+    return { results: trackResults, stats };
+  }
+
+  Logger.info(
+    `\n🔎 ${toReview.length} tracks need review (unmatched or confidence below ${reviewThreshold})`,
+  );
+
+  let bulkRule = null;
+  const decisions = new Map();
+
+  for (let i = 0; i < toReview.length; i++) {
+    const track = toReview[i];
+    let decision = applyBulkRule(track, bulkRule);
+
+    // A bulk rule that leaves this track open (e.g. it is above the skip threshold) prompts again
+    while (!decision) {
+      const choice = await resolveTrack(
+        spotifyApi,
+        track,
+        { index: i + 1, total: toReview.length },
+        { maxCandidates },
+      );
+      if (choice.action === "bulk") {
+        bulkRule = choice.bulkRule;
+        decision = applyBulkRule(track, bulkRule);
+      } else {
+        decision = choice;
+      }
+    }
+
+    stats.reviewed++;
+    if (decision.action === "select") stats.selected++;
+    else if (decision.action === "skip") stats.skipped++;
+    else stats.kept++;
+
+    decisions.set(track, decision);
+  }
+
+  const results = trackResults.map((track) =>
+    decisions.has(track) ? applyDecision(track, decisions.get(track)) : track,
+  );
+
+  Logger.info(
+    `Review complete: ${stats.selected} selected, ${stats.skipped} skipped, ${stats.kept} kept`,
+  );
+
+  return { results, stats };
+}
+
+module.exports = {
+  reviewMatches,
+  needsReview,
+  parseSpotifyTrackId,
+  formatDuration,
+};
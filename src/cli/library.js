@@ -0,0 +1,88 @@
+const inquirer = require("inquirer");
+const chalk = require("chalk");
+const Logger = require("../utils/logger");
+const LibraryXmlParser = require("../parsers/library-xml");
+const { UsageError } = require("../utils/errors");
+
+function describePlaylist(playlist, label = playlist.path) {
+  let icon = "🎵";
+  if (playlist.folder) icon = "📁";
+  else if (playlist.smart) icon = "⚙️ ";
+  return `${icon} ${label} (${playlist.trackIds.length} items)`;
+}
+
+/**
+ * Print the playlists of a library, indented by folder
+ */
+function printLibraryPlaylists(library) {
+  Logger.info(chalk.bold(`\n📚 Playlists (${library.playlists.length}):`));
+  library.playlists.forEach((playlist) => {
+    const depth = playlist.path.split(" / ").length - 1;
+    Logger.info(
+      `  ${"  ".repeat(depth)}${describePlaylist(playlist, playlist.name)}  ${chalk.gray(playlist.persistentId)}`,
+    );
+  });
+}
+
+/**
+ * Find playlists by Persistent ID, folder path or name (case-insensitive)
+ */
+function findPlaylists(library, wanted) {
+  return wanted.map((query) => {
+    const needle = String(query).trim().toLowerCase();
+    const playlist =
+      library.playlists.find((p) => p.persistentId.toLowerCase() === needle) ||
+      library.playlists.find((p) => p.path.toLowerCase() === needle) ||
+      library.playlists.find((p) => p.name.toLowerCase() === needle);
+    if (!playlist) {
+      throw new UsageError(
+        `No playlist "${query}" in ${library.filePath} (run "parse" on the file to list them)`,
+      );
+    }
+    return playlist;
+  });
+}
+
+/**
+ * Load a Library.xml and parse the playlists to sync, one { songs, metadata } per playlist
+ * @param {string} file - Path to Library.xml
+ * @param {Object} [options]
+ * @param {Array<string>} [options.playlists] - Names, folder paths or Persistent IDs (--playlist);
+ *   prompts for a selection when omitted
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadLibrarySources(file, options = {}) {
+  const parser = new LibraryXmlParser();
+  const library = await parser.loadLibrary(file);
+
+  let chosen;
+  if (options.playlists && options.playlists.length > 0) {
+    chosen = findPlaylists(library, options.playlists);
+  } else if (process.stdin.isTTY && process.stdout.isTTY) {
+    ({ chosen } = await inquirer.prompt([
+      {
+        type: "checkbox",
+        name: "chosen",
+        message: "Select the playlists to sync:",
+        pageSize: 20,
+        choices: library.playlists.map((playlist) => ({
+          name: describePlaylist(playlist),
+          value: playlist,
+        })),
+        validate: (answer) =>
+          answer.length > 0 || "Select at least one playlist",
+      },
+    ]));
+  } else {
+    throw new UsageError(
+      "Choose Library.xml playlists with --playlist when not running in a terminal",
+    );
+  }
+
+  return chosen.map((playlist) => parser.parsePlaylist(library, playlist));
+}
+
+module.exports = {
+  printLibraryPlaylists,
+  loadLibrarySources,
+};
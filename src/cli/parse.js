@@ -0,0 +1,151 @@
+const chalk = require("chalk");
+const Logger = require("../utils/logger");
+const LibraryXmlParser = require("../parsers/library-xml");
+const { FORMATS, detectFormat, parseExport } = require("../parsers");
+const { parseColumnMap } = require("../parsers/csv");
+const { parseLocaleOption } = require("../parsers/locales");
+const { prepareSongs, printValidationReport } = require("../data/song-pipeline");
+const { parseWhere, filterSongs, printFilterStats } = require("../data/song-filter");
+const { parseSortOption, parseTopOption, rankSongs } = require("../data/song-sort");
+const { formatDuration } = require("./interactive");
+const { UsageError } = require("../utils/errors");
+const { EXIT_CODES } = require("./exit-codes");
+const { printLibraryPlaylists, loadLibrarySources } = require("./library");
+
+function describeSong(track) {
+  const details = [
+    track.album,
+    track.year,
+    track.duration ? formatDuration(track.duration * 1000) : null,
+  ].filter(Boolean);
+  return `${track.artist || "(no artist)"} - ${track.title || "(no title)"}${details.length ? ` [${details.join(", ")}]` : ""}`;
+}
+
+function describeNormalized(normalized) {
+  const extras = [
+    normalized.features.length
+      ? `feat. ${normalized.features.join(", ")}`
+      : null,
+    normalized.version ? `version: ${normalized.version}` : null,
+    `quality: ${normalized.quality.score}`,
+  ].filter(Boolean);
+  return `${normalized.searchArtist} - ${normalized.searchTitle} (${extras.join(", ")})`;
+}
+
+function printSongs(parseResult, prepared) {
+  const { metadata } = parseResult;
+  Logger.info(
+    chalk.bold(
+      `\n🎵 ${metadata.playlistPath || metadata.fileName} (${prepared.report.summary.total + prepared.excluded.length} songs)`,
+    ),
+  );
+  [...prepared.tracks, ...prepared.rejected]
+    .sort((a, b) => a.sourceIndex - b.sourceIndex)
+    .forEach((track) => {
+      let marker = " ";
+      if (!track.validation.isValid) marker = chalk.red("✗");
+      else if (track.flagged) marker = chalk.yellow("?");
+      Logger.info(
+        `${marker} ${String(track.sourceIndex + 1).padStart(3)}. ${describeSong(track)}`,
+      );
+      Logger.info(
+        chalk.gray(`        → ${describeNormalized(track.normalized)}`),
+      );
+    });
+
+  printValidationReport(prepared);
+}
+
+/**
+ * `parse <file>` command: print parsed and normalized songs without contacting Spotify
+ */
+async function run({ positionals, flags }) {
+  const file = positionals[0];
+  if (!file) {
+    throw new UsageError("Missing the Apple Music playlist file", "parse");
+  }
+  const columnMap = parseColumnMap(flags.map, "parse");
+  const locale = parseLocaleOption(flags.locale, "parse");
+  const where = parseWhere(flags.where, "parse");
+  const sortBy = parseSortOption(flags.sortBy, "parse");
+  const top = parseTopOption(flags.top, "parse");
+
+  if (flags.json) {
+    // Keep stdout clean for the JSON document
+    Logger.setOutput((line) => console.error(line));
+  }
+
+  let parseResults;
+  if ((await detectFormat(file)) === FORMATS.LIBRARY_XML) {
+    if (!flags.playlist) {
+      // Without --playlist, list what the library holds
+      const library = await new LibraryXmlParser().loadLibrary(file);
+      Logger.setOutput(null);
+      if (flags.json) {
+        console.log(JSON.stringify(library.playlists, null, 2));
+      } else {
+        printLibraryPlaylists(library);
+      }
+      return EXIT_CODES.OK;
+    }
+    parseResults = await loadLibrarySources(file, { playlists: flags.playlist });
+  } else {
+    parseResults = [await parseExport(file, { columnMap, locale })];
+  }
+  const outputs = parseResults.map((parseResult) => {
+    let songs = parseResult.songs;
+    let filter;
+    if (where) {
+      ({ songs, stats: filter } = filterSongs(songs, where));
+      printFilterStats(filter, { detailed: true });
+    }
+    songs = rankSongs(songs, { sortBy, top });
+    return {
+      parseResult: { ...parseResult, songs },
+      prepared: prepareSongs(songs, { top }),
+      filter,
+    };
+  });
+
+  if (flags.json) {
+    Logger.setOutput(null);
+    const documents = outputs.map(({ parseResult, prepared, filter }) => ({
+      metadata: parseResult.metadata,
+      ...(filter ? { filter } : {}),
+      tracks: prepared.tracks,
+      rejected: prepared.rejected,
+      report: prepared.report,
+    }));
+    console.log(
+      JSON.stringify(
+        documents.length === 1 ? documents[0] : documents,
+        null,
+        2,
+      ),
+    );
+    return EXIT_CODES.OK;
+  }
+
+  outputs.forEach(({ parseResult, prepared }) =>
+    printSongs(parseResult, prepared),
+  );
+  return EXIT_CODES.OK;
+}
+
+module.exports = {
+  name: "parse",
+  summary: "Print the parsed and normalized songs of an export, or a library's playlists",
+  usage: "parse <playlist.txt|.m3u8|.csv|Library.xml> [--playlist <name>] [--map <mapping>] [--locale <code>] [--where <expr>] [--sort-by <field>] [--top <n>] [--json]",
+  options: [
+    ["--playlist <name>", "Library.xml playlist to print (repeatable); lists them when omitted"],
+    ["--map <field=Column,...>", "CSV column mapping, e.g. title=Track,artist=Performer"],
+    ["--locale <code>", "Export language: auto (default), en, de, fr, es or ja"],
+    ["--where <expr>", 'Only print matching songs, e.g. "genre=Rock and year<2000" (repeatable)'],
+    ["--sort-by <field>", "Order by plays, rating, dateAdded, lastPlayed or year (add :asc or :desc)"],
+    ["--top <n>", "Only print songs up to the n-th valid one by --sort-by (default: most played)"],
+    ["--json", "Print the parsed songs as JSON"],
+  ],
+  boolean: ["json"],
+  multiple: ["playlist", "where"],
+  run,
+};
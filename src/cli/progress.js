@@ -0,0 +1,165 @@
+const cliProgress = require("cli-progress");
+const chalk = require("chalk");
+const Logger = require("../utils/logger");
+
+const BAR_FORMAT =
+  "{phase} |" +
+  chalk.cyan("{bar}") +
+  "| {value}/{total} | ETA {eta_formatted} | ✓ {matched} ✗ {unmatched} = {duplicates} | {current}";
+
+/**
+ * Multi-bar progress display for the sync phases.
+ *
+ * On a TTY each phase gets its own bar (with ETA, running tally and the current song)
+ * under an overall bar, and log lines are printed above the bars. Otherwise every
+ * update degrades to a plain log line, throttled to roughly every 10%.
+ */
+class SyncProgress {
+  /**
+   * @param {Object} [options]
+   * @param {Array<string>} [options.phases] - Phase names, used for the overall bar
+   * @param {boolean} [options.enabled] - Draw bars; defaults to whether stdout is a TTY
+   */
+  constructor(options = {}) {
+    this.phases = options.phases || [];
+    this.enabled =
+      options.enabled !== undefined
+        ? options.enabled
+        : Boolean(process.stdout.isTTY);
+    this.tally = { matched: 0, unmatched: 0, duplicates: 0 };
+    this.completedPhases = 0;
+    this.multibar = null;
+    this.overallBar = null;
+  }
+
+  /**
+   * Increase a tally counter ("matched", "unmatched" or "duplicates")
+   */
+  count(key, amount = 1) {
+    this.tally[key] += amount;
+  }
+
+  /**
+   * Start a phase bar
+   * @param {string} name - Phase label, e.g. "Spotify search"
+   * @param {number} total - Number of items in the phase (may grow later via setTotal)
+   * @returns {Object} Phase handle with increment(current, amount), setTotal(total) and stop()
+   */
+  startPhase(name, total) {
+    const startedAt = Date.now();
+    let value = 0;
+
+    if (!this.enabled) {
+      let step = Math.max(1, Math.ceil(total / 10));
+      let nextLogAt = step;
+      Logger.info(`${name}: starting (${total} items)`);
+      return {
+        increment: (current = "", amount = 1) => {
+          value += amount;
+          if (value >= nextLogAt || value === total) {
+            nextLogAt = (Math.floor(value / step) + 1) * step;
+            const elapsed = (Date.now() - startedAt) / 1000;
+            const eta = value > 0 ? (elapsed / value) * (total - value) : 0;
+            Logger.info(
+              `${name}: ${value}/${total} (ETA ${Math.round(eta)}s) | ✓ ${this.tally.matched} ✗ ${this.tally.unmatched} = ${this.tally.duplicates}${current ? ` | ${current}` : ""}`,
+            );
+          }
+        },
+        setTotal: (newTotal) => {
+          total = newTotal;
+          step = Math.max(1, Math.ceil(total / 10));
+          nextLogAt = (Math.floor(value / step) + 1) * step;
+        },
+        stop: () => this.completePhase(name, startedAt),
+      };
+    }
+
+    this.ensureMultibar();
+    const bar = this.multibar.create(total, 0, this.payload(name, ""));
+    return {
+      increment: (current = "", amount = 1) => {
+        bar.increment(amount, this.payload(name, current));
+        this.refreshOverall();
+      },
+      setTotal: (newTotal) => {
+        total = newTotal;
+        bar.setTotal(total);
+      },
+      stop: () => {
+        bar.update(total, this.payload(name, "done"));
+        this.completePhase(name, startedAt);
+      },
+    };
+  }
+
+  /**
+   * Stop drawing (e.g. before interactive prompts). The next phase starts a fresh display.
+   */
+  pause() {
+    if (this.multibar) {
+      this.multibar.stop();
+      this.multibar = null;
+      this.overallBar = null;
+      Logger.setOutput(null);
+    }
+  }
+
+  /**
+   * Stop drawing for good
+   */
+  stop() {
+    this.pause();
+  }
+
+  ensureMultibar() {
+    if (this.multibar) return;
+    this.multibar = new cliProgress.MultiBar(
+      {
+        format: BAR_FORMAT,
+        hideCursor: true,
+        clearOnComplete: false,
+        stopOnComplete: false,
+        autopadding: true,
+      },
+      cliProgress.Presets.shades_classic,
+    );
+    Logger.setOutput((line) => this.multibar.log(`${line}\n`));
+
+    if (this.phases.length > 0) {
+      this.overallBar = this.multibar.create(
+        this.phases.length,
+        this.completedPhases,
+        this.payload("Overall", ""),
+      );
+    }
+  }
+
+  completePhase(name, startedAt) {
+    this.completedPhases++;
+    const elapsed = ((Date.now() - startedAt) / 1000).toFixed(1);
+    if (this.overallBar) {
+      this.overallBar.update(
+        this.completedPhases,
+        this.payload("Overall", `${name} finished in ${elapsed}s`),
+      );
+    } else if (!this.enabled) {
+      Logger.info(`${name}: finished in ${elapsed}s`);
+    }
+  }
+
+  refreshOverall() {
+    if (this.overallBar) {
+      this.overallBar.update(this.completedPhases, this.payload("Overall", ""));
+    }
+  }
+
+  payload(phase, current) {
+    return {
+      phase: phase.padEnd(19),
+      current: String(current || "").slice(0, 40),
+      ...this.tally,
+    };
+  }
+}
+
+module.exports = SyncProgress;
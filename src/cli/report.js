@@ -0,0 +1,86 @@
+const chalk = require("chalk");
+const Logger = require("../utils/logger");
+const {
+  renderSyncReport,
+  listSyncReports,
+  loadSyncReport,
+} = require("../utils/sync-report");
+const { UsageError } = require("../utils/errors");
+const { EXIT_CODES } = require("./exit-codes");
+
+function formatSummary(summary) {
+  return `${summary.added} added, ${summary.duplicate} duplicates, ${summary.unmatched} unmatched, ${summary.error} errors`;
+}
+
+async function listReports() {
+  const runs = await listSyncReports();
+  if (runs.length === 0) {
+    Logger.info("No sync reports yet. Reports are written after every sync.");
+    return EXIT_CODES.OK;
+  }
+  Logger.info(chalk.bold(`\n📄 Sync reports (${runs.length}):`));
+  for (const runId of runs) {
+    try {
+      const report = await loadSyncReport(runId);
+      Logger.info(
+        `  ${runId}  "${report.playlist.name}"  ${formatSummary(report.summary)}`,
+      );
+    } catch (error) {
+      Logger.warning(`  ${runId}  (unreadable: ${error.message})`);
+    }
+  }
+  return EXIT_CODES.OK;
+}
+
+/**
+ * `report [run]` command: list saved runs or show one report
+ */
+async function run({ positionals, flags }) {
+  if (!positionals[0]) {
+    return listReports();
+  }
+
+  const report = await loadSyncReport(positionals[0]);
+  if (flags.format) {
+    const content = renderSyncReport(report, flags.format);
+    if (content === null) {
+      throw new UsageError(`Unknown report format "${flags.format}"`, "report");
+    }
+    process.stdout.write(content);
+    return EXIT_CODES.OK;
+  }
+
+  Logger.info(chalk.bold(`\n📄 Sync report ${report.runId}`));
+  Logger.info(`  • Playlist: "${report.playlist.name}" (${report.playlist.id})`);
+  Logger.info(`  • Source: ${report.sourceFile}`);
+  Logger.info(`  • Tracks: ${report.summary.total} (${formatSummary(report.summary)})`);
+
+  const rows = flags.all
+    ? report.tracks
+    : report.tracks.filter((row) => ["unmatched", "error"].includes(row.outcome));
+  if (rows.length > 0) {
+    Logger.info(chalk.bold(flags.all ? "\nTracks:" : "\nFailed matches:"));
+  }
+  rows.forEach((row) => {
+    const target = row.spotifyUri
+      ? ` → ${row.spotifyName} (${row.spotifyUri})`
+      : "";
+    const note = row.error ? ` [${row.error}]` : "";
+    Logger.info(
+      `  ${row.outcome.padEnd(9)} ${row.artist} - ${row.title}${target}${note}`,
+    );
+  });
+  return EXIT_CODES.OK;
+}
+
+module.exports = {
+  name: "report",
+  summary: "List sync reports or show one run",
+  usage: "report [<run-id>|latest|<report.json>] [--all] [--format json|csv|html]",
+  options: [
+    ["--all", "List every track, not just failed matches"],
+    ["--format <format>", "Print the report as json, csv or html"],
+  ],
+  boolean: ["all"],
+  run,
+};
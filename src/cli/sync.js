@@ -1,34 +1,948 @@
-// Example CLI integration for playlist selection/creation
-
-const SpotifyApi = require("spotify-web-api-node");
-const playlistUtils = require("../spotify/playlist");
+const inquirer = require("inquirer");
 const Logger = require("../utils/logger");
-// Assume token management and Apple Music parsing handled elsewhere
+const playlistUtils = require("../spotify/playlist");
+const trackManager = require("../spotify/trackManager");
+const {
+  FORMATS,
+  detectFormat,
+  parseExport,
+  streamExport,
+} = require("../parsers");
+const { parseColumnMap } = require("../parsers/csv");
+const { parseLocaleOption } = require("../parsers/locales");
+const SpotifyAuth = require("../auth/spotify-auth");
+const { searchTrackDetailed } = require("../spotify/search");
+const { reviewMatches, needsReview } = require("./interactive");
+const { printSyncPlan, printLocalFiles } = require("./display");
+const mirrorUtils = require("../spotify/mirror");
+const ordering = require("../spotify/ordering");
+const { printApiMetrics } = require("../spotify/api-client");
+const SearchQueue = require("../spotify/search-queue");
+const SyncProgress = require("./progress");
+const {
+  prepareSongs,
+  prepareSongStream,
+  printValidationReport,
+  buildSearchInput,
+} = require("../data/song-pipeline");
+const {
+  parseWhere,
+  filterSongs,
+  filterSongStream,
+  printFilterStats,
+} = require("../data/song-filter");
+const {
+  parseSortOption,
+  parseTopOption,
+  rankSongs,
+} = require("../data/song-sort");
+const { MEDIA_KINDS, describeKindCounts } = require("../data/song-kind");
+const { isTrackAlreadyInPlaylistDetailed } = require("../utils/track-comparison");
+const { generateTrackKey, loadSearchCache, saveSearchCache } = require("../utils/cache");
+const {
+  loadDecisions,
+  saveDecisions,
+  getDecision,
+  recordDecision,
+} = require("../utils/decisions");
+const {
+  loadSyncHistory,
+  saveSyncHistory,
+  getSyncedUris,
+  recordSyncedUris,
+} = require("../utils/sync-history");
+const {
+  parseReportFormats,
+  createRunId,
+  buildSyncReport,
+  writeSyncReport,
+} = require("../utils/sync-report");
+const {
+  FileParsingError,
+  APIError,
+  UsageError,
+  SpotifyAuthError,
+} = require("../utils/errors");
+const { CONFIG_OPTIONS } = require("./config");
+const { EXIT_CODES } = require("./exit-codes");
+const { loadLibrarySources } = require("./library");
+const config = require("../utils/config");
+
+/**
+ * Authenticate once and load what consecutive syncs can share
+ * @returns {Promise<Object>} { spotifyApi, userId, searchCache }
+ */
+async function createSession() {
+  const spotifyAuth = new SpotifyAuth();
+  await spotifyAuth.authenticate();
+  const spotifyApi = spotifyAuth.getSpotifyApi();
 
-async function runSync({ spotifyApi, appleMusicPlaylistName }) {
-  // Get Spotify user ID (required for playlist creation)
   const me = await spotifyApi.getMe();
   if (!me || !me.body || !me.body.id) {
-    Logger.error("Failed to get Spotify user profile:", me);
-    process.exit(1);
+    throw new APIError("Failed to get Spotify user profile");
+  }
+
+  Logger.info("Loading search cache...");
+  const searchCache = await loadSearchCache();
+  return { spotifyApi, userId: me.body.id, searchCache };
+}
+
+/**
+ * Ask whether to go on when validation reported issues
+ * @param {string} [message] - Prompt text
+ * @returns {Promise<boolean>} False when the user declined
+ */
+async function confirmValidation(
+  prepared,
+  message = "Validation reported issues. Continue with the sync?",
+) {
+  if (prepared.report.recommendations.length === 0) return true;
+  const { proceed } = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "proceed",
+      message,
+      default: true,
+    },
+  ]);
+  return proceed;
+}
+
+/**
+ * Sync one Apple Music export into a Spotify playlist
+ * @param {string} appleMusicFile - Path to the exported playlist
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Print the plan without touching Spotify or the cache
+ * @param {boolean} [options.mirror] - Remove extra tracks and restore the export order
+ * @param {boolean} [options.keepManual] - With mirror, keep tracks added on the Spotify side
+ * @param {Array<string>} [options.reportFormats] - Report formats to write
+ * @param {boolean} [options.confirm] - Ask before syncing an export with validation issues
+ * @param {boolean} [options.review] - Offer uncertain matches for interactive review
+ * @param {string} [options.playlistName] - Use/create this playlist instead of prompting
+ * @param {boolean} [options.nameAfterExport] - Without playlistName, use/create the playlist named after
+ *   the export (its #PLAYLIST name for M3U, else the file name) instead of prompting
+ * @param {Object} [options.session] - From createSession; created on demand when omitted
+ * @param {Object} [options.source] - Already parsed { songs, metadata }, e.g. a Library.xml playlist
+ * @param {Object} [options.columnMap] - CSV column mapping (--map)
+ * @param {string} [options.locale] - Export locale (--locale); detected when omitted
+ * @param {boolean} [options.stream] - Read the export incrementally and start searching before it is fully parsed
+ * @param {Array<Object>} [options.where] - Filter clauses from parseWhere (--where); only matching songs are synced
+ * @param {Object} [options.sortBy] - From parseSortOption (--sort-by); new tracks follow this order, and with mirror the whole playlist does
+ * @param {number} [options.top] - Only sync this many songs that pass the kind and validation checks, ranked by sortBy (plays when unset)
+ * @returns {Promise<Object>} { status: "complete" | "dry-run" | "cancelled", runId, playlist, summary };
+ *   cancelled results stopped with Ctrl+C also carry interrupted: true
+ */
+async function runSync(appleMusicFile, options = {}) {
+  const progress = new SyncProgress({
+    phases: ["Cache lookup", "Spotify search", "Duplicate detection", "Adding tracks"],
+  });
+  // Leave the terminal clean if the process exits while bars are drawn
+  const stopProgress = () => progress.stop();
+  process.once("exit", stopProgress);
+  try {
+    return await syncExport(appleMusicFile, options, progress);
+  } finally {
+    progress.stop();
+    process.removeListener("exit", stopProgress);
+  }
+}
+
+/**
+ * The steps of runSync, drawing its phases on `progress`
+ */
+async function syncExport(appleMusicFile, options, progress) {
+  const {
+    dryRun = false,
+    mirror = false,
+    keepManual = false,
+    reportFormats = parseReportFormats(),
+    confirm = true,
+    review = true,
+    playlistName = null,
+    nameAfterExport = false,
+    stream = false,
+    where = null,
+    sortBy = null,
+    top = null,
+  } = options;
+  const runId = createRunId();
+  if (keepManual && !mirror) {
+    Logger.warning("--keep-manual only applies together with --mirror");
   }
-  const userId = me.body.id;
+  if (dryRun) {
+    Logger.info("Dry run: Spotify playlists and the search cache will not be modified");
+  }
+
+  // 1. Parse the export (Library.xml playlists arrive already parsed). When streaming,
+  // rows are read while earlier ones are already being searched (step 6).
+  const ranking = Boolean(sortBy || top);
+  if (stream && ranking) {
+    Logger.warning(
+      "--sort-by and --top need the whole export; reading it without --stream",
+    );
+  }
+  const streaming = stream && !options.source && !ranking;
+  let parseResult = null;
+  let songStream = null;
+  if (streaming) {
+    songStream = await streamExport(appleMusicFile, {
+      columnMap: options.columnMap,
+      locale: options.locale,
+    });
+  } else {
+    parseResult =
+      options.source ||
+      (await parseExport(appleMusicFile, {
+        columnMap: options.columnMap,
+        locale: options.locale,
+      }));
+  }
+
+  const { metadata } = songStream || parseResult;
+  const applePlaylistName =
+    (metadata && metadata.playlistName) || "Imported Playlist";
+
+  // 2. Apply --where, --sort-by and --top, then normalize and validate songs before
+  // any Spotify calls
+  let prepared;
+  let preparedChunks = null;
+  let filterStats = null;
+  // Streamed songs whose validation was checked before searching
+  let checkedCount = 0;
+  if (streaming) {
+    const filtered = filterSongStream(songStream.songs, where);
+    filterStats = filtered.stats;
+    // Filled chunk by chunk in step 6; the full validation report is printed once parsing ends
+    const streamed = prepareSongStream(filtered.songs);
+    prepared = streamed.prepared;
+    // Check the first chunk before any Spotify calls, as without --stream
+    const first = await streamed.chunks.next();
+    const firstPart = streamed.readSoFar();
+    if (confirm && firstPart.report.recommendations.length > 0) {
+      Logger.info(`Validated the first ${firstPart.report.summary.total} songs before searching:`);
+      printValidationReport(firstPart);
+      if (!(await confirmValidation(firstPart))) {
+        Logger.info("Sync cancelled before contacting Spotify.");
+        return { status: "cancelled", runId };
+      }
+    }
+    checkedCount = firstPart.report.summary.total;
+    preparedChunks = (async function* () {
+      if (!first.done) yield first.value;
+      yield* streamed.chunks;
+    })();
+  } else {
+    // Handle different possible structures from the parser
+    let parsedSongs;
+    if (parseResult.tracks) {
+      parsedSongs = parseResult.tracks;
+    } else if (parseResult.songs) {
+      parsedSongs = parseResult.songs;
+    } else if (Array.isArray(parseResult)) {
+      parsedSongs = parseResult;
+    } else {
+      throw new FileParsingError(
+        `Could not find tracks in parse result. Available properties: ${Object.keys(parseResult).join(", ")}`,
+        appleMusicFile,
+      );
+    }
+
+    if (where) {
+      ({ songs: parsedSongs, stats: filterStats } = filterSongs(parsedSongs, where));
+      printFilterStats(filterStats, { detailed: dryRun });
+    }
+    parsedSongs = rankSongs(parsedSongs, { sortBy, top });
+
+    prepared = prepareSongs(parsedSongs, { top });
+    printValidationReport(prepared);
+
+    if (confirm && !(await confirmValidation(prepared))) {
+      Logger.info("Sync cancelled before contacting Spotify.");
+      return { status: "cancelled", runId };
+    }
+
+    Logger.info(`Found ${prepared.tracks.length} tracks to sync`);
+    if (prepared.tracks.length === 0) {
+      throw new FileParsingError(
+        "No valid tracks left after validation",
+        appleMusicFile,
+      );
+    }
+  }
+  // Grows while a streamed export is read (streamed tracks are not kept, only their results)
+  let trackCount = streaming ? 0 : prepared.tracks.length;
+
+  // 3. Authenticate (unless a batch shares its session) and load the search cache
+  const session = options.session || (await createSession());
+  const { spotifyApi, searchCache } = session;
 
-  // Select or create playlist
-  const playlist = await playlistUtils.selectOrCreatePlaylistFlow(
-    spotifyApi,
-    userId,
-    appleMusicPlaylistName,
+  // 4. Run playlist selection/creation flow
+  const targetName =
+    playlistName ||
+    (nameAfterExport ? config.formatPlaylistName(applePlaylistName) : null);
+  const targetPlaylist = targetName
+    ? await playlistUtils.findOrCreatePlaylistByName(spotifyApi, targetName, {
+        playlists: session.playlists,
+        ownerId: session.userId,
+        dryRun,
+      })
+    : await playlistUtils.selectOrCreatePlaylistFlow(
+        spotifyApi,
+        config.formatPlaylistName(applePlaylistName),
+        { dryRun },
+      );
+  if (!targetPlaylist) {
+    Logger.warning("No playlist selected or created.");
+    return { status: "cancelled", runId };
+  }
+  Logger.info(
+    `Selected playlist: "${targetPlaylist.name}" (${targetPlaylist.id})`,
   );
 
-  if (!playlist) {
-    Logger.error("No playlist selected or created. Exiting.");
-    process.exit(1);
+  // 5. Get existing tracks from the Spotify playlist
+  Logger.info("Fetching existing tracks from Spotify playlist...");
+  const existingTracks = targetPlaylist.id
+    ? await playlistUtils.getPlaylistTracks(spotifyApi, targetPlaylist.id)
+    : [];
+  Logger.info(`Found ${existingTracks.length} existing tracks in playlist`);
+
+  // 6. Apply saved decisions and identify tracks to search
+  const decisions = await loadDecisions();
+
+  // Tracks searched in this run; the tracks themselves go straight to the search queue
+  let searchCount = 0;
+  const cachedResults = [];
+  const decidedResults = [];
+  let cacheHits = 0;
+
+  const cachePhase = progress.startPhase("Cache lookup", trackCount);
+
+  // Returns the track to search, or null when a decision or the cache settled it
+  const lookupTrack = (track) => {
+    cachePhase.increment(`${track.artist} - ${track.title}`);
+    const trackKey = generateTrackKey(track);
+    const decision = getDecision(decisions, track);
+
+    // Saved manual picks/skips win over cache and search
+    if (decision && decision.selected) {
+      decidedResults.push({
+        ...track,
+        spotifyUri: decision.selected.uri,
+        spotifyTrackInfo: {
+          name: decision.selected.name,
+          artists: decision.selected.artists,
+          album: decision.selected.album
+        },
+        matched: true,
+        confidence: decision.selected.confidence,
+        searchStrategy: "decision",
+        fromDecision: true
+      });
+      progress.count("matched");
+      return null;
+    }
+    if (decision && decision.skipped) {
+      decidedResults.push({ ...track, matched: false, fromDecision: true, reviewDecision: "skipped" });
+      progress.count("unmatched");
+      return null;
+    }
+
+    const rejectedUris = decision ? decision.rejectedUris : [];
+    const cached = searchCache[trackKey];
+    // Failed searches cached by older versions are searched again
+    if (
+      cached &&
+      !cached.error &&
+      !(cached.spotifyUri && rejectedUris.includes(cached.spotifyUri))
+    ) {
+      // Found in cache
+      cachedResults.push({
+        ...track,
+        ...cached,
+        candidates: (cached.candidates || []).filter(c => !rejectedUris.includes(c.uri)),
+        rejectedUris,
+        fromCache: true
+      });
+      cacheHits++;
+      progress.count(cached.matched ? "matched" : "unmatched");
+      return null;
+    }
+    // Need to search (cached matches the user rejected are searched again)
+    searchCount++;
+    return { ...track, _cacheKey: trackKey, rejectedUris };
+  };
+
+  // 7. Search for tracks not in cache
+  const newSearchResults = [];
+  let searchPhase = null;
+
+  const searchTrack = async (track) => {
+    try {
+      const { match: searchResult, candidates } = await searchTrackDetailed(
+        spotifyApi,
+        buildSearchInput(track),
+        { excludeUris: track.rejectedUris },
+      );
+
+      let result;
+      if (searchResult && searchResult.uri) {
+        Logger.info(
+          `Found: ${track.artist || track.Artist} - ${track.title || track.name || track.Name} (confidence: ${searchResult.confidence?.toFixed(2) || "N/A"})`,
+        );
+        Logger.debug(
+          `Score breakdown: ${Object.entries(searchResult.breakdown || {})
+            .filter(([, value]) => value != null)
+            .map(([factor, value]) => `${factor}=${value.toFixed(2)}`)
+            .join(", ")}`,
+        );
+        result = {
+          ...track,
+          spotifyUri: searchResult.uri,
+          spotifyTrackInfo: {
+            name: searchResult.name,
+            artists: searchResult.artists,
+            album: searchResult.album
+          },
+          matched: true,
+          confidence: searchResult.confidence,
+          confidenceBreakdown: searchResult.breakdown,
+          searchStrategy: searchResult.strategy,
+          candidates,
+        };
+      } else {
+        Logger.warning(`Not found: ${track.artist || track.Artist} - ${track.title || track.name || track.Name}`);
+        result = {
+          ...track,
+          matched: false,
+          candidates,
+        };
+      }
+
+      // Update cache
+      searchCache[track._cacheKey] = {
+        spotifyUri: result.spotifyUri,
+        spotifyTrackInfo: result.spotifyTrackInfo,
+        matched: result.matched,
+        confidence: result.confidence,
+        confidenceBreakdown: result.confidenceBreakdown,
+        searchStrategy: result.searchStrategy,
+        // Runner-up candidates are kept so cached low-confidence matches can still be reviewed
+        candidates: candidates.map(({ breakdown, ...candidate }) => candidate),
+        cachedAt: new Date().toISOString()
+      };
+
+      progress.count(result.matched ? "matched" : "unmatched");
+      searchPhase.increment(`${track.artist} - ${track.title}`);
+      return result;
+    } catch (error) {
+      // A failed token refresh fails every search after it: stop the run instead
+      if (error instanceof SpotifyAuthError) throw error;
+      Logger.error(
+        `Error searching for ${track.artist || track.Artist} - ${track.title || track.name || track.Name}: ${error.message}`,
+      );
+      // Reported as an error and left out of the cache, so the next run searches it again
+      const result = {
+        ...track,
+        matched: false,
+        error: error.message,
+      };
+
+      progress.count("unmatched");
+      searchPhase.increment(`${track.artist} - ${track.title}`);
+      return result;
+    }
+  };
+
+  const logLookupStats = () => {
+    if (decidedResults.length > 0) {
+      Logger.info(`Applied ${decidedResults.length} saved match decisions`);
+    }
+    Logger.info(`Cache hits: ${cacheHits}/${trackCount} tracks (${((cacheHits/trackCount)*100).toFixed(1)}%)`);
+  };
+
+  // New results reach the cache file every search.cacheFlushMs, not only at the end
+  let lastFlush = Date.now();
+  let flushing = null;
+  const flushCache = () => {
+    if (dryRun || flushing || Date.now() - lastFlush < config.get("search.cacheFlushMs")) {
+      return;
+    }
+    lastFlush = Date.now();
+    flushing = saveSearchCache(searchCache).finally(() => {
+      flushing = null;
+    });
+  };
+
+  const queue = new SearchQueue(searchTrack, {
+    maxConcurrency: config.get("search.maxConcurrency"),
+    onResult: (result) => {
+      newSearchResults.push(result);
+      flushCache();
+    },
+  });
+  const onRateLimit = () => queue.slowDown();
+  // Ctrl+C finishes the searches in flight and keeps their results; a second one quits at once
+  let interrupted = false;
+  const onInterrupt = () => {
+    interrupted = true;
+    const skipped = queue.cancel();
+    Logger.warning(
+      `Stopping: finishing the searches in flight, ${skipped} not started (Ctrl+C again to quit now)`,
+    );
+  };
+  if (typeof spotifyApi.on === "function") spotifyApi.on("rate-limit", onRateLimit);
+  process.once("SIGINT", onInterrupt);
+
+  let searchError = null;
+  try {
+    if (preparedChunks) {
+      // Search each chunk while the next one is read
+      searchPhase = progress.startPhase("Spotify search", 0);
+      for await (const chunk of preparedChunks) {
+        // Ctrl+C, or a search error that stopped the queue
+        if (queue.cancelled) break;
+        trackCount += chunk.tracks.length;
+        cachePhase.setTotal(trackCount);
+        const chunkToSearch = chunk.tracks.map(lookupTrack).filter(Boolean);
+        if (chunkToSearch.length > 0) {
+          searchPhase.setTotal(searchCount);
+          queue.push(chunkToSearch);
+        }
+      }
+      cachePhase.stop();
+      await queue.drain();
+    } else {
+      const tracksToSearch = prepared.tracks.map(lookupTrack).filter(Boolean);
+      cachePhase.stop();
+
+      logLookupStats();
+      Logger.info(`Need to search: ${searchCount} tracks`);
+
+      searchPhase = progress.startPhase("Spotify search", searchCount);
+      if (searchCount > 0) {
+        Logger.info(`Searching for ${searchCount} new tracks on Spotify...`);
+        queue.push(tracksToSearch);
+        await queue.drain();
+      }
+    }
+  } catch (error) {
+    searchError = error;
+  } finally {
+    process.removeListener("SIGINT", onInterrupt);
+    if (typeof spotifyApi.removeListener === "function") {
+      spotifyApi.removeListener("rate-limit", onRateLimit);
+    }
+  }
+
+  // Save updated cache, including what a cancelled or failed run found
+  await flushing;
+  if (searchCount > 0 && !dryRun) {
+    await saveSearchCache(searchCache);
   }
+  if (searchPhase) searchPhase.stop();
+
+  if (searchError) throw searchError;
+
+  if (interrupted) {
+    progress.stop();
+    Logger.warning(
+      `Sync cancelled after ${queue.completed} of ${searchCount} searches; the playlist was not changed${dryRun ? "" : " and the results so far are cached"}.`,
+    );
+    return { status: "cancelled", runId, interrupted: true };
+  }
+
+  // Bars are redrawn after the interactive review
+  progress.pause();
+
+  if (preparedChunks) {
+    if (where) printFilterStats(filterStats, { detailed: dryRun });
+    printValidationReport(prepared);
+    Logger.info(`Found ${trackCount} tracks to sync`);
+    if (trackCount === 0) {
+      throw new FileParsingError(
+        "No valid tracks left after validation",
+        appleMusicFile,
+      );
+    }
+    logLookupStats();
+    Logger.info(`Searched: ${searchCount} tracks`);
+
+    // The rest of the export has been read only now; nothing has been added yet
+    if (
+      confirm &&
+      prepared.report.summary.total > checkedCount &&
+      !(await confirmValidation(
+        prepared,
+        "Validation of the whole export reported issues. Continue with the sync?",
+      ))
+    ) {
+      Logger.info(
+        `Sync cancelled; the playlist was not changed${dryRun ? "" : " and the search results are cached"}.`,
+      );
+      return { status: "cancelled", runId };
+    }
+  }
+
+  // 8. Combine cached and new results, then let the user resolve uncertain matches
+  // Restore the export row order, which the cache/search split loses
+  const searchedTrackResults = [...decidedResults, ...cachedResults, ...newSearchResults]
+    .sort((a, b) => a.sourceIndex - b.sourceIndex);
+  // Dry runs only list uncertain matches; reviewing would record decisions
+  const { results: allTrackResults, stats: reviewStats } =
+    dryRun || !review
+      ? {
+          results: searchedTrackResults,
+          stats: { reviewed: 0, selected: 0, skipped: 0, kept: 0 },
+        }
+      : await reviewMatches(spotifyApi, searchedTrackResults);
+
+  // Remember deliberate per-track choices (bulk rules are not persisted)
+  const manualDecisions = allTrackResults.filter(
+    (track) => track.manuallyResolved && !track.reviewBulk,
+  );
+  if (manualDecisions.length > 0) {
+    manualDecisions.forEach((track) => {
+      const overridden =
+        track.previousSpotifyUri && track.previousSpotifyUri !== track.spotifyUri
+          ? [track.previousSpotifyUri]
+          : [];
+      recordDecision(decisions, track, {
+        selected: track.reviewDecision !== "skipped"
+          ? {
+              uri: track.spotifyUri,
+              ...track.spotifyTrackInfo,
+              confidence: track.confidence
+            }
+          : null,
+        skipped: track.reviewDecision === "skipped",
+        rejectedUris: overridden
+      });
+    });
+    await saveDecisions(decisions);
+    Logger.info(`Saved ${manualDecisions.length} match decisions for future syncs`);
+  }
+
+  // 9. Filter successful matches and use smart duplicate detection
+  const matchedTracks = allTrackResults.filter((track) => track.matched);
+
+  // Smart duplicate filtering - check against existing tracks
+  const newTracksToAdd = [];
+  const smartDuplicates = [];
+  const duplicatePhase = progress.startPhase("Duplicate detection", matchedTracks.length);
+
+  matchedTracks.forEach(track => {
+    duplicatePhase.increment(`${track.artist} - ${track.title}`);
+    const trackForComparison = {
+      name: track.spotifyTrackInfo?.name || track.title || track.name || track.Name,
+      artists: track.spotifyTrackInfo?.artists || [track.artist || track.Artist],
+      album: track.spotifyTrackInfo?.album || track.album || track.Album
+    };
+
+    const duplicateResult = isTrackAlreadyInPlaylistDetailed(trackForComparison, existingTracks);
+
+    if (duplicateResult.isDuplicate) {
+      smartDuplicates.push({
+        track,
+        method: duplicateResult.method,
+        confidence: duplicateResult.confidence,
+        existingTrack: duplicateResult.existingTrack
+      });
+      progress.count("duplicates");
+      Logger.debug(`Smart duplicate detected: ${track.artist || track.Artist} - ${track.title || track.name || track.Name} (${duplicateResult.method}, confidence: ${duplicateResult.confidence.toFixed(2)})`);
+    } else {
+      newTracksToAdd.push(track);
+    }
+  });
+
+  duplicatePhase.stop();
+
+  const newTrackUris = newTracksToAdd.map(track => track.spotifyUri);
+  const duplicateCount = smartDuplicates.length;
+
+  // 10. Mirror mode: drop playlist tracks with no counterpart in the export
+  const syncHistory = await loadSyncHistory();
+  let mirrorRemoval = null;
+  if (mirror) {
+    mirrorRemoval = await mirrorUtils.removeExtraTracks(
+      spotifyApi,
+      targetPlaylist.id,
+      existingTracks,
+      allTrackResults,
+      {
+        keepManual,
+        syncedUris: getSyncedUris(syncHistory, targetPlaylist.id),
+        dryRun,
+      },
+    );
+  }
+
+  // Local-only files are listed on their own in the plan and the summary
+  const localFiles = allTrackResults.filter(
+    (track) => track.mediaKind === MEDIA_KINDS.LOCAL,
+  );
+
+  if (dryRun) {
+    progress.stop();
+    let reorderMoves = null;
+    if (mirror) {
+      // Project the playlist after removals and appends to count the reorder moves
+      const removed = new Set(mirrorRemoval.removed);
+      const projected = [
+        ...existingTracks.filter((item) => !removed.has(item)),
+        ...newTracksToAdd.map((track) => ({
+          uri: track.spotifyUri,
+          ...track.spotifyTrackInfo,
+        })),
+      ];
+      reorderMoves = ordering.planMoves(
+        ordering.planOrder(ordering.findCounterparts(projected, allTrackResults)),
+      ).length;
+    }
+    printSyncPlan({
+      playlist: targetPlaylist,
+      toAdd: newTracksToAdd,
+      duplicates: smartDuplicates,
+      unmatched: allTrackResults.filter((track) => !track.matched),
+      needsReview: allTrackResults.filter(
+        (track) =>
+          track.matched && needsReview(track, config.get("review.threshold")),
+      ),
+      toRemove: mirrorRemoval ? mirrorRemoval.removed : [],
+      keptManual: mirrorRemoval ? mirrorRemoval.keptManual : [],
+      reorderMoves,
+      localFiles,
+    });
+    const skippedCount = prepared.rejected.length + prepared.excluded.length;
+    return {
+      status: "dry-run",
+      runId,
+      playlist: targetPlaylist,
+      // "added" counts the tracks that would be added
+      summary: {
+        total: allTrackResults.length + skippedCount,
+        added: newTracksToAdd.length,
+        duplicate: duplicateCount,
+        unmatched:
+          allTrackResults.filter((track) => !track.matched && !track.error)
+            .length + skippedCount,
+        error: allTrackResults.filter((track) => track.error).length,
+      },
+    };
+  }
+
+  Logger.info(`Found ${matchedTracks.length} out of ${trackCount} tracks on Spotify`);
+  Logger.info(`${duplicateCount} tracks already exist in playlist (smart detection), ${newTrackUris.length} new tracks to add`);
+
+  // 11. Add only new tracks to the playlist, next to their Apple Music neighbours
+  let addedCount = 0;
+  let attemptedUris = [];
+  if (newTrackUris.length > 0) {
+    Logger.info(`Adding ${newTrackUris.length} new tracks to playlist...`);
+    // Removals shift the positions after them: read the playlist again
+    const currentTracks =
+      mirrorRemoval && mirrorRemoval.removedCount > 0
+        ? await playlistUtils.getPlaylistTracks(spotifyApi, targetPlaylist.id)
+        : existingTracks;
+    // Skip URIs already present and rows that matched the same Spotify track twice
+    const currentUris = new Set(currentTracks.map((item) => item.uri));
+    const insertions = ordering.planInsertions(
+      newTracksToAdd.filter((track) => {
+        if (currentUris.has(track.spotifyUri)) return false;
+        currentUris.add(track.spotifyUri);
+        return true;
+      }),
+      currentTracks,
+      ordering.findCounterparts(currentTracks, allTrackResults),
+    );
+    attemptedUris = insertions.flatMap((group) => group.uris);
+    const addPhase = progress.startPhase("Adding tracks", attemptedUris.length);
+    addedCount = await trackManager.insertTracksAtPositions(
+      spotifyApi,
+      targetPlaylist.id,
+      insertions,
+      { onBatch: (count) => addPhase.increment(`${count} tracks`, count) },
+    );
+    addPhase.stop();
+  } else {
+    Logger.info("No new tracks to add. Playlist is already up to date!");
+  }
+
+  // Batches are sent in order and stop at the first failure
+  const addedUris = attemptedUris.slice(0, addedCount);
+
+  // Remember which playlist tracks came from the export, so --keep-manual can tell them apart
+  recordSyncedUris(
+    syncHistory,
+    targetPlaylist.id,
+    [
+      ...addedUris,
+      ...smartDuplicates.map(({ existingTrack }) => existingTrack && existingTrack.uri),
+    ],
+    { playlistName: targetPlaylist.name, sourceFile: appleMusicFile },
+  );
+  await saveSyncHistory(syncHistory);
+
+  // 12. Mirror mode: reorder to follow the export row order
+  let reorderResult = null;
+  if (mirror) {
+    reorderResult = await mirrorUtils.reorderToMatch(
+      spotifyApi,
+      targetPlaylist.id,
+      allTrackResults,
+    );
+  }
+
+  progress.stop();
+  Logger.info(
+    `Sync complete! Added ${addedCount} new tracks to playlist "${targetPlaylist.name}".`,
+  );
+
+  // Summary statistics
+  Logger.info(`\n📊 Sync Summary:`);
   Logger.info(
-    `Proceeding to sync to playlist: "${playlist.name}" (${playlist.id})`,
+    `  • Total Apple Music tracks: ${prepared.report.summary.total + prepared.excluded.length}`,
   );
-  // ...continue with track matching and adding tracks
+  Logger.info(`  • By kind: ${describeKindCounts(prepared.kindCounts)}`);
+  Logger.info(`  • Left out by kind: ${prepared.excluded.length}`);
+  Logger.info(`  • Skipped by validation: ${prepared.rejected.length}`);
+  Logger.info(`  • Flagged for review: ${prepared.flagged.length}`);
+  Logger.info(`  • Cache hits: ${cacheHits} (${((cacheHits/trackCount)*100).toFixed(1)}%)`);
+  Logger.info(`  • New searches: ${searchCount}`);
+  Logger.info(`  • Found on Spotify: ${matchedTracks.length}`);
+  Logger.info(`  • Manually resolved: ${reviewStats.selected} selected, ${reviewStats.skipped} skipped`);
+  Logger.info(`  • Saved decisions applied: ${decidedResults.length}`);
+  Logger.info(`  • Smart duplicates detected: ${duplicateCount}`);
+  Logger.info(`  • Newly added: ${addedCount}`);
+  if (mirror) {
+    Logger.info(`  • Removed (mirror): ${mirrorRemoval.removedCount}`);
+    Logger.info(`  • Kept manual tracks: ${mirrorRemoval.keptManual.length}`);
+    Logger.info(`  • Reorder moves: ${reorderResult.movedCount}`);
+  }
+  Logger.info(`  • Not found: ${allTrackResults.filter(t => !t.matched && !t.error).length}`);
+  Logger.info(`  • Search failed (searched again next run): ${allTrackResults.filter(t => t.error).length}`);
+  printApiMetrics(spotifyApi);
+
+  // Log summary of unmatched tracks
+  const unmatchedTracks = allTrackResults.filter((track) => !track.matched && !track.error);
+  if (unmatchedTracks.length > 0) {
+    Logger.warning(`\n❌ Tracks not found on Spotify:`);
+    unmatchedTracks.forEach((track) => {
+      Logger.warning(`  - ${track.artist || track.Artist} - ${track.title || track.name || track.Name}`);
+    });
+  }
+  const failedTracks = allTrackResults.filter((track) => track.error);
+  if (failedTracks.length > 0) {
+    Logger.warning(`\n⚠️  Searches that failed:`);
+    failedTracks.forEach((track) => {
+      Logger.warning(`  - ${track.artist || track.Artist} - ${track.title || track.name || track.Name}: ${track.error}`);
+    });
+  }
+  printLocalFiles(localFiles);
+
+  // Per-track report for reviewing and sharing failed matches
+  const report = buildSyncReport({
+    runId,
+    sourceFile: appleMusicFile,
+    playlist: targetPlaylist,
+    results: allTrackResults,
+    duplicates: smartDuplicates,
+    attemptedUris,
+    addedUris,
+    rejected: prepared.rejected,
+    excluded: prepared.excluded,
+    mirror: mirror
+      ? {
+          removedCount: mirrorRemoval.removedCount,
+          keptManual: mirrorRemoval.keptManual.length,
+          movedCount: reorderResult.movedCount,
+        }
+      : null,
+  });
+  const reportFiles = await writeSyncReport(report, reportFormats);
+  if (reportFiles.length > 0) {
+    Logger.info(`\n📄 Sync report (run ${runId}):`);
+    reportFiles.forEach((file) => Logger.info(`  • ${file}`));
+  }
+
+  return {
+    status: "complete",
+    runId,
+    playlist: targetPlaylist,
+    summary: report.summary,
+  };
+}
+
+/**
+ * `sync <file>` command
+ */
+async function run({ positionals, flags }) {
+  const appleMusicFile = positionals[0];
+  if (!appleMusicFile) {
+    throw new UsageError("Missing the Apple Music playlist file", "sync");
+  }
+  const syncOptions = {
+    dryRun: Boolean(flags.dryRun),
+    mirror: Boolean(flags.mirror),
+    keepManual: Boolean(flags.keepManual),
+    review: flags.review !== false,
+    reportFormats: parseReportFormats(flags.reportFormat, "sync"),
+    stream: Boolean(flags.stream),
+    columnMap: parseColumnMap(flags.map, "sync"),
+    locale: parseLocaleOption(flags.locale, "sync"),
+    where: parseWhere(flags.where, "sync"),
+    sortBy: parseSortOption(flags.sortBy, "sync"),
+    top: parseTopOption(flags.top, "sync"),
+  };
+
+  if ((await detectFormat(appleMusicFile)) !== FORMATS.LIBRARY_XML) {
+    const result = await runSync(appleMusicFile, syncOptions);
+    return result.status === "cancelled" ? EXIT_CODES.CANCELLED : EXIT_CODES.OK;
+  }
+
+  // Library.xml: sync each chosen playlist; several picks go to playlists of the same name
+  const sources = await loadLibrarySources(appleMusicFile, {
+    playlists: flags.playlist,
+  });
+  const session = await createSession();
+  let cancelled = false;
+  for (const source of sources) {
+    const result = await runSync(appleMusicFile, {
+      ...syncOptions,
+      source,
+      session,
+      playlistName:
+        sources.length > 1
+          ? config.formatPlaylistName(source.metadata.playlistName)
+          : null,
+    });
+    cancelled = cancelled || result.status === "cancelled";
+    if (result.interrupted) break;
+  }
+  return cancelled ? EXIT_CODES.CANCELLED : EXIT_CODES.OK;
 }
 
-module.exports = runSync;
+module.exports = {
+  name: "sync",
+  summary: "Sync an Apple Music export into a Spotify playlist",
+  usage: "sync <playlist.txt|.m3u8|.csv|Library.xml> [options]",
+  options: [
+    ["--playlist <name>", "Library.xml playlist to sync (name, folder path or Persistent ID; repeatable)"],
+    ["--map <field=Column,...>", "CSV column mapping, e.g. title=Track,artist=Performer"],
+    ["--locale <code>", "Export language: auto (default), en, de, fr, es or ja"],
+    ["--where <expr>", 'Only sync matching songs, e.g. "genre=Rock and year<2000" (repeatable)'],
+    ["--sort-by <field>", "Place new tracks in order of plays, rating, dateAdded, lastPlayed or year (add :asc or :desc); --mirror reorders the whole playlist"],
+    ["--top <n>", "Only sync the first n songs by --sort-by that can be synced (default: most played)"],
+    ["--dry-run", "Print the sync plan without changing Spotify or the cache"],
+    ["--mirror", "Remove tracks missing from the export and restore its order"],
+    ["--keep-manual", "With --mirror, keep tracks added on the Spotify side"],
+    ["--no-review", "Do not offer uncertain matches for manual review"],
+    ["--stream", "Read large exports incrementally and start searching before parsing ends; only the first 200 songs are validated before searching"],
+    ["--report-format <list>", "Report formats to write (default: reports.formats setting)"],
+    ...CONFIG_OPTIONS,
+  ],
+  boolean: ["dry-run", "mirror", "keep-manual", "review", "stream", "public"],
+  multiple: ["playlist", "where"],
+  run,
+  runSync,
+  createSession,
+};
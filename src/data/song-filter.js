@@ -0,0 +1,253 @@
+const Logger = require("../utils/logger");
+const { UsageError } = require("../utils/errors");
+
+/**
+ * Song fields a --where clause can test. Counts and ratings that are blank in the
+ * export mean 0 (never played, unrated); a blank year or date never matches.
+ */
+const FILTER_FIELDS = {
+  genre: { key: "genre", type: "text" },
+  kind: { key: "kind", type: "text" },
+  year: { key: "year", type: "number" },
+  rating: { key: "rating", type: "number", blank: 0 },
+  playCount: { key: "playCount", type: "number", blank: 0 },
+  skipCount: { key: "skipCount", type: "number", blank: 0 },
+  dateAdded: { key: "dateAddedISO", type: "date" },
+  lastPlayed: { key: "lastPlayedISO", type: "date" },
+};
+
+// Other spellings accepted for each field (compared case-insensitively)
+const FIELD_ALIASES = {
+  plays: "playCount",
+  skips: "skipCount",
+  dateaddediso: "dateAdded",
+  lastplayediso: "lastPlayed",
+};
+
+const FIELD_LOOKUP = new Map([
+  ...Object.keys(FILTER_FIELDS).map((name) => [name.toLowerCase(), name]),
+  ...Object.entries(FIELD_ALIASES),
+]);
+
+// Longest operators first so "<=" is not read as "<"
+const CLAUSE_PATTERN = /^\s*([A-Za-z]+)\s*(!=|>=|<=|=|<|>|~)\s*(.*?)\s*$/;
+
+const DATE_VALUE = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+const COMPARE = {
+  "=": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+};
+
+/**
+ * Split an expression on "and", leaving quoted values alone
+ */
+function splitClauses(expression) {
+  const clauses = [];
+  let current = "";
+  let quote = null;
+  for (let i = 0; i < expression.length; i++) {
+    const char = expression[i];
+    if (quote) {
+      if (char === quote) quote = null;
+      current += char;
+      continue;
+    }
+    if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+      continue;
+    }
+    const rest = expression.slice(i);
+    const and = rest.match(/^\s+and\s+/i);
+    if (and) {
+      clauses.push(current);
+      current = "";
+      i += and[0].length - 1;
+      continue;
+    }
+    current += char;
+  }
+  clauses.push(current);
+  return clauses;
+}
+
+/**
+ * Parse one "field<op>value" clause into { text, field, op, value, test(song) }
+ */
+function parseClause(text, command) {
+  const match = text.match(CLAUSE_PATTERN);
+  if (!match) {
+    throw new UsageError(
+      `Invalid --where clause "${text.trim()}" (expected field<op>value, e.g. year<2000)`,
+      command,
+    );
+  }
+  const [, fieldName, op] = match;
+  const raw = match[3].replace(/^(["'])(.*)\1$/, "$2");
+  const name = FIELD_LOOKUP.get(fieldName.toLowerCase());
+  if (!name) {
+    throw new UsageError(
+      `Unknown --where field "${fieldName}" (use one of: ${Object.keys(FILTER_FIELDS).join(", ")})`,
+      command,
+    );
+  }
+  const field = FILTER_FIELDS[name];
+  const clause = { text: text.trim(), field: name, op, value: raw };
+
+  if (field.type === "text") {
+    if (!["=", "!=", "~"].includes(op)) {
+      throw new UsageError(
+        `--where field "${name}" is text and only supports =, != and ~ (contains)`,
+        command,
+      );
+    }
+    const wanted = raw.toLowerCase();
+    clause.test = (song) => {
+      const actual = String(song[field.key] || "").toLowerCase();
+      if (op === "~") return actual.includes(wanted);
+      return COMPARE[op](actual, wanted);
+    };
+    return clause;
+  }
+
+  if (op === "~") {
+    throw new UsageError(`--where operator ~ only applies to text fields`, command);
+  }
+
+  if (field.type === "number") {
+    const wanted = Number(raw);
+    if (raw === "" || !Number.isFinite(wanted)) {
+      throw new UsageError(`--where field "${name}" needs a number, got "${raw}"`, command);
+    }
+    clause.test = (song) => {
+      const actual =
+        song[field.key] == null ? field.blank : song[field.key];
+      if (actual == null) return op === "!=";
+      return COMPARE[op](actual, wanted);
+    };
+    return clause;
+  }
+
+  // Dates compare on the precision given: dateAdded>=2020 means from 1 January 2020,
+  // lastPlayed<2023-06 means before June 2023
+  if (!DATE_VALUE.test(raw)) {
+    throw new UsageError(
+      `--where field "${name}" needs a date as YYYY, YYYY-MM or YYYY-MM-DD, got "${raw}"`,
+      command,
+    );
+  }
+  clause.test = (song) => {
+    const actual = song[field.key];
+    if (!actual) return op === "!=";
+    return COMPARE[op](String(actual).slice(0, raw.length), raw);
+  };
+  return clause;
+}
+
+/**
+ * Parse --where expressions; several expressions (repeated flags) must all hold
+ * @param {string|Array<string>} value - e.g. "genre=Rock and year<2000 and rating>=80"
+ * @param {string} [command] - Command name for usage errors
+ * @returns {Array<Object>|null} Clauses in the order given, or null when no filter was set
+ */
+function parseWhere(value, command) {
+  if (value === undefined || value === null) return null;
+  const expressions = Array.isArray(value) ? value : [value];
+  const clauses = expressions.flatMap((expression) => {
+    if (typeof expression !== "string" || !expression.trim()) {
+      throw new UsageError("--where needs an expression, e.g. year<2000", command);
+    }
+    return splitClauses(expression).map((text) => parseClause(text, command));
+  });
+  return clauses.length > 0 ? clauses : null;
+}
+
+/**
+ * Tracks what a filter removed. Each song is charged to the first clause it fails,
+ * so the per-clause counts add up to the number of songs removed.
+ */
+function createFilterStats(clauses) {
+  return {
+    total: 0,
+    kept: 0,
+    removed: clauses.map((clause) => ({ clause: clause.text, count: 0 })),
+  };
+}
+
+function songPasses(clauses, stats, song) {
+  stats.total++;
+  const failed = clauses.findIndex((clause) => !clause.test(song));
+  if (failed >= 0) {
+    stats.removed[failed].count++;
+    return false;
+  }
+  stats.kept++;
+  return true;
+}
+
+/**
+ * Keep the songs that satisfy every clause
+ * @param {Array<Object>} songs - Parsed songs
+ * @param {Array<Object>|null} clauses - From parseWhere; null keeps everything
+ * @returns {Object} { songs, stats } where stats is { total, kept, removed: [{ clause, count }] }
+ */
+function filterSongs(songs, clauses) {
+  const stats = createFilterStats(clauses || []);
+  if (!clauses) {
+    stats.total = stats.kept = songs.length;
+    return { songs, stats };
+  }
+  return {
+    songs: songs.filter((song) => songPasses(clauses, stats, song)),
+    stats,
+  };
+}
+
+/**
+ * Streaming counterpart of filterSongs; stats fill in as the songs are read
+ * @param {AsyncIterable<Object>} songs
+ * @param {Array<Object>|null} clauses
+ * @returns {Object} { songs: AsyncGenerator<Object>, stats }
+ */
+function filterSongStream(songs, clauses) {
+  const stats = createFilterStats(clauses || []);
+  async function* filtered() {
+    for await (const song of songs) {
+      if (!clauses) {
+        stats.total++;
+        stats.kept++;
+        yield song;
+      } else if (songPasses(clauses, stats, song)) {
+        yield song;
+      }
+    }
+  }
+  return { songs: filtered(), stats };
+}
+
+/**
+ * Log what the filter kept; with `detailed`, also how many songs each clause removed
+ */
+function printFilterStats(stats, { detailed = false } = {}) {
+  Logger.info(
+    `Filter kept ${stats.kept} of ${stats.total} songs (${stats.total - stats.kept} removed)`,
+  );
+  if (detailed) {
+    stats.removed.forEach(({ clause, count }) => {
+      Logger.info(`  • ${clause}: removed ${count}`);
+    });
+  }
+}
+
+module.exports = {
+  FILTER_FIELDS,
+  parseWhere,
+  filterSongs,
+  filterSongStream,
+  printFilterStats,
+};
@@ -0,0 +1,113 @@
+const config = require("../utils/config");
+
+/**
+ * What an export row is, from its Kind (and Genre) column. Rows without a Kind,
+ * such as M3U and most CSV entries, count as songs.
+ */
+const MEDIA_KINDS = {
+  SONG: "song",
+  MUSIC_VIDEO: "music-video",
+  PODCAST: "podcast",
+  VOICE_MEMO: "voice-memo",
+  LOCAL: "local",
+};
+
+const KIND_LABELS = {
+  [MEDIA_KINDS.SONG]: ["song", "songs"],
+  [MEDIA_KINDS.MUSIC_VIDEO]: ["music video", "music videos"],
+  [MEDIA_KINDS.PODCAST]: ["podcast episode", "podcast episodes"],
+  [MEDIA_KINDS.VOICE_MEMO]: ["voice memo", "voice memos"],
+  [MEDIA_KINDS.LOCAL]: ["local file", "local files"],
+};
+
+// Ripped, imported or uploaded files: "MPEG audio file", "Apple Lossless audio file", ...
+// Catalog and store copies say so ("Apple Music AAC audio file", "Purchased ...", "Matched ...").
+const PLAIN_FILE_KIND = /\baudio file$/i;
+const CATALOG_KIND = /^(apple music|purchased|matched|protected)\b/i;
+
+// Trailing video markers that keep a music video title from matching the audio track:
+// "(Official Video)", "[Lyric Video HD]", "- Official Music Video" or, in search titles
+// where brackets are already gone, "official video". A bracket must close on the
+// marker, so "(Video Games Remix)" or an unclosed "(Video Games" stays in the title.
+const VIDEO_SUFFIXES = [
+  /\s*[([](?:[^)\]]*[\s-])?video(?:\s+(?:hd|4k))?\s*[)\]]\s*$/i,
+  /\s+(-\s*)?(official\s+(music\s+)?|music\s+|lyric\s+)video\s*$/i,
+];
+
+/**
+ * Media kind of a parsed song (one of MEDIA_KINDS)
+ */
+function classifySong(song) {
+  const kind = String(song.kind || "");
+  const genre = String(song.genre || "");
+  if (/podcast/i.test(kind) || /^podcasts?$/i.test(genre)) {
+    return MEDIA_KINDS.PODCAST;
+  }
+  if (/voice memo/i.test(kind) || /^voice memos?$/i.test(genre)) {
+    return MEDIA_KINDS.VOICE_MEMO;
+  }
+  if (/video|movie/i.test(kind)) return MEDIA_KINDS.MUSIC_VIDEO;
+  if (PLAIN_FILE_KIND.test(kind) && !CATALOG_KIND.test(kind)) {
+    return MEDIA_KINDS.LOCAL;
+  }
+  return MEDIA_KINDS.SONG;
+}
+
+/**
+ * Whether songs of this kind are left out before searching: voice memos always,
+ * podcast episodes unless search.podcasts is "search"
+ */
+function isExcludedKind(mediaKind) {
+  if (mediaKind === MEDIA_KINDS.VOICE_MEMO) return true;
+  if (mediaKind === MEDIA_KINDS.PODCAST) {
+    return config.get("search.podcasts") !== "search";
+  }
+  return false;
+}
+
+/**
+ * Title of a music video as the audio track is called ("Thriller (Official Video)" -> "Thriller")
+ */
+function toAudioTitle(title) {
+  const stripped = VIDEO_SUFFIXES.reduce(
+    (text, pattern) => text.replace(pattern, ""),
+    String(title || ""),
+  ).trim();
+  return stripped || title;
+}
+
+/**
+ * Count tracks per media kind
+ * @returns {Object} Map of MEDIA_KINDS value to count (kinds with no tracks are left out)
+ */
+function countKinds(tracks) {
+  const counts = {};
+  tracks.forEach((track) => {
+    const kind = track.mediaKind || MEDIA_KINDS.SONG;
+    counts[kind] = (counts[kind] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * "12 songs, 1 music video, 2 podcast episodes"
+ */
+function describeKindCounts(counts) {
+  return Object.values(MEDIA_KINDS)
+    .filter((kind) => counts[kind])
+    .map((kind) => {
+      const [singular, plural] = KIND_LABELS[kind];
+      return `${counts[kind]} ${counts[kind] === 1 ? singular : plural}`;
+    })
+    .join(", ");
+}
+
+module.exports = {
+  MEDIA_KINDS,
+  KIND_LABELS,
+  classifySong,
+  isExcludedKind,
+  toAudioTitle,
+  countKinds,
+  describeKindCounts,
+};
@@ -12,10 +12,10 @@ class SongNormalizer {
       /\(featuring\s+([^)]+)\)/gi,
       /\(ft\.?\s+([^)]+)\)/gi,
       /\(with\s+([^)]+)\)/gi,
-      /feat\.?\s+([^,&\(]+)/gi,
-      /featuring\s+([^,&\(]+)/gi,
-      /ft\.?\s+([^,&\(]+)/gi,
-      /with\s+([^,&\(]+)/gi,
+      /feat\.?\s+([^,&(]+)/gi,
+      /featuring\s+([^,&(]+)/gi,
+      /ft\.?\s+([^,&(]+)/gi,
+      /with\s+([^,&(]+)/gi,
     ];
 
     // Version/remix identifiers
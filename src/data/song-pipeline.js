@@ -0,0 +1,290 @@
+const SongNormalizer = require("./song-normalizer");
+const SongValidator = require("./song-validator");
+const {
+  MEDIA_KINDS,
+  classifySong,
+  isExcludedKind,
+  toAudioTitle,
+  countKinds,
+  describeKindCounts,
+  KIND_LABELS,
+} = require("./song-kind");
+const Logger = require("../utils/logger");
+const config = require("../utils/config");
+
+/**
+ * Normalize and validate parsed songs before they are sent to Spotify.
+ *
+ * Each returned track keeps the raw parser fields at the top level (so cache
+ * keys and display strings stay stable) and carries the normalizer output
+ * under `normalized`, the validator result under `validation` and its media
+ * kind under `mediaKind`. Voice memos and (unless searched) podcast episodes
+ * are set aside in `excluded` before normalization.
+ *
+ * With `top`, only the songs up to the top-th valid one are kept, so --top counts songs
+ * that will be searched rather than rows that are then left out or rejected.
+ *
+ * @param {Array} songs - Raw songs from AppleMusicParser.parseFile
+ * @param {Object} [options] - Options forwarded to SongValidator.filterSongs, and:
+ * @param {number} [options.top] - Keep songs until this many are valid (--top)
+ * @returns {Object} { tracks, rejected, excluded, flagged, report, kindCounts, normalizationStats }
+ */
+function prepareSongs(songs, options = {}) {
+  const { top = null, ...filterOptions } = options;
+  const normalizer = new SongNormalizer();
+  const validator = new SongValidator();
+  const criteria = {
+    minQualityScore: config.get("validation.minQualityScore"),
+    allowLowConfidence: true,
+    removeInvalid: true,
+    ...filterOptions,
+  };
+
+  // `sourceIndex` records the export row order so later steps can restore it
+  let included = [];
+  let excluded = [];
+  songs.forEach((song, i) => {
+    const entry = { ...song, sourceIndex: i, mediaKind: classifySong(song) };
+    (isExcludedKind(entry.mediaKind) ? excluded : included).push(entry);
+  });
+
+  const normalizeResult = normalizer.normalizePlaylist(included);
+  const sourceByNormalized = new Map();
+  normalizeResult.songs.forEach((normalized, i) => {
+    sourceByNormalized.set(normalized, included[i]);
+  });
+
+  let normalizedSongs = normalizeResult.songs;
+  let filterResult = validator.filterSongs(normalizedSongs, criteria);
+  if (top && filterResult.valid.length > top) {
+    // Cut after the top-th valid song
+    const last = sourceByNormalized.get(filterResult.valid[top - 1]).sourceIndex;
+    const kept = (normalized) => sourceByNormalized.get(normalized).sourceIndex <= last;
+    included = included.filter((song) => song.sourceIndex <= last);
+    excluded = excluded.filter((song) => song.sourceIndex <= last);
+    normalizedSongs = normalizedSongs.filter(kept);
+    filterResult = {
+      valid: filterResult.valid.slice(0, top),
+      invalid: filterResult.invalid.filter(({ song }) => kept(song)),
+      warnings: filterResult.warnings.filter(({ song }) => kept(song)),
+    };
+  }
+  const report = validator.generateReport(normalizedSongs);
+
+  const warningsBySong = new Map(
+    filterResult.warnings.map(({ song, validation }) => [song, validation]),
+  );
+
+  const tracks = filterResult.valid.map((normalized) => {
+    const validation =
+      warningsBySong.get(normalized) || validator.validateSong(normalized);
+    return {
+      ...sourceByNormalized.get(normalized),
+      normalized,
+      validation,
+      // Low-confidence or suspicious rows are still searched, but surfaced to the user
+      flagged:
+        validation.warnings.length > 0 || validation.confidence === "low",
+    };
+  });
+
+  const rejected = filterResult.invalid.map(({ song, validation }) => ({
+    ...sourceByNormalized.get(song),
+    normalized: song,
+    validation,
+  }));
+
+  return {
+    tracks,
+    rejected,
+    excluded,
+    flagged: tracks.filter((track) => track.flagged),
+    report,
+    kindCounts: countKinds([...included, ...excluded]),
+    normalizationStats: normalizeResult.stats,
+  };
+}
+
+/**
+ * Streaming variant of prepareSongs for exports that are still being parsed.
+ *
+ * Songs are normalized and validated one at a time (with the same criteria) and handed
+ * out in chunks, so searching can start before the export has been read to the end.
+ * `prepared` has the prepareSongs shape and is complete once `chunks` is exhausted, except
+ * that valid tracks are only handed out in the chunks, not kept. The raw row
+ * (`originalData`) of each song is dropped. `readSoFar()` reports on the songs read until
+ * then, with recommendations for that part, e.g. to check the first chunk before searching.
+ *
+ * @param {AsyncIterable|Iterable} songs - Raw songs, e.g. from AppleMusicParser.parseStream
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize] - Songs per chunk (default 200)
+ * @returns {Object} { chunks: AsyncGenerator<{ tracks, rejected }>, prepared, readSoFar }
+ */
+function prepareSongStream(songs, options = {}) {
+  const { chunkSize = 200, ...filterOptions } = options;
+  const normalizer = new SongNormalizer();
+  const validator = new SongValidator();
+  const criteria = {
+    minQualityScore: config.get("validation.minQualityScore"),
+    allowLowConfidence: true,
+    removeInvalid: true,
+    ...filterOptions,
+  };
+  const prepared = {
+    rejected: [],
+    excluded: [],
+    flagged: [],
+    report: validator.createReport(),
+    kindCounts: {},
+  };
+
+  async function* chunks() {
+    let chunk = { tracks: [], rejected: [] };
+    let sourceIndex = 0;
+    for await (const { originalData, ...song } of songs) {
+      const mediaKind = classifySong(song);
+      prepared.kindCounts[mediaKind] = (prepared.kindCounts[mediaKind] || 0) + 1;
+      if (isExcludedKind(mediaKind)) {
+        prepared.excluded.push({ ...song, sourceIndex: sourceIndex++, mediaKind });
+        continue;
+      }
+
+      let normalized;
+      try {
+        normalized = normalizer.normalizeSong(song);
+      } catch (error) {
+        Logger.warning(`Failed to normalize song ${sourceIndex + 1}: ${error.message}`);
+        normalized = normalizer.createFallbackNormalization(song);
+      }
+      const { validation, outcome } = validator.screenSong(normalized, criteria);
+      validator.addToReport(prepared.report, validation);
+
+      const track = {
+        ...song,
+        sourceIndex: sourceIndex++,
+        mediaKind,
+        normalized,
+        validation,
+      };
+      if (outcome === "valid") {
+        track.flagged =
+          validation.warnings.length > 0 || validation.confidence === "low";
+        chunk.tracks.push(track);
+        if (track.flagged) prepared.flagged.push(track);
+      } else {
+        chunk.rejected.push(track);
+        prepared.rejected.push(track);
+      }
+
+      if (chunk.tracks.length + chunk.rejected.length >= chunkSize) {
+        yield chunk;
+        chunk = { tracks: [], rejected: [] };
+      }
+    }
+    if (chunk.tracks.length + chunk.rejected.length > 0) yield chunk;
+    validator.generateRecommendations(prepared.report);
+  }
+
+  const readSoFar = () => {
+    const report = { ...prepared.report, recommendations: [] };
+    validator.generateRecommendations(report);
+    return { ...prepared, report };
+  };
+
+  return { chunks: chunks(), prepared, readSoFar };
+}
+
+/**
+ * Print the validation report so a bad import can be stopped before any Spotify calls.
+ */
+function printValidationReport(prepared) {
+  const { report, rejected, flagged, excluded = [] } = prepared;
+
+  Logger.info(`\n🧪 Validation Report:`);
+  if (prepared.kindCounts) {
+    Logger.info(`  • By kind: ${describeKindCounts(prepared.kindCounts)}`);
+  }
+  Logger.info(`  • Valid songs: ${report.summary.valid}/${report.summary.total}`);
+  Logger.info(
+    `  • Quality: ${report.summary.highQuality} high, ${report.summary.mediumQuality} medium, ${report.summary.lowQuality} low`,
+  );
+
+  if (excluded.length > 0) {
+    Logger.warning(`${excluded.length} items are left out by kind:`);
+    excluded.forEach((track) => {
+      Logger.warning(
+        `  - ${track.artist || "(no artist)"} - ${track.title || "(no title)"} [${KIND_LABELS[track.mediaKind][0]}]`,
+      );
+    });
+    if (excluded.some((track) => track.mediaKind === MEDIA_KINDS.PODCAST)) {
+      Logger.info("  Use --podcasts search to match podcast episodes on Spotify");
+    }
+  }
+
+  if (rejected.length > 0) {
+    Logger.warning(`${rejected.length} songs will be skipped:`);
+    rejected.forEach((track) => {
+      Logger.warning(
+        `  - ${track.artist || "(no artist)"} - ${track.title || "(no title)"} [${track.validation.issues.join(", ")}]`,
+      );
+    });
+  }
+
+  if (flagged.length > 0) {
+    Logger.warning(`${flagged.length} songs flagged for review:`);
+    flagged.forEach((track) => {
+      const reasons = [...track.validation.warnings];
+      if (track.validation.confidence === "low") reasons.push("low_confidence");
+      Logger.warning(
+        `  - ${track.artist} - ${track.title} [${reasons.join(", ")}]`,
+      );
+    });
+  }
+
+  if (report.recommendations.length > 0) {
+    Logger.warning(`\n💡 Recommendations:`);
+    report.recommendations.forEach((rec) => {
+      Logger.warning(`  • ${rec}`);
+    });
+  }
+}
+
+/**
+ * Build the searchTrack input for a prepared track.
+ * Uses the normalizer's search fields plus the raw numbers the normalizer does not carry.
+ * Music videos are searched as their audio track: video markers are dropped from the
+ * title and the video's running time is not compared.
+ */
+function buildSearchInput(track) {
+  const normalized = track.normalized || track;
+  if (track.mediaKind === MEDIA_KINDS.MUSIC_VIDEO) {
+    return {
+      ...buildSearchInput({ ...track, mediaKind: MEDIA_KINDS.SONG }),
+      mediaKind: track.mediaKind,
+      title: toAudioTitle(normalized.title),
+      searchTitle: toAudioTitle(normalized.searchTitle),
+      duration: null,
+    };
+  }
+  return {
+    ...normalized,
+    mediaKind: track.mediaKind,
+    // Normalizer drops durations over 20 minutes; raw values still help scoring
+    duration: normalized.duration || track.duration,
+    trackNumber: track.trackNumber,
+    discNumber: track.discNumber,
+    // Classical columns select the classical query and scoring path
+    composer: track.composer,
+    work: track.work,
+    movementNumber: track.movementNumber,
+    movementCount: track.movementCount,
+    movementName: track.movementName,
+  };
+}
+
+module.exports = {
+  prepareSongs,
+  prepareSongStream,
+  printValidationReport,
+  buildSearchInput,
+};
@@ -0,0 +1,120 @@
+const Logger = require("../utils/logger");
+const { UsageError } = require("../utils/errors");
+
+/**
+ * --sort-by fields: the song key, the default direction and how blank values are read.
+ * Blank play counts and ratings mean 0; songs without a year or date always sort last.
+ */
+const SORT_FIELDS = {
+  plays: { key: "playCount", type: "count", direction: "desc", blank: 0, label: "plays" },
+  rating: { key: "rating", type: "count", direction: "desc", blank: 0, label: "rating" },
+  dateAdded: { key: "dateAddedISO", type: "date", direction: "desc", label: "date added" },
+  lastPlayed: { key: "lastPlayedISO", type: "date", direction: "desc", label: "last played" },
+  year: { key: "year", type: "date", direction: "asc", label: "year" },
+};
+
+const ORDER_LABELS = {
+  asc: { count: "lowest first", date: "oldest first" },
+  desc: { count: "highest first", date: "newest first" },
+};
+
+const FIELD_LOOKUP = new Map(
+  Object.keys(SORT_FIELDS).map((name) => [name.toLowerCase(), name]),
+);
+
+/**
+ * Validate a --sort-by value: a field, optionally followed by ":asc" or ":desc"
+ * @returns {Object|null} { field, direction }, or null when no sort was requested
+ */
+function parseSortOption(value, command) {
+  if (value === undefined || value === null) return null;
+  const [name, direction] = String(value).trim().split(":");
+  const field = FIELD_LOOKUP.get(name.toLowerCase());
+  if (!field) {
+    throw new UsageError(
+      `Unknown --sort-by field "${name}" (use one of: ${Object.keys(SORT_FIELDS).join(", ")})`,
+      command,
+    );
+  }
+  if (direction !== undefined && !["asc", "desc"].includes(direction)) {
+    throw new UsageError(
+      `Unknown --sort-by direction "${direction}" (use asc or desc)`,
+      command,
+    );
+  }
+  return { field, direction: direction || SORT_FIELDS[field].direction };
+}
+
+/**
+ * Validate a --top value
+ * @returns {number|null} Positive integer, or null when not set
+ */
+function parseTopOption(value, command) {
+  if (value === undefined || value === null) return null;
+  const top = Number(value);
+  if (!Number.isInteger(top) || top < 1) {
+    throw new UsageError(`--top needs a positive whole number, got "${value}"`, command);
+  }
+  return top;
+}
+
+/**
+ * Order songs by a listening field; ties and blanks keep their export order
+ * @param {Array<Object>} songs - Parsed songs
+ * @param {Object} sort - From parseSortOption
+ * @returns {Array<Object>} A sorted copy
+ */
+function sortSongs(songs, sort) {
+  const { key, blank } = SORT_FIELDS[sort.field];
+  const sign = sort.direction === "asc" ? 1 : -1;
+  const valueOf = (song) => {
+    const value = song[key];
+    return value === null || value === undefined || value === ""
+      ? blank
+      : value;
+  };
+  return songs
+    .map((song, index) => ({ song, index, value: valueOf(song) }))
+    .sort((a, b) => {
+      const aBlank = a.value === undefined;
+      const bBlank = b.value === undefined;
+      if (aBlank || bBlank) {
+        return aBlank === bBlank ? a.index - b.index : aBlank ? 1 : -1;
+      }
+      if (a.value < b.value) return -sign;
+      if (a.value > b.value) return sign;
+      return a.index - b.index;
+    })
+    .map(({ song }) => song);
+}
+
+/**
+ * Order parsed songs for --sort-by and --top, before they are normalized and searched.
+ * The resulting order becomes the export order that new tracks follow. --top itself is
+ * applied by prepareSongs, so songs left out by kind or validation do not count toward it.
+ * @param {Array<Object>} songs
+ * @param {Object} options
+ * @param {Object} [options.sortBy] - From parseSortOption; --top without it ranks by plays
+ * @param {number} [options.top] - Only for the log line
+ * @returns {Array<Object>}
+ */
+function rankSongs(songs, { sortBy = null, top = null } = {}) {
+  if (!sortBy && !top) return songs;
+  const sort = sortBy || parseSortOption("plays");
+  const { label, type } = SORT_FIELDS[sort.field];
+  const order = ORDER_LABELS[sort.direction][type];
+  Logger.info(
+    top
+      ? `Keeping the top ${top} songs by ${label} (${order}) that can be synced`
+      : `Sorted ${songs.length} songs by ${label} (${order})`,
+  );
+  return sortSongs(songs, sort);
+}
+
+module.exports = {
+  SORT_FIELDS,
+  parseSortOption,
+  parseTopOption,
+  sortSongs,
+  rankSongs,
+};
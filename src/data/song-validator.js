@@ -1,4 +1,5 @@
 const Logger = require("../utils/logger");
+const config = require("../utils/config");
 
 /**
  * Song data validator for quality checks and filtering
@@ -85,7 +86,7 @@ class SongValidator {
    */
   filterSongs(songs, options = {}) {
     const {
-      minQualityScore = 50,
+      minQualityScore = config.get("validation.minQualityScore"),
       allowLowConfidence = false,
       removeInvalid = true,
     } = options;
@@ -107,23 +108,15 @@ class SongValidator {
     };
 
     songs.forEach((song) => {
-      const validation = this.validateSong(song);
-
-      if (!validation.isValid && removeInvalid) {
-        results.invalid.push({ song, validation });
-        results.stats.invalid++;
-        return;
-      }
-
-      if (validation.score < minQualityScore) {
-        results.invalid.push({ song, validation });
-        results.stats.filtered++;
-        return;
-      }
+      const { validation, outcome } = this.screenSong(song, {
+        minQualityScore,
+        allowLowConfidence,
+        removeInvalid,
+      });
 
-      if (!allowLowConfidence && validation.confidence === "low") {
+      if (outcome !== "valid") {
         results.invalid.push({ song, validation });
-        results.stats.filtered++;
+        results.stats[outcome]++;
         return;
       }
 
@@ -142,13 +135,43 @@ class SongValidator {
     return results;
   }
 
+  /**
+   * Validate one song against the filterSongs criteria
+   * @returns {Object} { validation, outcome: "valid" | "invalid" | "filtered" }
+   */
+  screenSong(song, { minQualityScore, allowLowConfidence, removeInvalid }) {
+    const validation = this.validateSong(song);
+    let outcome = "valid";
+    if (!validation.isValid && removeInvalid) outcome = "invalid";
+    else if (validation.score < minQualityScore) outcome = "filtered";
+    else if (!allowLowConfidence && validation.confidence === "low") {
+      outcome = "filtered";
+    }
+    return { validation, outcome };
+  }
+
   /**
    * Generate validation report
    */
   generateReport(songs) {
-    const report = {
+    const report = this.createReport();
+    songs.forEach((song) => {
+      this.addToReport(report, this.validateSong(song));
+    });
+
+    // Generate recommendations
+    this.generateRecommendations(report);
+
+    return report;
+  }
+
+  /**
+   * Empty validation report, filled by addToReport (for songs that arrive one at a time)
+   */
+  createReport() {
+    return {
       summary: {
-        total: songs.length,
+        total: 0,
         valid: 0,
         invalid: 0,
         highQuality: 0,
@@ -160,41 +183,38 @@ class SongValidator {
       qualityDistribution: {},
       recommendations: [],
     };
+  }
 
-    songs.forEach((song) => {
-      const validation = this.validateSong(song);
-
-      if (validation.isValid) {
-        report.summary.valid++;
-      } else {
-        report.summary.invalid++;
-      }
-
-      // Track quality distribution
-      if (validation.confidence === "high") report.summary.highQuality++;
-      else if (validation.confidence === "medium")
-        report.summary.mediumQuality++;
-      else report.summary.lowQuality++;
-
-      // Track issues
-      validation.issues.forEach((issue) => {
-        report.issues[issue] = (report.issues[issue] || 0) + 1;
-      });
+  /**
+   * Count one song's validation result into a report
+   */
+  addToReport(report, validation) {
+    report.summary.total++;
+    if (validation.isValid) {
+      report.summary.valid++;
+    } else {
+      report.summary.invalid++;
+    }
 
-      validation.warnings.forEach((warning) => {
-        report.warnings[warning] = (report.warnings[warning] || 0) + 1;
-      });
+    // Track quality distribution
+    if (validation.confidence === "high") report.summary.highQuality++;
+    else if (validation.confidence === "medium")
+      report.summary.mediumQuality++;
+    else report.summary.lowQuality++;
 
-      // Quality score distribution
-      const scoreRange = Math.floor(validation.score / 10) * 10;
-      report.qualityDistribution[scoreRange] =
-        (report.qualityDistribution[scoreRange] || 0) + 1;
+    // Track issues
+    validation.issues.forEach((issue) => {
+      report.issues[issue] = (report.issues[issue] || 0) + 1;
     });
 
-    // Generate recommendations
-    this.generateRecommendations(report);
+    validation.warnings.forEach((warning) => {
+      report.warnings[warning] = (report.warnings[warning] || 0) + 1;
+    });
 
-    return report;
+    // Quality score distribution
+    const scoreRange = Math.floor(validation.score / 10) * 10;
+    report.qualityDistribution[scoreRange] =
+      (report.qualityDistribution[scoreRange] || 0) + 1;
   }
 
   /**
@@ -1,7 +1,20 @@
 const fs = require("fs").promises;
+const { createReadStream } = require("fs");
 const path = require("path");
 const Logger = require("../utils/logger");
 const { FileParsingError } = require("../utils/errors");
+const { LOCALES, translateHeader, detectHeaderLocale } = require("./locales");
+const { detectBufferEncoding, detectBom, createDecoder } = require("./encoding");
+
+// Rows held back at the start of a stream to detect the date order before songs are yielded
+const DATE_SNIFF_ROWS = 200;
+
+const DATE_COLUMNS = ["Date Modified", "Date Added", "Last Played", "Last Skipped"];
+
+// D/M/Y, M/D/Y or Y/M/D with "/", "." or "-", then h:mm[:ss] with an optional AM/PM marker
+// before (Japanese 午前/午後) or after the time
+const DATE_PATTERN =
+  /^(\d{1,4})[./-](\d{1,2})[./-](\d{1,4})\.?,?\s+(?:(?:à|um|a las)\s+)?(午前|午後)?\s*(\d{1,2})[:.h](\d{2})(?:[:.](\d{2}))?\s*([AP]M|[ap]\.\s?m\.)?$/i;
 
 /**
  * Apple Music TSV file parser
@@ -11,9 +24,19 @@ const { FileParsingError } = require("../utils/errors");
  * - 31 tab-separated columns with a header line
  * - Often encoded as UTF-16LE with BOM (fallbacks supported)
  * - Dates are locale-style and may contain narrow no‑break spaces (U+202F)
+ * - Headers and dates follow the language of the Music.app install (see ./locales.js)
  */
 class AppleMusicParser {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.locale] - Export locale (e.g. "de"); detected from the headers when omitted
+   */
+  constructor(options = {}) {
+    this.locale = options.locale || null;
+    // Locale and date field order found by the last parse
+    this.headerLocale = null;
+    this.dateOrder = null;
+
     // We'll detect encoding from raw bytes (BOM/heuristics), then decode
     this.requiredColumns = ["Name", "Artist"];
 
@@ -56,9 +79,10 @@ class AppleMusicParser {
   /**
    * Detect encoding using BOM and lightweight heuristics.
    * Priority: UTF-16LE (common for Music/iTunes) -> UTF-8 (with/without BOM) -> latin1 fallback
+   * @param {Buffer} [buffer] - File contents, when already read
    */
-  async detectEncoding(filePath) {
-    const buf = await fs.readFile(filePath);
+  async detectEncoding(filePath, buffer) {
+    const buf = buffer || (await fs.readFile(filePath));
 
     // BOM checks
     if (buf.length >= 2 && buf[0] === 0xff && buf[1] === 0xfe) {
@@ -131,17 +155,20 @@ class AppleMusicParser {
       /^\uFEFF/,
       "",
     );
-    // Must include tabs and key headers like "Name" and "Artist", and likely "Kind" or "Location"
-    const hasTabs = sample.includes("\t");
-    const hasName = sample.includes("Name");
-    const hasArtist = sample.includes("Artist");
-    const hasKindOrLocation =
-      sample.includes("Kind") || sample.includes("Location");
     // Avoid false positives by requiring a header-like line with multiple tabs
     const firstLine = sample.split(/\r\n|\n/)[0] || "";
     const tabCount = (firstLine.match(/\t/g) || []).length;
+    if (tabCount < 10) return false;
+
+    // Must include (possibly translated) "Name" and "Artist" headers, and likely "Kind" or "Location"
+    const headers = firstLine.split("\t").map((h) => h.trim());
+    const locale = this.locale || detectHeaderLocale(headers, this.appleColumns);
+    if (!locale) return false;
+    const translated = headers.map((h) => translateHeader(h, locale));
     return (
-      hasTabs && hasName && hasArtist && hasKindOrLocation && tabCount >= 10
+      translated.includes("Name") &&
+      translated.includes("Artist") &&
+      (translated.includes("Kind") || translated.includes("Location"))
     );
   }
 
@@ -180,9 +207,42 @@ class AppleMusicParser {
       );
     }
 
-    // Header
-    let headerLine = lines[0].replace(/^\uFEFF/, ""); // strip BOM from first cell if present
-    const headers = headerLine.split("\t").map((h) => h.trim());
+    const header = this.readHeader(lines[0], filePath);
+    this.dateOrder = this.pickDateOrder(lines.slice(1), header);
+
+    const songs = [];
+    const padding = { silent: 0, warned: 0 };
+    for (let i = 1; i < lines.length; i++) {
+      const song = this.parseRow(lines[i], i + 1, header, padding);
+      if (this.isValidSong(song)) {
+        songs.push(song);
+      }
+    }
+
+    this.logPadding(padding);
+    return songs;
+  }
+
+  /**
+   * Read the header line: detect the locale, translate to English column names and
+   * check the required columns
+   * @returns {Object} { headers, headerIndex, locale }
+   */
+  readHeader(headerLine, filePath) {
+    // strip BOM from first cell if present
+    const rawHeaders = headerLine
+      .replace(/^\uFEFF/, "")
+      .split("\t")
+      .map((h) => h.trim());
+
+    // Translate localized headers to the English column names used below
+    const locale =
+      this.locale || detectHeaderLocale(rawHeaders, this.appleColumns) || "en";
+    this.headerLocale = locale;
+    if (locale !== "en") {
+      Logger.info(`Reading ${LOCALES[locale].name} export headers`);
+    }
+    const headers = rawHeaders.map((h) => translateHeader(h, locale));
 
     Logger.debug(`Found ${headers.length} columns in header`);
     const headerIndex = new Map();
@@ -201,57 +261,89 @@ class AppleMusicParser {
       );
     }
 
-    const songs = [];
-    let silentPadCount = 0;
-    let warnPadCount = 0;
-
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i];
+    return { headers, headerIndex, locale };
+  }
 
-      // Split on tabs; keep trailing empty fields (if present)
+  /**
+   * Day-first vs month-first: trust the dates in the given rows, else the locale's convention
+   */
+  pickDateOrder(rowLines, header) {
+    const dateColumns = DATE_COLUMNS
+      .map((name) => header.headerIndex.get(name))
+      .filter((idx) => idx != null);
+    const dateSamples = rowLines.flatMap((line) => {
       const values = line.split("\t");
+      return dateColumns.map((idx) => values[idx]);
+    });
+    const order =
+      this.detectDateOrder(dateSamples) || LOCALES[header.locale].dateOrder;
+    Logger.debug(`Date order: ${order}`);
+    return order;
+  }
 
-      if (values.length < headers.length) {
-        const missing = headers.length - values.length;
-
-        // Common Apple export case: last column "Location" is empty and exporter omits the trailing tab
-        const lastHeader = headers[headers.length - 1];
-        if (missing === 1 && lastHeader === "Location") {
-          values.push("");
-          silentPadCount++;
-        } else {
-          // Pad remaining trailing columns and warn
-          while (values.length < headers.length) values.push("");
-          Logger.warning(
-            `Row ${i + 1}: Column count mismatch (missing ${missing}); padded to match header length`,
-          );
-          warnPadCount++;
-        }
-      } else if (values.length > headers.length) {
-        Logger.warning(
-          `Row ${i + 1}: Column count (${values.length}) exceeds header count (${headers.length}); extra columns will be ignored`,
-        );
-        values.length = headers.length; // trim extras
-      }
+  /**
+   * Split one data row, pad/trim it to the header length and build the song
+   * @param {Object} padding - { silent, warned } counters, updated in place
+   */
+  parseRow(line, rowNumber, header, padding) {
+    const { headers, headerIndex } = header;
+    const { values, fix, columns } = this.fitRow(line, headers);
 
-      const song = this.parseSongRowFull(values, headers, headerIndex);
-      if (this.isValidSong(song)) {
-        songs.push(song);
-      }
+    if (fix === "padded-location") {
+      padding.silent++;
+    } else if (fix === "padded") {
+      Logger.warning(
+        `Row ${rowNumber}: Column count mismatch (missing ${headers.length - columns}); padded to match header length`,
+      );
+      padding.warned++;
+    } else if (fix === "truncated") {
+      Logger.warning(
+        `Row ${rowNumber}: Column count (${columns}) exceeds header count (${headers.length}); extra columns will be ignored`,
+      );
     }
 
-    if (silentPadCount > 0) {
+    return this.parseSongRowFull(values, headers, headerIndex);
+  }
+
+  /**
+   * Split a row on tabs and pad or trim it to the header length
+   * @returns {Object} { values, columns, fix } where columns is the count before fitting and
+   *   fix is null, "padded-location" (only the empty trailing Location was missing),
+   *   "padded" or "truncated"
+   */
+  fitRow(line, headers) {
+    // Split on tabs; keep trailing empty fields (if present)
+    const values = line.split("\t");
+    const columns = values.length;
+    let fix = null;
+
+    if (columns < headers.length) {
+      // Common Apple export case: last column "Location" is empty and exporter omits the trailing tab
+      const lastHeader = headers[headers.length - 1];
+      fix =
+        headers.length - columns === 1 && lastHeader === "Location"
+          ? "padded-location"
+          : "padded";
+      while (values.length < headers.length) values.push("");
+    } else if (columns > headers.length) {
+      fix = "truncated";
+      values.length = headers.length; // trim extras
+    }
+
+    return { values, columns, fix };
+  }
+
+  logPadding(padding) {
+    if (padding.silent > 0) {
       Logger.info(
-        `Silently padded ${silentPadCount} rows missing trailing "Location" column`,
+        `Silently padded ${padding.silent} rows missing trailing "Location" column`,
       );
     }
-    if (warnPadCount > 0) {
+    if (padding.warned > 0) {
       Logger.info(
-        `Warned on ${warnPadCount} rows with non-trailing or multi-column mismatches`,
+        `Warned on ${padding.warned} rows with non-trailing or multi-column mismatches`,
       );
     }
-
-    return songs;
   }
 
   /**
@@ -320,6 +412,22 @@ class AppleMusicParser {
     return song;
   }
 
+  /**
+   * Build a song object from values keyed by Apple column name (used by the M3U and CSV parsers)
+   * @param {Object} columns - e.g. { Name: "Hey Jude", Artist: "The Beatles", Time: "431" }
+   * @param {Object} [originalData] - Raw source record kept for auditing
+   */
+  songFromColumns(columns, originalData = columns) {
+    const headers = Object.keys(columns);
+    const values = headers.map((header) =>
+      columns[header] == null ? "" : String(columns[header]),
+    );
+    const headerIndex = new Map(headers.map((header, i) => [header, i]));
+    const song = this.parseSongRowFull(values, headers, headerIndex);
+    song.originalData = originalData;
+    return song;
+  }
+
   cleanText(text) {
     if (!text || typeof text !== "string") return "";
     // Normalize thin/no-break spaces that appear in dates and some metadata
@@ -371,37 +479,83 @@ class AppleMusicParser {
   }
 
   /**
-   * Parse Apple locale-style date string to ISO-8601.
-   * Input examples: "3/21/21, 7:43 PM" (note: original often uses U+202F before AM/PM)
-   * Returns ISO string or null if parsing fails.
+   * Split a locale-style date into its numeric parts
+   * @returns {Object|null} { parts, yearFirst, hour, minute, seconds, isPM }
    */
-  parseAppleDateToISO(text) {
+  matchDateParts(text) {
     if (!text) return null;
     const s = this.normalizeUnicodeSpaces(String(text).trim());
-    if (s === "") return null;
-
-    // Match M/D/YY(YY) , H:MM AM/PM
-    const m = s.match(
-      /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4}),\s+(\d{1,2}):(\d{2})\s*([AP]M)$/i,
-    );
+    const m = s.match(DATE_PATTERN);
     if (!m) return null;
+    const [, a, b, c, prefixMeridiem, h, mm, ss, suffixMeridiem] = m;
+    const meridiem = prefixMeridiem || suffixMeridiem || null;
+    return {
+      parts: [a, b, c],
+      yearFirst: a.length === 4,
+      hour: parseInt(h, 10),
+      minute: parseInt(mm, 10),
+      seconds: ss ? parseInt(ss, 10) : 0,
+      isPM: meridiem ? /^(p|午後)/i.test(meridiem) : null,
+    };
+  }
+
+  /**
+   * Infer "DMY" or "MDY" from date values; null when every value is ambiguous
+   * (both leading fields 12 or lower) or the values disagree
+   */
+  detectDateOrder(values) {
+    let dayFirst = 0;
+    let monthFirst = 0;
+    values.forEach((value) => {
+      const date = this.matchDateParts(value);
+      if (!date || date.yearFirst) return;
+      const [a, b] = date.parts.map((p) => parseInt(p, 10));
+      if (a > 12 && b <= 12) dayFirst++;
+      else if (b > 12 && a <= 12) monthFirst++;
+    });
+    if (dayFirst > 0 && monthFirst === 0) return "DMY";
+    if (monthFirst > 0 && dayFirst === 0) return "MDY";
+    return null;
+  }
+
+  /**
+   * Parse Apple locale-style date string to ISO-8601.
+   * Input examples: "3/21/21, 7:43 PM" (US; often U+202F before AM/PM), "21.03.21, 19:43" (de),
+   * "21/03/2021 19:43" (fr), "2021/03/21 19:43" (ja)
+   * Field order comes from this.dateOrder (set while parsing), else the locale's default.
+   * Returns ISO string or null if parsing fails.
+   */
+  parseAppleDateToISO(text) {
+    const date = this.matchDateParts(text);
+    if (!date) return null;
+
+    const order = date.yearFirst
+      ? "YMD"
+      : this.dateOrder || LOCALES[this.locale || "en"].dateOrder;
+    const [a, b, c] = date.parts;
+    let Y;
+    let MM;
+    let DD;
+    if (order === "YMD") [Y, MM, DD] = [a, b, c];
+    else if (order === "DMY") [DD, MM, Y] = [a, b, c];
+    else [MM, DD, Y] = [a, b, c];
 
-    let [, MM, DD, Y, h, mm, ap] = m;
     let year = parseInt(Y, 10);
     if (Y.length === 2) {
       // Heuristic similar to many strptime defaults
       year += year <= 69 ? 2000 : 1900;
     }
-    let hour = parseInt(h, 10);
-    const minute = parseInt(mm, 10);
-    const isPM = ap.toUpperCase() === "PM";
-    if (isPM && hour < 12) hour += 12;
-    if (!isPM && hour === 12) hour = 0;
+    let hour = date.hour;
+    if (date.isPM === true && hour < 12) hour += 12;
+    if (date.isPM === false && hour === 12) hour = 0;
 
     // Construct as local time then convert to ISO
     const monthIdx = parseInt(MM, 10) - 1;
     const day = parseInt(DD, 10);
-    const d = new Date(year, monthIdx, day, hour, minute, 0, 0);
+    if (monthIdx < 0 || monthIdx > 11 || day < 1 || day > 31 || hour > 23) {
+      return null;
+    }
+    const d = new Date(year, monthIdx, day, hour, date.minute, date.seconds, 0);
 
     if (isNaN(d.getTime())) return null;
     return d.toISOString();
@@ -411,25 +565,10 @@ class AppleMusicParser {
     try {
       Logger.info(`Parsing Apple Music file: ${path.basename(filePath)}`);
 
-      const stats = await fs.stat(filePath);
-      Logger.debug(`File size: ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
-
-      const detected = await this.detectEncoding(filePath);
-
-      // Special case: detectEncoding may return an object if we swapped UTF-16BE to LE
-      let content;
-      if (
-        typeof detected === "object" &&
-        detected.encoding === "utf16le" &&
-        detected.swapped &&
-        detected.swappedBuffer
-      ) {
-        content = detected.swappedBuffer.toString("utf16le");
-      } else {
-        const encoding = typeof detected === "string" ? detected : "utf8";
-        content = await fs.readFile(filePath, encoding);
-      }
+      const buffer = await fs.readFile(filePath);
+      Logger.debug(`File size: ${(buffer.length / 1024 / 1024).toFixed(2)} MB`);
 
+      const { content, detected } = await this.decodeFile(filePath, buffer);
       const songs = this.parseTSVContent(content, filePath);
       const stats_data = this.generateStats(songs);
 
@@ -440,6 +579,8 @@ class AppleMusicParser {
         metadata: {
           filePath,
           fileName: path.basename(filePath),
+          playlistName: path.basename(filePath, path.extname(filePath)),
+          locale: this.headerLocale,
           encoding: typeof detected === "string" ? detected : detected.encoding,
           totalSongs: songs.length,
           parsedAt: new Date().toISOString(),
@@ -457,6 +598,229 @@ class AppleMusicParser {
     }
   }
 
+  /**
+   * Decode a whole export with the encoding detectEncoding picks
+   * @returns {Promise<Object>} { content, detected } where detected is detectEncoding's result
+   */
+  async decodeFile(filePath, buffer) {
+    const detected = await this.detectEncoding(filePath, buffer);
+
+    // Special case: detectEncoding may return an object if we swapped UTF-16BE to LE
+    if (
+      typeof detected === "object" &&
+      detected.encoding === "utf16le" &&
+      detected.swapped &&
+      detected.swappedBuffer
+    ) {
+      return { content: detected.swappedBuffer.toString("utf16le"), detected };
+    }
+    const encoding = typeof detected === "string" ? detected : "utf8";
+    return { content: buffer.toString(encoding), detected };
+  }
+
+  /**
+   * Parse an export and collect everything that did not read cleanly, without logging
+   * per-row warnings: the encoding and BOM, the header compared with the 31 Apple columns,
+   * rows padded or truncated to the header length, dates that did not parse and rows
+   * isValidSong rejects. Row numbers are line numbers in the file.
+   * @returns {Promise<Object>} Diagnostics for the `inspect` command
+   */
+  async inspectFile(filePath) {
+    let buffer;
+    try {
+      buffer = await fs.readFile(filePath);
+    } catch (err) {
+      throw new FileParsingError(`Failed to read file: ${err.message}`, filePath);
+    }
+    const { content, detected } = await this.decodeFile(filePath, buffer);
+
+    // Trimmed like parseTSVContent, so rows match what a parse reports
+    const lines = this.normalizeUnicodeSpaces(content)
+      .replace(/\s+$/, "")
+      .split(/\r\n|\n|\r/)
+      .map((line, i) => ({ line, number: i + 1 }))
+      .filter(({ line }) => line.trim().length > 0);
+    if (lines.length === 0) {
+      throw new FileParsingError("File appears to be empty or invalid", filePath);
+    }
+
+    const rawHeaders = lines[0].line
+      .replace(/^\uFEFF/, "")
+      .split("\t")
+      .map((h) => h.trim());
+    const header = this.readHeader(lines[0].line, filePath);
+    const rows = lines.slice(1);
+    this.dateOrder = this.pickDateOrder(
+      rows.map(({ line }) => line),
+      header,
+    );
+
+    const diagnostics = {
+      file: filePath,
+      size: buffer.length,
+      encoding: {
+        name: typeof detected === "string" ? detected : "utf16be",
+        bom: detectBom(buffer),
+      },
+      locale: this.headerLocale,
+      dateOrder: this.dateOrder,
+      header: {
+        count: header.headers.length,
+        expected: this.appleColumns.length,
+        columns: rawHeaders,
+        missing: this.appleColumns.filter(
+          (column) => !header.headerIndex.has(column),
+        ),
+        unexpected: rawHeaders.filter(
+          (raw, i) => !this.appleColumns.includes(header.headers[i]),
+        ),
+        inAppleOrder:
+          header.headers.join("\t") === this.appleColumns.join("\t"),
+      },
+      rows: { total: rows.length, valid: 0 },
+      mismatchedRows: [],
+      dateErrors: [],
+      rejectedRows: [],
+    };
+
+    rows.forEach(({ line, number }) => {
+      const { values, columns, fix } = this.fitRow(line, header.headers);
+      if (fix) {
+        diagnostics.mismatchedRows.push({ row: number, columns, fix });
+      }
+      const song = this.parseSongRowFull(
+        values,
+        header.headers,
+        header.headerIndex,
+      );
+      DATE_COLUMNS.forEach((column) => {
+        const value = song.originalData[column];
+        if (value && value.trim() && !this.parseAppleDateToISO(value)) {
+          diagnostics.dateErrors.push({ row: number, column, value: value.trim() });
+        }
+      });
+      if (this.isValidSong(song)) {
+        diagnostics.rows.valid++;
+      } else {
+        diagnostics.rejectedRows.push({
+          row: number,
+          reason: [!song.title && "no title", !song.artist && "no artist"]
+            .filter(Boolean)
+            .join(", "),
+          title: song.title,
+          artist: song.artist,
+        });
+      }
+    });
+
+    return diagnostics;
+  }
+
+  /**
+   * Stream the songs of an export without reading the whole file into memory.
+   * The file is decoded chunk by chunk (UTF-16LE/BE, UTF-8 or latin1, detected from the
+   * first chunk) and split into rows as it arrives. The first rows are buffered to pick
+   * the date order; after that each valid song is yielded as soon as its row is read.
+   * Encoding and locale are available on this.streamInfo once the stream is done.
+   * @returns {AsyncGenerator<Object>} Song objects, as in parseFile().songs
+   */
+  async *parseStream(filePath) {
+    Logger.info(`Streaming Apple Music file: ${path.basename(filePath)}`);
+    const input = createReadStream(filePath, { highWaterMark: 64 * 1024 });
+    let decoder = null;
+    let encoding = null;
+    let pending = "";
+    let header = null;
+    let rowNumber = 0;
+    let dataRows = 0;
+    let heldRows = [];
+    let count = 0;
+    const padding = { silent: 0, warned: 0 };
+
+    const toSongs = (lines) => {
+      const songs = [];
+      lines.forEach(({ line, number }) => {
+        const song = this.parseRow(line, number, header, padding);
+        if (this.isValidSong(song)) songs.push(song);
+      });
+      return songs;
+    };
+
+    // Returns the songs ready to be yielded for a batch of decoded lines
+    const takeLines = (lines) => {
+      const ready = [];
+      lines.forEach((rawLine) => {
+        rowNumber++;
+        const line = this.normalizeUnicodeSpaces(rawLine);
+        if (line.trim().length === 0) return;
+        if (!header) {
+          header = this.readHeader(line, filePath);
+          return;
+        }
+        dataRows++;
+        if (heldRows) {
+          heldRows.push({ line, number: rowNumber });
+          if (heldRows.length < DATE_SNIFF_ROWS) return;
+          ready.push(...this.releaseHeldRows(heldRows, header, toSongs));
+          heldRows = null;
+          return;
+        }
+        ready.push(...toSongs([{ line, number: rowNumber }]));
+      });
+      return ready;
+    };
+
+    try {
+      for await (const chunk of input) {
+        if (!decoder) {
+          encoding = detectBufferEncoding(chunk);
+          Logger.debug(`Streaming with encoding: ${encoding}`);
+          decoder = createDecoder(encoding);
+        }
+        pending += decoder.decode(chunk, { stream: true });
+        const lines = pending.split(/\r\n|\n|\r/);
+        pending = lines.pop();
+        for (const song of takeLines(lines)) {
+          count++;
+          yield song;
+        }
+      }
+      if (decoder) pending += decoder.decode();
+      const tail = takeLines(pending ? [pending] : []);
+      if (heldRows) {
+        tail.push(...this.releaseHeldRows(heldRows, header, toSongs));
+        heldRows = null;
+      }
+      for (const song of tail) {
+        count++;
+        yield song;
+      }
+    } catch (err) {
+      if (err instanceof FileParsingError) throw err;
+      throw new FileParsingError(`Failed to stream file: ${err.message}`, filePath);
+    } finally {
+      input.destroy();
+    }
+
+    if (!header || dataRows === 0) {
+      throw new FileParsingError("File appears to be empty or invalid", filePath);
+    }
+    this.logPadding(padding);
+    this.streamInfo = { encoding, locale: this.headerLocale, totalSongs: count };
+    Logger.success(`Streaming complete: ${count} songs read`);
+  }
+
+  /**
+   * Pick the date order from the rows held at the start of a stream, then parse them
+   */
+  releaseHeldRows(heldRows, header, toSongs) {
+    this.dateOrder = this.pickDateOrder(
+      heldRows.map(({ line }) => line),
+      header,
+    );
+    return toSongs(heldRows);
+  }
+
   generateStats(songs) {
     const stats = {
       totalSongs: songs.length,
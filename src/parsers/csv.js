@@ -0,0 +1,288 @@
+const path = require("path");
+const Logger = require("../utils/logger");
+const { FileParsingError, UsageError } = require("../utils/errors");
+const AppleMusicParser = require("./apple-music");
+const { readTextFile } = require("./encoding");
+
+// Song fields a CSV column can be mapped to, and the Apple column each one feeds
+const FIELD_COLUMNS = {
+  title: "Name",
+  artist: "Artist",
+  composer: "Composer",
+  album: "Album",
+  grouping: "Grouping",
+  work: "Work",
+  genre: "Genre",
+  duration: "Time",
+  discNumber: "Disc Number",
+  trackNumber: "Track Number",
+  year: "Year",
+  dateAdded: "Date Added",
+  kind: "Kind",
+  comments: "Comments",
+  playCount: "Plays",
+  rating: "My Rating",
+  location: "Location",
+};
+
+// Column names other tools use for each field (compared case-insensitively)
+const FIELD_ALIASES = {
+  title: ["name", "title", "track", "track name", "track title", "song", "song name"],
+  artist: ["artist", "artists", "artist name", "artist name(s)", "performer"],
+  composer: ["composer"],
+  album: ["album", "album name", "album title"],
+  grouping: ["grouping"],
+  work: ["work"],
+  genre: ["genre", "genres"],
+  duration: ["time", "duration", "duration (ms)", "track duration (ms)", "length"],
+  discNumber: ["disc number", "disc"],
+  trackNumber: ["track number", "track no", "track #", "#"],
+  year: ["year", "release date", "album release date"],
+  dateAdded: ["date added", "added at"],
+  kind: ["kind"],
+  comments: ["comments", "comment"],
+  playCount: ["plays", "play count"],
+  rating: ["my rating", "rating"],
+  location: ["location", "path", "file", "url"],
+};
+
+const DELIMITERS = [",", ";", "\t"];
+
+// ISO 8601 date or timestamp, as in Spotify exports ("Added At": 2020-05-01T12:34:56Z)
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Parse an ISO 8601 date to an ISO string, or null for anything else
+ */
+function parseISODate(text) {
+  if (!text || !ISO_DATE.test(text)) return null;
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Parse a --map value such as "title=Track,artist=Performer"
+ * @returns {Object|null} { field: columnName }, or null when no mapping was given
+ */
+function parseColumnMap(value, command) {
+  if (value === undefined || value === null) return null;
+  const map = {};
+  String(value)
+    .split(",")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .forEach((pair) => {
+      const separator = pair.indexOf("=");
+      const field = separator > 0 ? pair.slice(0, separator).trim() : "";
+      const column = separator > 0 ? pair.slice(separator + 1).trim() : "";
+      if (!field || !column) {
+        throw new UsageError(
+          `Invalid --map entry "${pair}" (expected field=Column)`,
+          command,
+        );
+      }
+      if (!FIELD_COLUMNS[field]) {
+        throw new UsageError(
+          `Unknown --map field "${field}" (use one of: ${Object.keys(FIELD_COLUMNS).join(", ")})`,
+          command,
+        );
+      }
+      map[field] = column;
+    });
+  return map;
+}
+
+/**
+ * Generic CSV playlist parser
+ *
+ * Columns are matched to song fields by common names (Name/Title/Track Name, Artist/Artist
+ * Name(s), ...) or by an explicit column map, and each row is turned into the same song
+ * object AppleMusicParser.parseSongRowFull builds.
+ */
+class CsvParser {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.columnMap] - { field: columnName }, from parseColumnMap
+   * @param {string} [options.locale] - Locale for day-first/month-first dates
+   */
+  constructor(options = {}) {
+    this.columnMap = options.columnMap || {};
+    this.tsvParser = new AppleMusicParser({ locale: options.locale });
+  }
+
+  /**
+   * The delimiter used most often (outside quotes) in a header line, or null
+   */
+  static detectDelimiter(headerLine) {
+    const counts = new Map(DELIMITERS.map((d) => [d, 0]));
+    let quoted = false;
+    for (const char of headerLine) {
+      if (char === '"') quoted = !quoted;
+      else if (!quoted && counts.has(char)) counts.set(char, counts.get(char) + 1);
+    }
+    const [best, count] = [...counts].sort((a, b) => b[1] - a[1])[0];
+    return count > 0 ? best : null;
+  }
+
+  /**
+   * Quick check for delimited text with a header line (used to route files to this parser)
+   */
+  static looksLikeCSV(text) {
+    const lines = String(text)
+      .replace(/^\uFEFF/, "")
+      .split(/\r\n|\n|\r/)
+      .filter((line) => line.trim().length > 0);
+    return lines.length >= 2 && CsvParser.detectDelimiter(lines[0]) !== null;
+  }
+
+  /**
+   * Split CSV text into rows of fields (RFC 4180 quoting, quoted newlines allowed)
+   */
+  parseRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === "") {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+    if (field !== "" || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter((r) => r.some((value) => value.trim() !== ""));
+  }
+
+  /**
+   * Resolve each song field to a column index, explicit mappings first
+   * @returns {Map<string, number>} field -> column index
+   */
+  resolveColumns(headers, filePath) {
+    const lowerHeaders = headers.map((h) => h.trim().toLowerCase());
+    const resolved = new Map();
+
+    Object.entries(this.columnMap).forEach(([field, column]) => {
+      const index = lowerHeaders.indexOf(column.trim().toLowerCase());
+      if (index === -1) {
+        throw new FileParsingError(
+          `Column "${column}" (mapped to ${field}) not found; columns are: ${headers.join(", ")}`,
+          filePath,
+        );
+      }
+      resolved.set(field, index);
+    });
+
+    Object.entries(FIELD_ALIASES).forEach(([field, aliases]) => {
+      if (resolved.has(field)) return;
+      const index = lowerHeaders.findIndex((h) => aliases.includes(h));
+      if (index !== -1) resolved.set(field, index);
+    });
+
+    ["title", "artist"].forEach((field) => {
+      if (!resolved.has(field)) {
+        throw new FileParsingError(
+          `No ${field} column found; columns are: ${headers.join(", ")} (use --map ${field}=<column>)`,
+          filePath,
+        );
+      }
+    });
+    return resolved;
+  }
+
+  /**
+   * Parse CSV text into song objects
+   * @returns {Object} { songs, skipped }
+   */
+  parseContent(text, filePath) {
+    const content = text.replace(/^\uFEFF/, "");
+    const firstLine = content.split(/\r\n|\n|\r/).find((line) => line.trim());
+    const delimiter = firstLine && CsvParser.detectDelimiter(firstLine);
+    if (!delimiter) {
+      throw new FileParsingError("No delimited header line found", filePath);
+    }
+
+    const [headers, ...rows] = this.parseRows(content, delimiter);
+    if (!headers || rows.length === 0) {
+      throw new FileParsingError("File appears to be empty or invalid", filePath);
+    }
+    const columns = this.resolveColumns(headers, filePath);
+    Logger.debug(
+      `CSV columns: ${[...columns].map(([field, i]) => `${field}=${headers[i]}`).join(", ")}`,
+    );
+
+    const songs = [];
+    let skipped = 0;
+    rows.forEach((values) => {
+      const appleColumns = {};
+      columns.forEach((index, field) => {
+        appleColumns[FIELD_COLUMNS[field]] = values[index];
+      });
+      const originalData = {};
+      headers.forEach((header, i) => {
+        originalData[header] = values[i] ?? "";
+      });
+
+      const song = this.tsvParser.songFromColumns(appleColumns, originalData);
+      // Apple-style dates were parsed above; other tools write ISO 8601
+      if (!song.dateAddedISO) song.dateAddedISO = parseISODate(song.dateAdded);
+      if (this.tsvParser.isValidSong(song)) {
+        songs.push(song);
+      } else {
+        skipped++;
+      }
+    });
+    return { songs, skipped };
+  }
+
+  async parseFile(filePath) {
+    Logger.info(`Parsing CSV playlist: ${path.basename(filePath)}`);
+    const { text, encoding } = await readTextFile(filePath);
+    const { songs, skipped } = this.parseContent(text, filePath);
+    if (skipped > 0) {
+      Logger.warning(`${skipped} rows without a title or artist were skipped`);
+    }
+
+    Logger.success(`Parsing complete: ${songs.length} songs loaded`);
+    return {
+      songs,
+      metadata: {
+        filePath,
+        fileName: path.basename(filePath),
+        playlistName: path.basename(filePath, path.extname(filePath)),
+        encoding,
+        totalSongs: songs.length,
+        parsedAt: new Date().toISOString(),
+        stats: this.tsvParser.generateStats(songs),
+      },
+    };
+  }
+}
+
+CsvParser.FIELD_COLUMNS = FIELD_COLUMNS;
+CsvParser.parseColumnMap = parseColumnMap;
+
+module.exports = CsvParser;
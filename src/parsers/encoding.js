@@ -0,0 +1,128 @@
+const fs = require("fs").promises;
+const { FileParsingError } = require("../utils/errors");
+
+// Encoding implied by each byte order mark (see detectBom)
+const BOM_ENCODINGS = {
+  "UTF-16LE": "utf16le",
+  "UTF-16BE": "utf16be",
+  "UTF-8": "utf8",
+};
+
+// TextDecoder labels for each detected encoding
+const DECODER_LABELS = {
+  utf16le: "utf-16le",
+  utf16be: "utf-16be",
+  utf8: "utf-8",
+  latin1: "latin1",
+};
+
+/**
+ * Guess the encoding of a file from its first bytes: BOMs first, then a UTF-16 heuristic,
+ * then UTF-8 with a latin1 fallback. A partial buffer (the first chunk of a stream) is enough.
+ * @returns {string} "utf16le" | "utf16be" | "utf8" | "latin1"
+ */
+function detectBufferEncoding(buffer) {
+  const bom = detectBom(buffer);
+  if (bom) return BOM_ENCODINGS[bom];
+
+  // UTF-16LE without BOM: mostly-ASCII text has a NUL in every odd byte
+  const sample = buffer.subarray(0, 512);
+  let oddNulls = 0;
+  for (let i = 1; i < sample.length; i += 2) {
+    if (sample[i] === 0) oddNulls++;
+  }
+  if (sample.length >= 4 && oddNulls > sample.length / 4) {
+    return "utf16le";
+  }
+
+  try {
+    // stream: true tolerates a multi-byte character cut off at the end of the buffer
+    new TextDecoder("utf-8", { fatal: true }).decode(buffer.subarray(0, 65536), {
+      stream: true,
+    });
+    return "utf8";
+  } catch (_) {
+    return "latin1";
+  }
+}
+
+/**
+ * Name of the byte order mark a buffer starts with
+ * @returns {string|null} "UTF-16LE", "UTF-16BE", "UTF-8" or null when there is none
+ */
+function detectBom(buffer) {
+  if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return "UTF-16LE";
+  }
+  if (buffer.length >= 2 && buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return "UTF-16BE";
+  }
+  if (
+    buffer.length >= 3 &&
+    buffer[0] === 0xef &&
+    buffer[1] === 0xbb &&
+    buffer[2] === 0xbf
+  ) {
+    return "UTF-8";
+  }
+  return null;
+}
+
+/**
+ * Incremental decoder for an encoding from detectBufferEncoding (strips the BOM)
+ * @returns {TextDecoder} Call decode(chunk, { stream: true }) per chunk, then decode()
+ */
+function createDecoder(encoding) {
+  return new TextDecoder(DECODER_LABELS[encoding] || "utf-8");
+}
+
+/**
+ * Decode a text file buffer
+ * @returns {Object} { text, encoding }
+ */
+function decodeBuffer(buffer) {
+  const encoding = detectBufferEncoding(buffer);
+  return { text: createDecoder(encoding).decode(buffer), encoding };
+}
+
+/**
+ * Read and decode a whole text file
+ * @returns {Promise<Object>} { text, encoding }
+ */
+async function readTextFile(filePath) {
+  try {
+    return decodeBuffer(await fs.readFile(filePath));
+  } catch (err) {
+    throw new FileParsingError(`Failed to read file: ${err.message}`, filePath);
+  }
+}
+
+/**
+ * Read and decode the start of a file (for format sniffing)
+ */
+async function readTextHead(filePath, bytes = 4096) {
+  let handle;
+  try {
+    handle = await fs.open(filePath, "r");
+    const { buffer, bytesRead } = await handle.read(
+      Buffer.alloc(bytes),
+      0,
+      bytes,
+      0,
+    );
+    return decodeBuffer(buffer.subarray(0, bytesRead)).text;
+  } catch (err) {
+    throw new FileParsingError(`Failed to read file: ${err.message}`, filePath);
+  } finally {
+    if (handle) await handle.close();
+  }
+}
+
+module.exports = {
+  detectBufferEncoding,
+  detectBom,
+  createDecoder,
+  decodeBuffer,
+  readTextFile,
+  readTextHead,
+};
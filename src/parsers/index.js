@@ -0,0 +1,117 @@
+const path = require("path");
+const Logger = require("../utils/logger");
+const { FileParsingError } = require("../utils/errors");
+const AppleMusicParser = require("./apple-music");
+const LibraryXmlParser = require("./library-xml");
+const M3uParser = require("./m3u");
+const CsvParser = require("./csv");
+const { readTextHead } = require("./encoding");
+
+const FORMATS = {
+  APPLE_TSV: "apple-tsv",
+  LIBRARY_XML: "library-xml",
+  M3U: "m3u",
+  CSV: "csv",
+};
+
+// Used only when the content does not give the format away
+const EXTENSION_FORMATS = {
+  ".xml": FORMATS.LIBRARY_XML,
+  ".m3u": FORMATS.M3U,
+  ".m3u8": FORMATS.M3U,
+  ".csv": FORMATS.CSV,
+};
+
+/**
+ * Detect the format of a playlist file by sniffing its first few kilobytes
+ * @returns {Promise<string>} One of FORMATS
+ */
+async function detectFormat(filePath) {
+  const head = await readTextHead(filePath);
+  const tsvParser = new AppleMusicParser();
+  let format;
+  if (LibraryXmlParser.looksLikeLibraryXml(head)) format = FORMATS.LIBRARY_XML;
+  else if (M3uParser.looksLikeM3U(head)) format = FORMATS.M3U;
+  else if (tsvParser.looksLikeAppleTSV(head)) format = FORMATS.APPLE_TSV;
+  else if (CsvParser.looksLikeCSV(head)) format = FORMATS.CSV;
+  else {
+    format =
+      EXTENSION_FORMATS[path.extname(filePath).toLowerCase()] ||
+      FORMATS.APPLE_TSV;
+  }
+  Logger.debug(`Detected ${format} format for ${path.basename(filePath)}`);
+  return format;
+}
+
+/**
+ * Parse a single-playlist export (Apple TSV, M3U/M3U8 or CSV) into { songs, metadata }
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {Object} [options.columnMap] - CSV column mapping (--map)
+ * @param {string} [options.locale] - Export locale (--locale); detected when omitted
+ * @returns {Promise<Object>} Same shape as AppleMusicParser.parseFile, plus metadata.format
+ */
+async function parseExport(filePath, options = {}) {
+  const format = await detectFormat(filePath);
+  if (options.columnMap && format !== FORMATS.CSV) {
+    Logger.warning(`Ignoring --map: ${path.basename(filePath)} is not a CSV file`);
+  }
+
+  let parseResult;
+  switch (format) {
+    case FORMATS.LIBRARY_XML:
+      throw new FileParsingError(
+        "Library.xml holds several playlists; pick them with --playlist",
+        filePath,
+      );
+    case FORMATS.M3U:
+      parseResult = await new M3uParser().parseFile(filePath);
+      break;
+    case FORMATS.CSV:
+      parseResult = await new CsvParser({
+        columnMap: options.columnMap,
+        locale: options.locale,
+      }).parseFile(filePath);
+      break;
+    default:
+      parseResult = await new AppleMusicParser({
+        locale: options.locale,
+      }).parseFile(filePath);
+  }
+  parseResult.metadata.format = format;
+  return parseResult;
+}
+
+/**
+ * Stream the songs of a single-playlist export.
+ * Apple TSV exports are decoded and parsed incrementally; M3U and CSV files are small
+ * enough to be parsed in full and then iterated.
+ * @param {string} filePath
+ * @param {Object} [options] - As for parseExport
+ * @returns {Promise<Object>} { songs: AsyncIterable<Object>, metadata: { filePath, fileName, playlistName, format } }
+ */
+async function streamExport(filePath, options = {}) {
+  const format = await detectFormat(filePath);
+  if (format !== FORMATS.APPLE_TSV) {
+    const { songs, metadata } = await parseExport(filePath, options);
+    return { songs, metadata };
+  }
+
+  const parser = new AppleMusicParser({ locale: options.locale });
+  return {
+    songs: parser.parseStream(filePath),
+    metadata: {
+      filePath,
+      fileName: path.basename(filePath),
+      playlistName: path.basename(filePath, path.extname(filePath)),
+      format,
+    },
+  };
+}
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  parseExport,
+  streamExport,
+};
@@ -0,0 +1,331 @@
+const fs = require("fs").promises;
+const path = require("path");
+const Logger = require("../utils/logger");
+const { FileParsingError } = require("../utils/errors");
+const AppleMusicParser = require("./apple-music");
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+// Library-wide playlists ("Library", "Music", "Podcasts", ...) rather than user playlists
+const isBuiltInPlaylist = (playlist) =>
+  playlist.Master === true || playlist["Distinguished Kind"] !== undefined;
+
+/**
+ * iTunes / Music "Library.xml" parser
+ *
+ * The export is an XML property list holding every track (keyed by Track ID) and every
+ * playlist, including folders (via Parent Persistent ID) and stable Persistent IDs.
+ * Songs are emitted in the same shape as AppleMusicParser.parseFile so the rest of the
+ * pipeline does not care where they came from.
+ */
+class LibraryXmlParser {
+  constructor() {
+    // Reuse the TSV parser's text helpers so both sources clean values the same way
+    this.tsvParser = new AppleMusicParser();
+  }
+
+  /**
+   * Quick check for a plist document (used to route files to this parser)
+   */
+  static looksLikeLibraryXml(text) {
+    const head = String(text).slice(0, 1024);
+    return head.includes("<plist") || head.includes("<!DOCTYPE plist");
+  }
+
+  decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+      if (entity[0] === "#") {
+        const code =
+          entity[1].toLowerCase() === "x"
+            ? parseInt(entity.slice(2), 16)
+            : parseInt(entity.slice(1), 10);
+        return String.fromCodePoint(code);
+      }
+      return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+    });
+  }
+
+  /**
+   * Parse a property list document into plain JS values.
+   * Supports dict, array, string, key, integer, real, true/false, date and data.
+   */
+  parsePlist(text, filePath) {
+    // Comments, declarations and doctype are matched (and skipped) so they do not read as text
+    const tokenPattern =
+      /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)(\w+)[^>]*?(\/?)>|([^<]+)/g;
+    // Frames: the plist root, open arrays and open dicts (with their pending key)
+    const stack = [{ type: "plist", value: undefined }];
+    let buffer = "";
+    let match;
+
+    const addValue = (value) => {
+      const frame = stack[stack.length - 1];
+      if (frame.type === "array") {
+        frame.value.push(value);
+      } else if (frame.type === "dict") {
+        if (frame.key === null) {
+          throw new FileParsingError("Plist dict value without a key", filePath);
+        }
+        frame.value[frame.key] = value;
+        frame.key = null;
+      } else if (frame.type === "plist") {
+        frame.value = value;
+      }
+    };
+
+    while ((match = tokenPattern.exec(text)) !== null) {
+      const [, closing, tag, selfClosing, chars] = match;
+      if (chars !== undefined) {
+        buffer += chars;
+        continue;
+      }
+      if (!tag) continue; // comment, declaration or doctype
+
+      if (tag === "plist") continue;
+
+      if (!closing) {
+        buffer = "";
+        if (selfClosing) {
+          if (tag === "true" || tag === "false") addValue(tag === "true");
+          else if (tag === "dict") addValue({});
+          else if (tag === "array") addValue([]);
+          else if (tag === "string") addValue("");
+          continue;
+        }
+        if (tag === "dict") stack.push({ type: "dict", value: {}, key: null });
+        else if (tag === "array") stack.push({ type: "array", value: [] });
+        continue;
+      }
+
+      // Closing tags
+      const raw = this.decodeEntities(buffer);
+      buffer = "";
+      switch (tag) {
+        case "dict":
+        case "array": {
+          const frame = stack.pop();
+          if (!frame || frame.type !== tag) {
+            throw new FileParsingError(`Unbalanced <${tag}> in plist`, filePath);
+          }
+          addValue(frame.value);
+          break;
+        }
+        case "key":
+          stack[stack.length - 1].key = raw;
+          break;
+        case "string":
+          addValue(raw);
+          break;
+        case "integer":
+          addValue(parseInt(raw, 10));
+          break;
+        case "real":
+          addValue(parseFloat(raw));
+          break;
+        case "date":
+          addValue(raw.trim());
+          break;
+        case "data":
+          addValue(raw.replace(/\s+/g, ""));
+          break;
+        default:
+          Logger.debug(`Ignoring unknown plist element <${tag}>`);
+      }
+    }
+
+    if (stack.length !== 1 || stack[0].value === undefined) {
+      throw new FileParsingError("Incomplete plist document", filePath);
+    }
+    return stack[0].value;
+  }
+
+  /**
+   * Read a Library.xml file
+   * @returns {Promise<Object>} { tracks: Map<trackId, dict>, playlists, filePath }
+   */
+  async loadLibrary(filePath) {
+    let content;
+    try {
+      Logger.info(`Reading music library: ${path.basename(filePath)}`);
+      content = await fs.readFile(filePath, "utf8");
+    } catch (err) {
+      throw new FileParsingError(`Failed to read file: ${err.message}`, filePath);
+    }
+    if (!LibraryXmlParser.looksLikeLibraryXml(content)) {
+      throw new FileParsingError("Not a Library.xml property list", filePath);
+    }
+
+    const plist = this.parsePlist(content, filePath);
+    if (!plist || !plist.Tracks || !Array.isArray(plist.Playlists)) {
+      throw new FileParsingError(
+        "Property list has no Tracks/Playlists (is this a Library.xml export?)",
+        filePath,
+      );
+    }
+
+    const tracks = new Map(
+      Object.values(plist.Tracks).map((track) => [track["Track ID"], track]),
+    );
+    return {
+      filePath,
+      tracks,
+      playlists: this.listPlaylists(plist.Playlists),
+    };
+  }
+
+  /**
+   * User playlists and folders with their folder path, in library order. A folder
+   * without items of its own collects those of the playlists inside it.
+   * @returns {Array<Object>} { name, path, persistentId, parentPersistentId, folder, smart, trackIds }
+   */
+  listPlaylists(rawPlaylists) {
+    const byId = new Map(
+      rawPlaylists.map((playlist) => [playlist["Playlist Persistent ID"], playlist]),
+    );
+    const folderPath = (playlist) => {
+      const names = [];
+      let parent = byId.get(playlist["Parent Persistent ID"]);
+      while (parent && names.length < 50) {
+        names.unshift(parent.Name);
+        parent = byId.get(parent["Parent Persistent ID"]);
+      }
+      return names;
+    };
+
+    const itemIds = (playlist) =>
+      (playlist["Playlist Items"] || []).map((item) => item["Track ID"]);
+    const folderItemIds = (folder, depth = 0) => {
+      if (itemIds(folder).length > 0 || depth >= 50) return itemIds(folder);
+      const ids = rawPlaylists
+        .filter((child) => child["Parent Persistent ID"] === folder["Playlist Persistent ID"])
+        .flatMap((child) =>
+          child.Folder === true ? folderItemIds(child, depth + 1) : itemIds(child),
+        );
+      return [...new Set(ids)];
+    };
+
+    return rawPlaylists
+      .filter((playlist) => !isBuiltInPlaylist(playlist))
+      .map((playlist) => ({
+        name: playlist.Name,
+        path: [...folderPath(playlist), playlist.Name].join(" / "),
+        persistentId: playlist["Playlist Persistent ID"],
+        parentPersistentId: playlist["Parent Persistent ID"] || null,
+        folder: playlist.Folder === true,
+        smart: playlist["Smart Info"] !== undefined,
+        trackIds:
+          playlist.Folder === true ? folderItemIds(playlist) : itemIds(playlist),
+      }));
+  }
+
+  /**
+   * Map a library track dict to the song object AppleMusicParser produces
+   */
+  toSong(track) {
+    const clean = (value) => this.tsvParser.cleanText(value);
+    const number = (value) => (typeof value === "number" ? value : null);
+    const date = (value) => (value ? new Date(value).toISOString() : null);
+    const dateAdded = date(track["Date Added"]);
+    const dateModified = date(track["Date Modified"]);
+    const lastPlayed = date(track["Play Date UTC"]);
+    const lastSkipped = date(track["Skip Date"]);
+
+    return {
+      title: clean(track.Name),
+      artist: clean(track.Artist || track["Album Artist"]),
+      composer: clean(track.Composer),
+      album: clean(track.Album),
+      grouping: clean(track.Grouping),
+      work: clean(track.Work),
+      movementNumber: number(track["Movement Number"]),
+      movementCount: number(track["Movement Count"]),
+      movementName: clean(track["Movement Name"]),
+      genre: clean(track.Genre),
+      size: number(track.Size),
+      // "Total Time" is milliseconds in the library; songs carry seconds
+      duration:
+        typeof track["Total Time"] === "number"
+          ? Math.round(track["Total Time"] / 1000)
+          : null,
+      discNumber: number(track["Disc Number"]),
+      discCount: number(track["Disc Count"]),
+      trackNumber: number(track["Track Number"]),
+      trackCount: number(track["Track Count"]),
+      year: number(track.Year),
+      dateModified,
+      dateModifiedISO: dateModified,
+      dateAdded,
+      dateAddedISO: dateAdded,
+      bitRate: number(track["Bit Rate"]),
+      sampleRate: number(track["Sample Rate"]),
+      volumeAdjustment: number(track["Volume Adjustment"]),
+      kind: clean(track.Kind),
+      equalizer: clean(track.Equalizer),
+      comments: clean(track.Comments),
+      playCount: number(track["Play Count"]),
+      lastPlayed,
+      lastPlayedISO: lastPlayed,
+      skipCount: number(track["Skip Count"]),
+      lastSkipped,
+      lastSkippedISO: lastSkipped,
+      rating: number(track.Rating),
+      location: this.decodeLocation(track.Location),
+      persistentId: track["Persistent ID"] || null,
+
+      originalData: track,
+    };
+  }
+
+  decodeLocation(location) {
+    if (!location) return "";
+    try {
+      return decodeURI(location);
+    } catch (_) {
+      return location;
+    }
+  }
+
+  /**
+   * Songs of one playlist, in the same { songs, metadata } shape as AppleMusicParser.parseFile
+   * @param {Object} library - From loadLibrary
+   * @param {Object} playlist - One of library.playlists
+   */
+  parsePlaylist(library, playlist) {
+    const songs = [];
+    let missing = 0;
+    playlist.trackIds.forEach((trackId) => {
+      const track = library.tracks.get(trackId);
+      if (!track) {
+        missing++;
+        return;
+      }
+      const song = this.toSong(track);
+      if (this.tsvParser.isValidSong(song)) {
+        songs.push(song);
+      }
+    });
+    if (missing > 0) {
+      Logger.warning(
+        `${missing} items of "${playlist.name}" are missing from the library's track list`,
+      );
+    }
+
+    Logger.success(`Loaded playlist "${playlist.path}": ${songs.length} songs`);
+    return {
+      songs,
+      metadata: {
+        filePath: library.filePath,
+        fileName: path.basename(library.filePath),
+        playlistName: playlist.name,
+        playlistPath: playlist.path,
+        playlistPersistentId: playlist.persistentId,
+        encoding: "utf8",
+        totalSongs: songs.length,
+        parsedAt: new Date().toISOString(),
+        stats: this.tsvParser.generateStats(songs),
+      },
+    };
+  }
+}
+
+module.exports = LibraryXmlParser;
@@ -0,0 +1,258 @@
+const { UsageError } = require("../utils/errors");
+
+/**
+ * Localized Music.app / iTunes export headers, mapped to the English column names.
+ * English headers need no entry. Several spellings are listed where Music.app and
+ * iTunes releases differ; add more as exports from other installs turn up.
+ *
+ * dateOrder is the default field order of "Date Added"-style values for the locale.
+ */
+const LOCALES = {
+  en: {
+    name: "English",
+    dateOrder: "MDY",
+    headers: {},
+  },
+  de: {
+    name: "German",
+    dateOrder: "DMY",
+    headers: {
+      Name: "Name",
+      Titel: "Name",
+      Künstler: "Artist",
+      Interpret: "Artist",
+      Komponist: "Composer",
+      Album: "Album",
+      Gruppierung: "Grouping",
+      Werk: "Work",
+      Satznummer: "Movement Number",
+      Satzanzahl: "Movement Count",
+      Satzname: "Movement Name",
+      Genre: "Genre",
+      Größe: "Size",
+      Dauer: "Time",
+      Zeit: "Time",
+      "CD-Nummer": "Disc Number",
+      "Disc-Nummer": "Disc Number",
+      "CD-Anzahl": "Disc Count",
+      "Disc-Anzahl": "Disc Count",
+      Titelnummer: "Track Number",
+      Titelanzahl: "Track Count",
+      Jahr: "Year",
+      Geändert: "Date Modified",
+      Änderungsdatum: "Date Modified",
+      Hinzugefügt: "Date Added",
+      "Hinzugefügt am": "Date Added",
+      Bitrate: "Bit Rate",
+      Abtastrate: "Sample Rate",
+      Lautstärkeanpassung: "Volume Adjustment",
+      Art: "Kind",
+      Equalizer: "Equalizer",
+      Kommentare: "Comments",
+      Kommentar: "Comments",
+      Wiedergaben: "Plays",
+      "Zuletzt gespielt": "Last Played",
+      Übersprungen: "Skips",
+      "Zuletzt übersprungen": "Last Skipped",
+      Bewertung: "My Rating",
+      "Meine Bewertung": "My Rating",
+      Ort: "Location",
+      Speicherort: "Location",
+    },
+  },
+  fr: {
+    name: "French",
+    dateOrder: "DMY",
+    headers: {
+      Nom: "Name",
+      Artiste: "Artist",
+      Compositeur: "Composer",
+      Album: "Album",
+      Regroupement: "Grouping",
+      Œuvre: "Work",
+      "Numéro de mouvement": "Movement Number",
+      "Nombre de mouvements": "Movement Count",
+      "Nom du mouvement": "Movement Name",
+      Genre: "Genre",
+      Taille: "Size",
+      Durée: "Time",
+      "Numéro de disque": "Disc Number",
+      "Nombre de disques": "Disc Count",
+      "Numéro de piste": "Track Number",
+      "N° de piste": "Track Number",
+      "Nombre de pistes": "Track Count",
+      Année: "Year",
+      "Date de modification": "Date Modified",
+      Modifié: "Date Modified",
+      "Date d'ajout": "Date Added",
+      Ajouté: "Date Added",
+      Débit: "Bit Rate",
+      "Fréquence d'échantillonnage": "Sample Rate",
+      "Ajustement du volume": "Volume Adjustment",
+      Type: "Kind",
+      Égaliseur: "Equalizer",
+      Commentaires: "Comments",
+      Lectures: "Plays",
+      "Nombre de lectures": "Plays",
+      "Dernière lecture": "Last Played",
+      Sauts: "Skips",
+      "Dernier saut": "Last Skipped",
+      Classement: "My Rating",
+      "Ma note": "My Rating",
+      Emplacement: "Location",
+    },
+  },
+  es: {
+    name: "Spanish",
+    dateOrder: "DMY",
+    headers: {
+      Nombre: "Name",
+      Artista: "Artist",
+      Compositor: "Composer",
+      Álbum: "Album",
+      Agrupación: "Grouping",
+      Obra: "Work",
+      "Número de movimiento": "Movement Number",
+      "Número de movimientos": "Movement Count",
+      "Nombre del movimiento": "Movement Name",
+      Género: "Genre",
+      Tamaño: "Size",
+      Duración: "Time",
+      Tiempo: "Time",
+      "Número de disco": "Disc Number",
+      "Número de discos": "Disc Count",
+      "Número de pista": "Track Number",
+      "Número de pistas": "Track Count",
+      Año: "Year",
+      "Fecha de modificación": "Date Modified",
+      Modificación: "Date Modified",
+      "Fecha de adición": "Date Added",
+      Añadido: "Date Added",
+      "Velocidad de bits": "Bit Rate",
+      "Frecuencia de muestreo": "Sample Rate",
+      "Ajuste de volumen": "Volume Adjustment",
+      Clase: "Kind",
+      Tipo: "Kind",
+      Ecualizador: "Equalizer",
+      Comentarios: "Comments",
+      Reproducciones: "Plays",
+      "Última reproducción": "Last Played",
+      Omisiones: "Skips",
+      Saltos: "Skips",
+      "Última omisión": "Last Skipped",
+      "Último salto": "Last Skipped",
+      Clasificación: "My Rating",
+      "Mi valoración": "My Rating",
+      Ubicación: "Location",
+    },
+  },
+  ja: {
+    name: "Japanese",
+    dateOrder: "YMD",
+    headers: {
+      名前: "Name",
+      アーティスト: "Artist",
+      作曲者: "Composer",
+      アルバム: "Album",
+      グループ: "Grouping",
+      作品: "Work",
+      楽章番号: "Movement Number",
+      楽章数: "Movement Count",
+      楽章名: "Movement Name",
+      ジャンル: "Genre",
+      サイズ: "Size",
+      時間: "Time",
+      ディスク番号: "Disc Number",
+      ディスク数: "Disc Count",
+      トラック番号: "Track Number",
+      トラック数: "Track Count",
+      年: "Year",
+      変更日: "Date Modified",
+      追加日: "Date Added",
+      ビットレート: "Bit Rate",
+      サンプルレート: "Sample Rate",
+      音量調整: "Volume Adjustment",
+      種類: "Kind",
+      イコライザ: "Equalizer",
+      コメント: "Comments",
+      再生回数: "Plays",
+      最後に再生した日: "Last Played",
+      スキップ回数: "Skips",
+      最後にスキップした日: "Last Skipped",
+      評価: "My Rating",
+      マイレート: "My Rating",
+      場所: "Location",
+    },
+  },
+};
+
+// Header comparison ignores case, apostrophe style and Unicode composition
+const normalizeHeader = (header) =>
+  String(header).normalize("NFC").replace(/[’`]/g, "'").trim().toLowerCase();
+
+const HEADER_TABLES = Object.fromEntries(
+  Object.entries(LOCALES).map(([code, locale]) => [
+    code,
+    new Map(
+      Object.entries(locale.headers).map(([localized, english]) => [
+        normalizeHeader(localized),
+        english,
+      ]),
+    ),
+  ]),
+);
+
+/**
+ * English column name for a header in the given locale (unknown headers pass through)
+ */
+function translateHeader(header, localeCode) {
+  const table = HEADER_TABLES[localeCode];
+  return (table && table.get(normalizeHeader(header))) || header;
+}
+
+/**
+ * Locale whose header table matches the most headers; null when no locale has both
+ * a title and an artist column
+ * @param {Array<string>} headers - Header row of the export
+ * @param {Array<string>} englishColumns - The English Apple column names
+ */
+function detectHeaderLocale(headers, englishColumns) {
+  const english = new Set(englishColumns.map(normalizeHeader));
+  let best = null;
+  Object.keys(LOCALES).forEach((code) => {
+    const translated = headers.map((header) =>
+      code === "en"
+        ? english.has(normalizeHeader(header))
+          ? header
+          : null
+        : HEADER_TABLES[code].get(normalizeHeader(header)) || null,
+    );
+    if (!translated.includes("Name") || !translated.includes("Artist")) return;
+    const score = translated.filter(Boolean).length;
+    if (!best || score > best.score) best = { code, score };
+  });
+  return best ? best.code : null;
+}
+
+/**
+ * Validate a --locale value ("auto" or a code from LOCALES)
+ * @returns {string|null} Locale code, or null to detect it from the file
+ */
+function parseLocaleOption(value, command) {
+  if (value === undefined || value === null || value === "auto") return null;
+  const code = String(value).trim().toLowerCase().split(/[-_]/)[0];
+  if (!LOCALES[code]) {
+    throw new UsageError(
+      `Unknown locale "${value}" (use auto or one of: ${Object.keys(LOCALES).join(", ")})`,
+      command,
+    );
+  }
+  return code;
+}
+
+module.exports = {
+  LOCALES,
+  translateHeader,
+  detectHeaderLocale,
+  parseLocaleOption,
+};
@@ -0,0 +1,156 @@
+const path = require("path");
+const Logger = require("../utils/logger");
+const { FileParsingError } = require("../utils/errors");
+const AppleMusicParser = require("./apple-music");
+const { readTextFile } = require("./encoding");
+
+// #EXTINF:<seconds>[ key="value"...],<display title>
+const EXTINF_PATTERN = /^#EXTINF:\s*(-?\d+(?:\.\d+)?)[^,]*,(.*)$/i;
+
+/**
+ * M3U / M3U8 playlist parser
+ *
+ * Reads "#EXTINF:<duration>,<Artist> - <Title>" entries (plus the #EXTART, #EXTALB,
+ * #EXTGENRE and #PLAYLIST extensions) and falls back to the file name of bare location
+ * lines. Songs are emitted in the same shape as AppleMusicParser.parseFile.
+ */
+class M3uParser {
+  constructor() {
+    this.tsvParser = new AppleMusicParser();
+  }
+
+  /**
+   * Quick check for an M3U document (used to route files to this parser)
+   */
+  static looksLikeM3U(text) {
+    const head = String(text).slice(0, 4096).replace(/^\uFEFF/, "");
+    return /^#EXTM3U\b/.test(head) || /^#EXTINF:/m.test(head);
+  }
+
+  /**
+   * Split an "Artist - Title" display string; the artist is empty when there is no separator
+   */
+  splitDisplayTitle(display) {
+    const separator = display.indexOf(" - ");
+    if (separator === -1) return { artist: "", title: display.trim() };
+    return {
+      artist: display.slice(0, separator).trim(),
+      title: display.slice(separator + 3).trim(),
+    };
+  }
+
+  /**
+   * Artist and title from a location such as "file:///Music/Queen%20-%20Jazz/01%20Queen%20-%20Mustapha.mp3"
+   */
+  describeLocation(location) {
+    let name = location.split(/[\\/]/).pop() || "";
+    try {
+      name = decodeURIComponent(name);
+    } catch (_) {
+      // keep the raw name
+    }
+    name = name.replace(/\.[a-z0-9]{2,4}$/i, "").replace(/^\d+[\s.-]+/, "");
+    return this.splitDisplayTitle(name);
+  }
+
+  /**
+   * Parse M3U text into song objects
+   * @returns {Object} { songs, playlistName, skipped }
+   */
+  parseContent(text) {
+    const lines = text
+      .replace(/^\uFEFF/, "")
+      .split(/\r\n|\n|\r/)
+      .map((line) => line.trim())
+      .filter(Boolean);
+
+    const songs = [];
+    let playlistName = null;
+    let skipped = 0;
+    // Directives collected for the next location line
+    let entry = {};
+
+    lines.forEach((line) => {
+      if (line.startsWith("#")) {
+        const info = line.match(EXTINF_PATTERN);
+        if (info) {
+          const duration = Math.round(parseFloat(info[1]));
+          entry = {
+            ...entry,
+            ...this.splitDisplayTitle(info[2]),
+            duration: duration > 0 ? duration : null,
+          };
+        } else if (/^#PLAYLIST:/i.test(line)) {
+          playlistName = line.slice("#PLAYLIST:".length).trim() || null;
+        } else if (/^#EXTART:/i.test(line)) {
+          entry.artistTag = line.slice("#EXTART:".length).trim();
+        } else if (/^#EXTALB:/i.test(line)) {
+          entry.album = line.slice("#EXTALB:".length).trim();
+        } else if (/^#EXTGENRE:/i.test(line)) {
+          entry.genre = line.slice("#EXTGENRE:".length).trim();
+        }
+        return;
+      }
+
+      // A location line closes the entry
+      const fromLocation = this.describeLocation(line);
+      const title = entry.title || fromLocation.title;
+      const artist = entry.artist || entry.artistTag || fromLocation.artist;
+      const song = this.tsvParser.songFromColumns(
+        {
+          Name: title,
+          Artist: artist,
+          Album: entry.album,
+          Genre: entry.genre,
+          Time: entry.duration,
+          Location: line,
+        },
+        { ...entry, location: line },
+      );
+      if (this.tsvParser.isValidSong(song)) {
+        songs.push(song);
+      } else {
+        skipped++;
+        Logger.debug(`Skipping M3U entry without artist/title: ${line}`);
+      }
+      entry = {};
+    });
+
+    return { songs, playlistName, skipped };
+  }
+
+  async parseFile(filePath) {
+    Logger.info(`Parsing M3U playlist: ${path.basename(filePath)}`);
+    const { text, encoding } = await readTextFile(filePath);
+    if (!M3uParser.looksLikeM3U(text) && !/\.m3u8?$/i.test(filePath)) {
+      throw new FileParsingError("Not an M3U playlist", filePath);
+    }
+
+    const { songs, playlistName, skipped } = this.parseContent(text);
+    if (skipped > 0) {
+      Logger.warning(
+        `${skipped} entries have no "Artist - Title" information and were skipped`,
+      );
+    }
+    if (songs.length === 0) {
+      throw new FileParsingError("No songs found in M3U playlist", filePath);
+    }
+
+    Logger.success(`Parsing complete: ${songs.length} songs loaded`);
+    return {
+      songs,
+      metadata: {
+        filePath,
+        fileName: path.basename(filePath),
+        playlistName:
+          playlistName || path.basename(filePath, path.extname(filePath)),
+        encoding,
+        totalSongs: songs.length,
+        parsedAt: new Date().toISOString(),
+        stats: this.tsvParser.generateStats(songs),
+      },
+    };
+  }
+}
+
+module.exports = M3uParser;
@@ -0,0 +1,283 @@
+const EventEmitter = require("events");
+const Logger = require("../utils/logger");
+const config = require("../utils/config");
+
+// Web API calls made through the client; each is budgeted, retried and measured
+const API_METHODS = [
+  "getMe",
+  "getTrack",
+  "searchTracks",
+  "searchEpisodes",
+  "getPlaylist",
+  "getPlaylistTracks",
+  "getUserPlaylists",
+  "createPlaylist",
+  "addTracksToPlaylist",
+  "removeTracksFromPlaylist",
+  "reorderTracksInPlaylist",
+];
+
+// Token handling is local and the OAuth calls go to the accounts service: passed through as is
+const PASSTHROUGH_METHODS = [
+  "setAccessToken",
+  "setRefreshToken",
+  "getAccessToken",
+  "getRefreshToken",
+  "createAuthorizeURL",
+  "authorizationCodeGrant",
+  "refreshAccessToken",
+];
+
+// Connection failures worth retrying (superagent passes Node's error codes through)
+const NETWORK_ERROR_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EPIPE",
+]);
+
+/**
+ * How a failed request should be retried: "rate-limit" (429), "server" (5xx),
+ * "network" (connection failure or timeout) or null when it should not be
+ */
+function retryReason(err) {
+  if (err.statusCode === 429) return "rate-limit";
+  if (err.statusCode >= 500) return "server";
+  if (!err.statusCode && (NETWORK_ERROR_CODES.has(err.code) || err.name === "TimeoutError")) {
+    return "network";
+  }
+  return null;
+}
+
+// Retry-After is in seconds; Spotify sends it with every 429
+function retryAfterMs(err) {
+  const seconds = parseInt(err.headers && err.headers["retry-after"], 10);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : null;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Wrapper around spotify-web-api-node that every Spotify module goes through.
+ * It exposes the same methods (see API_METHODS) and adds, for every call:
+ * - a shared request budget (api.budgetRequests per api.budgetWindowMs, rolling)
+ * - retries with exponential backoff for 429s, 5xx responses and network errors;
+ *   a 429's Retry-After pauses every request, not just the one that was limited
+ * - one retry after a 401, with the access token refreshed first (options.refreshTokens)
+ * - request, retry and latency metrics (getMetrics)
+ * Emits "rate-limit" ({ method, retryAfterMs }) on every 429, so callers can slow down.
+ */
+class SpotifyApiClient extends EventEmitter {
+  /**
+   * @param {SpotifyWebApi} api - Authenticated spotify-web-api-node instance
+   * @param {Object} [options]
+   * @param {Function} [options.refreshTokens] - async () => refreshes and sets the access
+   *   token on `api`; without it a 401 fails the request
+   */
+  constructor(api, options = {}) {
+    super();
+    this.api = api;
+    this.refreshTokens = options.refreshTokens || null;
+    // Bumped on every refresh; a 401 for a request sent with an older token just retries
+    this.tokenGeneration = 0;
+    this.renewing = null;
+    this.maxRetries = config.get("api.maxRetries");
+    this.baseDelay = config.get("api.baseDelayMs");
+    this.budgetRequests = config.get("api.budgetRequests");
+    this.budgetWindowMs = config.get("api.budgetWindowMs");
+    // Start times of the requests inside the current budget window, oldest first
+    this.sentAt = [];
+    // Set from Retry-After; no request starts before this time
+    this.pausedUntil = 0;
+    this.metrics = {
+      requests: 0,
+      retries: 0,
+      failures: 0,
+      rateLimited: 0,
+      tokenRefreshes: 0,
+      waitedMs: 0,
+      totalLatencyMs: 0,
+      maxLatencyMs: 0,
+      byMethod: {},
+    };
+  }
+
+  /**
+   * Wait until the budget and any Retry-After pause allow another request, then claim a slot
+   */
+  async waitForTurn() {
+    const started = Date.now();
+    for (;;) {
+      const now = Date.now();
+      while (this.sentAt.length > 0 && this.sentAt[0] <= now - this.budgetWindowMs) {
+        this.sentAt.shift();
+      }
+      let wait = this.pausedUntil - now;
+      if (this.budgetRequests > 0 && this.sentAt.length >= this.budgetRequests) {
+        wait = Math.max(wait, this.sentAt[0] + this.budgetWindowMs - now);
+      }
+      if (wait <= 0) break;
+      await sleep(wait);
+    }
+    this.sentAt.push(Date.now());
+    this.metrics.waitedMs += Date.now() - started;
+  }
+
+  /**
+   * Run one Web API call with the budget, retries and metrics
+   * @param {string} method - Method name, for metrics and log lines
+   * @param {Function} call - Makes the request; called again for each retry
+   * @returns {Promise<Object>} The response; rejects with the last error once retries run out
+   */
+  async request(method, call) {
+    const stats =
+      this.metrics.byMethod[method] ||
+      (this.metrics.byMethod[method] = { requests: 0, failures: 0, totalLatencyMs: 0 });
+
+    let refreshed = false;
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForTurn();
+      const generation = this.tokenGeneration;
+      const started = Date.now();
+      let error = null;
+      let response;
+      try {
+        response = await call();
+      } catch (err) {
+        error = err;
+      }
+      const latency = Date.now() - started;
+      this.metrics.requests++;
+      this.metrics.totalLatencyMs += latency;
+      this.metrics.maxLatencyMs = Math.max(this.metrics.maxLatencyMs, latency);
+      stats.requests++;
+      stats.totalLatencyMs += latency;
+      if (!error) return response;
+
+      // Expired access token: refresh it (or wait for the refresh already running) and retry once
+      if (error.statusCode === 401 && this.refreshTokens && !refreshed) {
+        refreshed = true;
+        attempt--;
+        if (generation === this.tokenGeneration) {
+          try {
+            await this.renewToken(method);
+          } catch (refreshError) {
+            this.metrics.failures++;
+            stats.failures++;
+            throw refreshError;
+          }
+        }
+        continue;
+      }
+
+      const reason = retryReason(error);
+      if (reason === "rate-limit") {
+        this.metrics.rateLimited++;
+        this.emit("rate-limit", { method, retryAfterMs: retryAfterMs(error) });
+      }
+      if (!reason || attempt >= this.maxRetries) {
+        this.metrics.failures++;
+        stats.failures++;
+        throw error;
+      }
+      let delay = this.baseDelay * Math.pow(2, attempt);
+      const retryAfter = reason === "rate-limit" ? retryAfterMs(error) : null;
+      if (retryAfter !== null) {
+        delay = Math.max(delay, retryAfter);
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + retryAfter);
+      }
+      this.metrics.retries++;
+      const cause =
+        reason === "rate-limit"
+          ? "rate limited"
+          : error.statusCode || error.code || error.name;
+      Logger.warning(
+        `Spotify ${method} failed (${cause}), retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 2}/${this.maxRetries + 1})...`,
+      );
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Refresh the access token once for all requests that hit a 401 with the current one
+   */
+  async renewToken(method) {
+    if (!this.renewing) {
+      Logger.warning(`Spotify ${method} was refused (401), refreshing the access token...`);
+      this.renewing = Promise.resolve(this.refreshTokens())
+        .then(() => {
+          this.tokenGeneration++;
+          this.metrics.tokenRefreshes++;
+        })
+        .finally(() => {
+          this.renewing = null;
+        });
+    }
+    return this.renewing;
+  }
+
+  /**
+   * Request counts and latencies so far (HTTP requests, so retries count separately)
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      averageLatencyMs: this.metrics.requests
+        ? Math.round(this.metrics.totalLatencyMs / this.metrics.requests)
+        : 0,
+      byMethod: { ...this.metrics.byMethod },
+    };
+  }
+}
+
+API_METHODS.forEach((method) => {
+  SpotifyApiClient.prototype[method] = function (...args) {
+    return this.request(method, () => this.api[method](...args));
+  };
+});
+
+PASSTHROUGH_METHODS.forEach((method) => {
+  SpotifyApiClient.prototype[method] = function (...args) {
+    return this.api[method](...args);
+  };
+});
+
+/**
+ * "42 requests (3 retried, 1 rate limited, 0 failed), 180ms average"
+ */
+function describeApiMetrics(metrics) {
+  const waited =
+    metrics.waitedMs >= 1000
+      ? `, ${(metrics.waitedMs / 1000).toFixed(1)}s held back by the budget or Retry-After`
+      : "";
+  const refreshes = metrics.tokenRefreshes
+    ? `, access token refreshed ${metrics.tokenRefreshes}×`
+    : "";
+  return `${metrics.requests} requests (${metrics.retries} retried, ${metrics.rateLimited} rate limited, ${metrics.failures} failed), ${metrics.averageLatencyMs}ms average${waited}${refreshes}`;
+}
+
+/**
+ * Log the session's API metrics, with a per-method breakdown in debug mode
+ * @param {Object} spotifyApi - A SpotifyApiClient; other clients (e.g. test doubles) are skipped
+ */
+function printApiMetrics(spotifyApi) {
+  if (!spotifyApi || typeof spotifyApi.getMetrics !== "function") return;
+  const metrics = spotifyApi.getMetrics();
+  // A batch shares one client, so these add up over the whole session
+  Logger.info(`  • Spotify API (this session): ${describeApiMetrics(metrics)}`);
+  Object.entries(metrics.byMethod).forEach(([method, stats]) => {
+    Logger.debug(
+      `    ${method}: ${stats.requests} requests, ${stats.failures} failed, ${Math.round(stats.totalLatencyMs / stats.requests)}ms average`,
+    );
+  });
+}
+
+module.exports = {
+  SpotifyApiClient,
+  describeApiMetrics,
+  printApiMetrics,
+};
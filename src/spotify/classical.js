@@ -0,0 +1,219 @@
+const stringSimilarity = require("string-similarity");
+
+// Genre values Music.app uses for classical tracks in the supported locales
+const CLASSICAL_GENRE =
+  /\b(classical|klassik|classique|cl[aá]sica|cl[aá]ssica|opera|oper)\b|クラシック/i;
+
+// "I. Allegro", "IV - Finale", "3. Presto" at the start of a movement title
+const MOVEMENT_PREFIX = /^\s*([IVXL]+|\d{1,2})\s*[.:)-]\s*(.*)$/i;
+
+const ROMAN_VALUES = { I: 1, V: 5, X: 10, L: 50 };
+
+// Lowercase, punctuation to spaces; unlike search.js, letters outside ASCII are kept
+// ("Dvořák", "ドヴォルザーク")
+function normalize(str) {
+  return String(str || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function romanToNumber(roman) {
+  let total = 0;
+  const digits = roman.toUpperCase().split("");
+  digits.forEach((digit, i) => {
+    const value = ROMAN_VALUES[digit];
+    const next = ROMAN_VALUES[digits[i + 1]] || 0;
+    total += value < next ? -value : value;
+  });
+  return total;
+}
+
+/**
+ * Split a movement title ("II. Andante con moto") into its number and name
+ * @returns {Object} { number, name } where number is null when the title has no prefix
+ */
+function parseMovement(text) {
+  const match = String(text || "").match(MOVEMENT_PREFIX);
+  if (!match || !match[2]) return { number: null, name: String(text || "").trim() };
+  const number = /^\d+$/.test(match[1])
+    ? parseInt(match[1], 10)
+    : romanToNumber(match[1]);
+  return { number, name: match[2].trim() };
+}
+
+/**
+ * Split a classical track title into work and movement.
+ * Apple and Spotify both write "Work: I. Movement"; Spotify also uses "Work - 1. Movement".
+ * @param {string} title
+ * @param {string} [work] - Known work name; used as the prefix when the title starts with it
+ * @returns {Object} { work, movementNumber, movementName }; movement fields are null for single-movement titles
+ */
+function splitClassicalTitle(title, work) {
+  const text = String(title || "").trim();
+  let workPart = null;
+  let movementPart = null;
+
+  if (work && text.toLowerCase().startsWith(work.toLowerCase())) {
+    const rest = text.slice(work.length).replace(/^\s*[:-]\s*/, "");
+    workPart = work;
+    movementPart = rest || null;
+  } else {
+    const separator = text.lastIndexOf(": ");
+    const dash = text.search(/ - (?:[IVXL]+|\d{1,2})\s*[.:)]/i);
+    const at = separator >= 0 ? separator : dash;
+    if (at > 0) {
+      workPart = text.slice(0, at).trim();
+      movementPart = text.slice(at).replace(/^\s*[:-]\s*/, "").trim();
+    }
+  }
+
+  if (!movementPart) {
+    return { work: workPart || text, movementNumber: null, movementName: null };
+  }
+  const movement = parseMovement(movementPart);
+  return {
+    work: workPart,
+    movementNumber: movement.number,
+    movementName: movement.name || null,
+  };
+}
+
+/**
+ * Whether a song should take the classical search path: it has Work or Movement
+ * columns, or its genre is classical. A composer alone is not enough, since
+ * iTunes fills that column in for plenty of pop songs.
+ */
+function isClassical(song) {
+  return Boolean(
+    song.work ||
+      song.movementName ||
+      song.movementNumber ||
+      CLASSICAL_GENRE.test(song.genre || ""),
+  );
+}
+
+/**
+ * Classical details for a song, merging the Work/Movement columns with what the
+ * title itself says
+ * @returns {Object|null} { composer, work, movementNumber, movementCount, movementName }, or null for non-classical songs
+ */
+function describeClassical(song) {
+  if (!isClassical(song)) return null;
+  const fromTitle = splitClassicalTitle(song.title, song.work);
+  let movementNumber = song.movementNumber || fromTitle.movementNumber || null;
+  // A parsed "number" past the movement count is part of the name, not a movement
+  if (song.movementCount && movementNumber > song.movementCount) {
+    movementNumber = null;
+  }
+  const movementName = song.movementName
+    ? parseMovement(song.movementName).name
+    : fromTitle.movementName;
+  return {
+    composer: song.composer || null,
+    work: song.work || fromTitle.work || null,
+    movementNumber,
+    movementCount: song.movementCount || null,
+    movementName: movementName || null,
+  };
+}
+
+/**
+ * Numbers in a work name ("Symphony No. 5 in C Minor, Op. 67" -> 5, 67).
+ * Catalogue and opus numbers are what tell two works of the same form apart.
+ */
+function workNumbers(work) {
+  return new Set(normalize(work).match(/\d+/g) || []);
+}
+
+/**
+ * Work similarity; a candidate whose numbers disagree ("Symphony No. 9") scores low
+ * however similar the rest of the text is
+ * @returns {number|null}
+ */
+function scoreWork(classical, candidateParts) {
+  if (!classical.work || !candidateParts.work) return null;
+  let score = stringSimilarity.compareTwoStrings(
+    normalize(classical.work),
+    normalize(candidateParts.work),
+  );
+  const songNumbers = workNumbers(classical.work);
+  const candNumbers = workNumbers(candidateParts.work);
+  if (
+    candNumbers.size > 0 &&
+    [...songNumbers].some((number) => !candNumbers.has(number))
+  ) {
+    score *= 0.4;
+  }
+  return score;
+}
+
+/**
+ * Movement agreement: a different movement number is a miss regardless of the name
+ * @returns {number|null}
+ */
+function scoreMovement(classical, candidateParts) {
+  const { movementNumber, movementName } = classical;
+  if (!movementNumber && !movementName) return null;
+  if (movementNumber && candidateParts.movementNumber) {
+    if (movementNumber !== candidateParts.movementNumber) return 0;
+    if (!movementName || !candidateParts.movementName) return 1;
+  }
+  if (!movementName) return null;
+  const similarity = stringSimilarity.compareTwoStrings(
+    normalize(movementName),
+    normalize(candidateParts.movementName || ""),
+  );
+  return movementNumber && candidateParts.movementNumber
+    ? 0.5 + 0.5 * similarity
+    : similarity;
+}
+
+/**
+ * Composer agreement: Spotify lists the composer as an artist on most classical
+ * releases, and otherwise usually names them in the album title
+ * @returns {number|null}
+ */
+function scoreComposer(classical, candidate) {
+  const composer = normalize(classical.composer);
+  if (!composer) return null;
+  const surname = composer.split(" ").pop();
+  const album = normalize(candidate.album && candidate.album.name);
+  // Whole words of the normalized text; \b only knows ASCII letters
+  const inText = ` ${normalize(candidate.name)} ${album} `.includes(` ${surname} `);
+  const best = Math.max(
+    0,
+    ...candidate.artists.map((a) =>
+      stringSimilarity.compareTwoStrings(composer, normalize(a.name)),
+    ),
+  );
+  return Math.max(best, inText ? 0.8 : 0);
+}
+
+/**
+ * Candidate artists with the composer left out, so performers are compared to performers
+ */
+function performerNames(classical, candidate) {
+  const composer = normalize(classical.composer);
+  const names = candidate.artists
+    .map((a) => normalize(a.name))
+    .filter(
+      (name) =>
+        !composer || stringSimilarity.compareTwoStrings(composer, name) < 0.8,
+    );
+  return names.length > 0
+    ? names
+    : candidate.artists.map((a) => normalize(a.name));
+}
+
+module.exports = {
+  isClassical,
+  describeClassical,
+  splitClassicalTitle,
+  parseMovement,
+  scoreWork,
+  scoreMovement,
+  scoreComposer,
+  performerNames,
+};
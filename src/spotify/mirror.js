@@ -0,0 +1,124 @@
+const Logger = require("../utils/logger");
+const playlistUtils = require("./playlist");
+const trackManager = require("./trackManager");
+const { findCounterparts, planOrder, planMoves } = require("./ordering");
+
+/**
+ * Decide which playlist items have no counterpart in the export and should go.
+ * Each export row backs one playlist item, so extra copies of a track are removed too.
+ * @param {Object} [options]
+ * @param {boolean} [options.keepManual] - Keep tracks this tool never synced (added on Spotify)
+ * @param {Set<string>} [options.syncedUris] - URIs recorded in sync history for this playlist
+ * @returns {Object} { toRemove, keptManual } lists of playlist items
+ */
+function planRemovals(playlistTracks, counterparts, options = {}) {
+  const { keepManual = false, syncedUris = new Set() } = options;
+
+  const toRemove = [];
+  const keptManual = [];
+  playlistTracks.forEach((item, i) => {
+    if (counterparts[i]) return;
+    if (keepManual && !syncedUris.has(item.uri)) {
+      keptManual.push(item);
+    } else {
+      toRemove.push(item);
+    }
+  });
+
+  return { toRemove, keptManual };
+}
+
+/**
+ * Remove playlist tracks that no longer have a counterpart in the Apple export
+ * @returns {Promise<Object>} { removed, keptManual }
+ */
+async function removeExtraTracks(
+  spotifyApi,
+  playlistId,
+  playlistTracks,
+  appleResults,
+  options = {},
+) {
+  const counterparts = findCounterparts(playlistTracks, appleResults);
+  const { toRemove, keptManual } = planRemovals(
+    playlistTracks,
+    counterparts,
+    options,
+  );
+
+  if (keptManual.length > 0) {
+    Logger.info(
+      `Keeping ${keptManual.length} tracks added on the Spotify side`,
+    );
+  }
+  if (toRemove.length === 0 || options.dryRun) {
+    return { removed: toRemove, keptManual, removedCount: 0 };
+  }
+
+  Logger.info(
+    `Removing ${toRemove.length} tracks not in the Apple Music export...`,
+  );
+  const snapshotId = await trackManager.getPlaylistSnapshotId(
+    spotifyApi,
+    playlistId,
+  );
+  const { removedCount } = await trackManager.removeTracksFromPlaylist(
+    spotifyApi,
+    playlistId,
+    toRemove,
+    snapshotId,
+  );
+  return { removed: toRemove, keptManual, removedCount };
+}
+
+/**
+ * Counterparts by playlist position. Unavailable tracks are missing from getPlaylistTracks
+ * but keep their slot; they get null, so they move after the export like kept manual tracks.
+ */
+function counterpartsBySlot(playlistTracks, counterparts) {
+  const slots = [];
+  playlistTracks.forEach((item, i) => {
+    slots[item.position] = counterparts[i];
+  });
+  return Array.from(slots, (counterpart) => counterpart || null);
+}
+
+/**
+ * Reorder a playlist so its items follow the Apple export row order
+ * @returns {Promise<Object>} { moves, movedCount }
+ */
+async function reorderToMatch(spotifyApi, playlistId, appleResults) {
+  const playlistTracks = await playlistUtils.getPlaylistTracks(
+    spotifyApi,
+    playlistId,
+  );
+  const counterparts = findCounterparts(playlistTracks, appleResults);
+  // Moves are sent as playlist positions, so plan over every slot
+  const moves = planMoves(
+    planOrder(counterpartsBySlot(playlistTracks, counterparts)),
+  );
+
+  if (moves.length === 0) {
+    Logger.info("Playlist order already matches the Apple Music export");
+    return { moves, movedCount: 0 };
+  }
+
+  Logger.info(`Reordering playlist (${moves.length} moves)...`);
+  const snapshotId = await trackManager.getPlaylistSnapshotId(
+    spotifyApi,
+    playlistId,
+  );
+  const { movedCount } = await trackManager.reorderPlaylistTracks(
+    spotifyApi,
+    playlistId,
+    moves,
+    snapshotId,
+  );
+  return { moves, movedCount };
+}
+
+module.exports = {
+  planRemovals,
+  removeExtraTracks,
+  reorderToMatch,
+};
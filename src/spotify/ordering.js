@@ -0,0 +1,165 @@
+const { isTrackAlreadyInPlaylistDetailed } = require("../utils/track-comparison");
+
+/**
+ * Comparison shape for an Apple result: its Spotify match when matched, else the Apple fields
+ */
+function toComparisonTrack(result) {
+  return {
+    name: result.spotifyTrackInfo?.name || result.title,
+    artists: result.spotifyTrackInfo?.artists || [result.artist],
+    album: result.spotifyTrackInfo?.album || result.album,
+  };
+}
+
+/**
+ * Find the Apple result each playlist item corresponds to.
+ * Exact URI matches win; otherwise the smart duplicate check is run in reverse
+ * (the playlist item against the Apple export). Each Apple result is the counterpart
+ * of one playlist item at most, so extra copies of a track have none.
+ * @param {Array} playlistTracks - Items from getPlaylistTracks, in playlist order
+ * @param {Array} appleResults - Search results for the Apple export
+ * @returns {Array} Apple result or null for each playlist item
+ */
+function findCounterparts(playlistTracks, appleResults) {
+  // Export rows matched to each URI, in export order
+  const byUri = new Map();
+  appleResults.forEach((result) => {
+    if (result.matched && result.spotifyUri) {
+      if (!byUri.has(result.spotifyUri)) byUri.set(result.spotifyUri, []);
+      byUri.get(result.spotifyUri).push(result);
+    }
+  });
+
+  const claimed = new Set();
+  const counterparts = playlistTracks.map((item) => {
+    const result = (byUri.get(item.uri) || []).find((r) => !claimed.has(r));
+    if (!result) return null;
+    claimed.add(result);
+    return result;
+  });
+
+  // Smart matches only among the rows no URI claimed; extra copies of a URI get none
+  const unclaimed = appleResults.filter((result) => !claimed.has(result));
+  const comparisons = unclaimed.map(toComparisonTrack);
+  const resultByComparison = new Map(
+    comparisons.map((comparison, i) => [comparison, unclaimed[i]]),
+  );
+  playlistTracks.forEach((item, i) => {
+    if (counterparts[i] || byUri.has(item.uri)) return;
+    const open = comparisons.filter(
+      (comparison) => !claimed.has(resultByComparison.get(comparison)),
+    );
+    const duplicate = isTrackAlreadyInPlaylistDetailed(item, open);
+    if (duplicate.isDuplicate) {
+      counterparts[i] = resultByComparison.get(duplicate.existingTrack);
+      claimed.add(counterparts[i]);
+    }
+  });
+  return counterparts;
+}
+
+/**
+ * Target order for playlist items: Apple export order first, then items
+ * without a counterpart (kept manual tracks) in their current relative order.
+ * @returns {Array<number>} Current indices in their desired order
+ */
+function planOrder(counterparts) {
+  const indices = counterparts.map((_, i) => i);
+  const rank = (i) =>
+    counterparts[i] ? counterparts[i].sourceIndex : Number.MAX_SAFE_INTEGER;
+  return indices.sort((a, b) => rank(a) - rank(b) || a - b);
+}
+
+/**
+ * Turn a desired order into moves for Spotify's reorder endpoint.
+ * Moves are computed against the list as it looks after the previous moves. Items that
+ * stay next to each other are moved together as one range.
+ * @param {Array<number>} desiredOrder - Current indices in their desired order
+ * @returns {Array<Object>} { rangeStart, rangeLength, insertBefore } moves
+ */
+function planMoves(desiredOrder) {
+  const current = desiredOrder.map((_, i) => i);
+  const moves = [];
+  desiredOrder.forEach((itemIndex, target) => {
+    const from = current.indexOf(itemIndex);
+    if (from === target) return;
+    // Everything before `target` is already in place, so `from` is always after it
+    current.splice(from, 1);
+    current.splice(target, 0, itemIndex);
+    // The item right after the previous range, going right after it: extend that range
+    const last = moves[moves.length - 1];
+    if (
+      last &&
+      last.rangeStart + last.rangeLength === from &&
+      last.insertBefore + last.rangeLength === target
+    ) {
+      last.rangeLength++;
+      return;
+    }
+    moves.push({ rangeStart: from, rangeLength: 1, insertBefore: target });
+  });
+  return moves;
+}
+
+/**
+ * Plan where new tracks go so they land next to their Apple Music neighbours.
+ * Each new track is inserted right after the nearest preceding export row that is
+ * already in the playlist, or before the nearest following one. With no anchor at
+ * all (e.g. a fresh playlist) tracks are appended in export order.
+ * @param {Array} newTracks - Matched Apple results to add (with sourceIndex and spotifyUri)
+ * @param {Array} playlistTracks - Current playlist items (with position), in playlist order
+ * @param {Array} counterparts - findCounterparts(playlistTracks, ...) result
+ * @returns {Array<Object>} { position, uris } groups in playlist order; position is
+ *   relative to the playlist before any insert, or null to append
+ */
+function planInsertions(newTracks, playlistTracks, counterparts) {
+  // First playlist position of each export row already in the playlist. Positions come
+  // from the items: unavailable tracks are not listed but still take up a slot
+  const positionBySourceIndex = new Map();
+  counterparts.forEach((counterpart, i) => {
+    if (counterpart && !positionBySourceIndex.has(counterpart.sourceIndex)) {
+      positionBySourceIndex.set(counterpart.sourceIndex, playlistTracks[i].position);
+    }
+  });
+  const anchoredIndices = [...positionBySourceIndex.keys()].sort(
+    (a, b) => a - b,
+  );
+
+  const insertionPosition = (sourceIndex) => {
+    let preceding = null;
+    let following = null;
+    for (const anchored of anchoredIndices) {
+      if (anchored < sourceIndex) preceding = anchored;
+      else if (anchored > sourceIndex) {
+        following = anchored;
+        break;
+      }
+    }
+    if (preceding !== null) return positionBySourceIndex.get(preceding) + 1;
+    if (following !== null) return positionBySourceIndex.get(following);
+    return null;
+  };
+
+  const groups = new Map();
+  [...newTracks]
+    .sort((a, b) => a.sourceIndex - b.sourceIndex)
+    .forEach((track) => {
+      const position = insertionPosition(track.sourceIndex);
+      const key = position === null ? "append" : position;
+      if (!groups.has(key)) groups.set(key, { position, uris: [] });
+      groups.get(key).uris.push(track.spotifyUri);
+    });
+
+  return [...groups.values()].sort((a, b) => {
+    if (a.position === null) return 1;
+    if (b.position === null) return -1;
+    return a.position - b.position;
+  });
+}
+
+module.exports = {
+  findCounterparts,
+  planOrder,
+  planMoves,
+  planInsertions,
+};
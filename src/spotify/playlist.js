@@ -1,11 +1,16 @@
 const inquirer = require("inquirer");
 const Logger = require("../utils/logger");
+const config = require("../utils/config");
 
 /**
  * Create a new playlist on the user's account.
  * Returns the created playlist object.
  */
-async function createPlaylist(spotifyApi, name, description = "") {
+async function createPlaylist(
+  spotifyApi,
+  name,
+  description = config.get("playlist.description"),
+) {
   Logger.debug(
     `Creating playlist with name: ${name}, description: ${description}`,
   );
@@ -13,7 +18,7 @@ async function createPlaylist(spotifyApi, name, description = "") {
   try {
     response = await spotifyApi.createPlaylist(name, {
       description,
-      public: false,
+      public: config.get("playlist.public"),
     });
   } catch (err) {
     Logger.error(`Spotify API error when creating playlist: ${err.message}`);
@@ -58,11 +63,14 @@ async function fetchAllUserPlaylists(spotifyApi) {
 /**
  * Interactive flow for selecting or creating a Spotify playlist, with search for existing.
  * Returns the selected or created playlist object.
+ * In dry-run mode a new playlist is not created; a placeholder with `id: null` is returned instead.
  */
 async function selectOrCreatePlaylistFlow(
   spotifyApi,
   playlistNameSuggestion = "Imported Playlist",
+  options = {},
 ) {
+  const { dryRun = false } = options;
   let playlists;
   try {
     playlists = await fetchAllUserPlaylists(spotifyApi);
@@ -98,9 +106,13 @@ async function selectOrCreatePlaylistFlow(
         type: "input",
         name: "newDesc",
         message: "Enter an optional playlist description:",
-        default: "",
+        default: config.get("playlist.description"),
       },
     ]);
+    if (dryRun) {
+      Logger.info(`Dry run: would create playlist "${newName}"`);
+      return { id: null, name: newName, description: newDesc, dryRun: true };
+    }
     const playlist = await createPlaylist(spotifyApi, newName, newDesc);
     return playlist;
   } else {
@@ -150,7 +162,9 @@ async function selectOrCreatePlaylistFlow(
  * Get all tracks from a Spotify playlist
  * @param {SpotifyWebApi} spotifyApi - Authenticated Spotify API instance
  * @param {string} playlistId - Spotify playlist ID
- * @returns {Array} Array of track objects with basic info
+ * @returns {Array} Track objects: position (index in the playlist), uri, id, name, artists
+ *   (names), album (name), durationMs, trackNumber, discNumber, trackCount, year and
+ *   addedAt (ISO date the track was added)
  */
 async function getPlaylistTracks(spotifyApi, playlistId) {
   const tracks = [];
@@ -162,21 +176,33 @@ async function getPlaylistTracks(spotifyApi, playlistId) {
       const response = await spotifyApi.getPlaylistTracks(playlistId, {
         offset,
         limit,
-        fields: 'items(track(uri,id,name,artists(name),album(name))),next'
+        fields:
+          'items(added_at,track(uri,id,name,duration_ms,track_number,disc_number,artists(name),album(name,release_date,total_tracks))),next'
       });
 
       const items = response.body.items;
       
-      // Filter out null tracks (deleted songs)
+      // Filter out null tracks (deleted songs); position still counts them
       const validTracks = items
+        .map((item, i) => ({ ...item, position: offset + i }))
         .filter(item => item.track && item.track.uri)
-        .map(item => ({
-          uri: item.track.uri,
-          id: item.track.id,
-          name: item.track.name,
-          artists: item.track.artists.map(artist => artist.name),
-          album: item.track.album.name
-        }));
+        .map(item => {
+          const releaseDate = item.track.album.release_date;
+          return {
+            position: item.position,
+            uri: item.track.uri,
+            id: item.track.id,
+            name: item.track.name,
+            artists: item.track.artists.map(artist => artist.name),
+            album: item.track.album.name,
+            durationMs: item.track.duration_ms || null,
+            trackNumber: item.track.track_number || null,
+            discNumber: item.track.disc_number || null,
+            trackCount: item.track.album.total_tracks || null,
+            year: releaseDate ? parseInt(String(releaseDate).slice(0, 4), 10) : null,
+            addedAt: item.added_at || null
+          };
+        });
 
       tracks.push(...validTracks);
 
@@ -195,8 +221,45 @@ async function getPlaylistTracks(spotifyApi, playlistId) {
   }
 }
 
+/**
+ * Non-interactive counterpart of selectOrCreatePlaylistFlow: use the user's playlist with
+ * this name (case-insensitive), or create it.
+ * @param {Object} [options]
+ * @param {Array} [options.playlists] - Pre-fetched user playlists; created playlists are appended
+ * @param {string} [options.ownerId] - Only match playlists owned by this user (others are read-only)
+ * @param {boolean} [options.dryRun] - Return an `id: null` placeholder instead of creating
+ */
+async function findOrCreatePlaylistByName(spotifyApi, name, options = {}) {
+  const { ownerId = null, dryRun = false } = options;
+  const playlists =
+    options.playlists || (await fetchAllUserPlaylists(spotifyApi));
+
+  const wanted = name.trim().toLowerCase();
+  const existing = playlists.find(
+    (p) =>
+      p.name.trim().toLowerCase() === wanted &&
+      (!ownerId || (p.owner && p.owner.id === ownerId)),
+  );
+  if (existing) {
+    Logger.info(`Using existing playlist "${existing.name}"`);
+    return existing;
+  }
+
+  if (dryRun) {
+    Logger.info(`Dry run: would create playlist "${name}"`);
+    const placeholder = { id: null, name, description: "", dryRun: true };
+    playlists.push(placeholder);
+    return placeholder;
+  }
+  const playlist = await createPlaylist(spotifyApi, name);
+  playlists.push(playlist);
+  return playlist;
+}
+
 module.exports = {
   createPlaylist,
+  fetchAllUserPlaylists,
   selectOrCreatePlaylistFlow,
+  findOrCreatePlaylistByName,
   getPlaylistTracks,
 };
@@ -0,0 +1,135 @@
+const Logger = require("../utils/logger");
+
+/**
+ * Bounded worker pool for Spotify searches with adaptive concurrency.
+ * Up to `concurrency` items run at once. A rate limit (slowDown) halves it; every
+ * 2 × concurrency searches that started after the last slowdown and finished add one
+ * worker back, up to maxConcurrency. Items can be pushed while the queue runs (streamed
+ * exports), and cancel() lets the searches in flight finish but starts no new ones.
+ * An error thrown by the worker cancels the queue and makes drain() reject with it.
+ */
+class SearchQueue {
+  /**
+   * @param {Function} worker - async (item) => result; it handles the errors a search may
+   *   survive and throws only those that should stop every search
+   * @param {Object} [options]
+   * @param {number} [options.maxConcurrency] - Most searches in flight at once
+   * @param {number} [options.minConcurrency] - Fewest searches in flight after slowdowns
+   * @param {Function} [options.onResult] - Called with each worker result as it arrives
+   */
+  constructor(worker, options = {}) {
+    this.worker = worker;
+    this.maxConcurrency = Math.max(1, options.maxConcurrency || 10);
+    this.minConcurrency = Math.min(
+      this.maxConcurrency,
+      Math.max(1, options.minConcurrency || 1),
+    );
+    this.onResult = options.onResult || (() => {});
+    this.concurrency = this.maxConcurrency;
+    this.pending = [];
+    this.active = 0;
+    this.completed = 0;
+    this.cancelled = false;
+    // First error thrown by the worker
+    this.error = null;
+    // Bumped by slowDown; searches started before it do not count as healthy
+    this.epoch = 0;
+    this.healthyStreak = 0;
+    // { resolve, reject } for each drain() still waiting
+    this.idleWaiters = [];
+  }
+
+  /**
+   * Queue items and start as many as the concurrency allows
+   */
+  push(items) {
+    if (this.cancelled) return;
+    this.pending.push(...items);
+    this.pump();
+  }
+
+  pump() {
+    while (
+      !this.cancelled &&
+      this.active < this.concurrency &&
+      this.pending.length > 0
+    ) {
+      this.start(this.pending.shift());
+    }
+    if (this.active === 0 && (this.pending.length === 0 || this.cancelled)) {
+      this.idleWaiters.splice(0).forEach(({ resolve, reject }) =>
+        this.error ? reject(this.error) : resolve(),
+      );
+    }
+  }
+
+  async start(item) {
+    const epoch = this.epoch;
+    this.active++;
+    try {
+      this.onResult(await this.worker(item));
+      this.completed++;
+    } catch (error) {
+      if (!this.error) {
+        this.error = error;
+        this.cancel();
+      }
+    } finally {
+      this.active--;
+      if (epoch === this.epoch) this.recordHealthy();
+      this.pump();
+    }
+  }
+
+  recordHealthy() {
+    this.healthyStreak++;
+    if (
+      this.concurrency < this.maxConcurrency &&
+      this.healthyStreak >= this.concurrency * 2
+    ) {
+      this.concurrency++;
+      this.healthyStreak = 0;
+      Logger.debug(`Search queue: speeding up to ${this.concurrency} at a time`);
+    }
+  }
+
+  /**
+   * Halve the concurrency after a rate limit
+   */
+  slowDown() {
+    this.epoch++;
+    this.healthyStreak = 0;
+    const next = Math.max(this.minConcurrency, Math.floor(this.concurrency / 2));
+    if (next < this.concurrency) {
+      this.concurrency = next;
+      Logger.debug(`Search queue: rate limited, slowing down to ${next} at a time`);
+    }
+  }
+
+  /**
+   * Start no more searches; the ones in flight still finish
+   * @returns {number} Items that will not be searched
+   */
+  cancel() {
+    this.cancelled = true;
+    const skipped = this.pending.length;
+    this.pending = [];
+    this.pump();
+    return skipped;
+  }
+
+  /**
+   * Resolve once nothing is running and nothing (or, after cancel, nothing more) will start
+   * @returns {Promise<void>} Rejects with the worker's error when one stopped the queue
+   */
+  drain() {
+    if (this.active === 0 && (this.pending.length === 0 || this.cancelled)) {
+      return this.error ? Promise.reject(this.error) : Promise.resolve();
+    }
+    return new Promise((resolve, reject) =>
+      this.idleWaiters.push({ resolve, reject }),
+    );
+  }
+}
+
+module.exports = SearchQueue;
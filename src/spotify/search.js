@@ -1,5 +1,8 @@
 const Logger = require("../utils/logger");
 const stringSimilarity = require("string-similarity");
+const config = require("../utils/config");
+const classical = require("./classical");
+const { MEDIA_KINDS } = require("../data/song-kind");
 
 // Helper to normalize strings for comparison
 function normalize(str) {
@@ -10,18 +13,75 @@ function normalize(str) {
     .trim();
 }
 
+// Helper to normalize album names, ignoring edition suffixes
+function normalizeAlbum(str) {
+  return normalize(
+    str.replace(
+      /[([]?(deluxe|expanded|special|anniversary|bonus track|remastered)( edition| version)?[)\]]?/gi,
+      "",
+    ),
+  );
+}
+
+// Relative weight of each scoring factor (rescaled over the factors with data)
+const FACTOR_WEIGHTS = {
+  title: 0.45,
+  artist: 0.25,
+  duration: 0.15,
+  album: 0.08,
+  year: 0.04,
+  trackPosition: 0.03,
+};
+
+// Weights for classical songs: the title is mostly work + movement, and a dozen
+// recordings share it, so performers, work numbers and movement order carry more
+const CLASSICAL_FACTOR_WEIGHTS = {
+  title: 0.1,
+  work: 0.22,
+  movement: 0.18,
+  composer: 0.1,
+  artist: 0.18,
+  duration: 0.12,
+  album: 0.05,
+  year: 0.02,
+  trackPosition: 0.03,
+};
+
+// Candidate variants that are rarely what an Apple Music row means
+const UNWANTED_VERSIONS = [
+  { pattern: /\bkaraoke\b/, penalty: 0.5 },
+  { pattern: /\b(originally performed|made famous|in the style of)\b/, penalty: 0.5 },
+  { pattern: /\btribute\b/, penalty: 0.4 },
+  { pattern: /\bcover\b/, penalty: 0.3 },
+  { pattern: /\binstrumental\b/, penalty: 0.3 },
+  { pattern: /\b(radio edit|clean)\b/, penalty: 0.15 },
+  { pattern: /\blive\b/, penalty: 0.15 },
+];
+
 class SpotifySearchService {
   constructor(spotifyApi) {
     this.spotifyApi = spotifyApi;
-    this.maxRetries = 3;
-    this.baseDelay = 1000;
   }
 
   /**
    * Try multiple search strategies, return best match with confidence
+   * @param {Object} song - Normalized song
+   * @param {Object} [options]
+   * @param {Array<string>} [options.excludeUris] - Track URIs that must never be selected (rejected by the user)
    */
-  async searchTrackSmart(song) {
-    const strategies = [
+  async searchTrackSmart(song, options = {}) {
+    const strategies = [];
+    if (song.classical) {
+      strategies.push(...this.classicalStrategies(song.classical));
+    }
+    if (song.version) {
+      strategies.push({
+        name: "track+version+artist",
+        getQuery: (s) =>
+          `track:${s.searchTitle} ${normalize(s.version)} artist:${s.searchArtist}`,
+      });
+    }
+    strategies.push(
       {
         name: "track+artist (exact)",
         getQuery: (s) => `track:${s.searchTitle} artist:${s.searchArtist}`,
@@ -33,102 +93,334 @@ class SpotifySearchService {
       },
       { name: "track-only", getQuery: (s) => `track:${s.searchTitle}` },
       { name: "artist-only", getQuery: (s) => `artist:${s.searchArtist}` },
-    ];
+    );
+
+    // Every scored candidate seen across strategies, kept for manual review
+    const seen = new Map();
+    const collectCandidates = (result) => {
+      for (const scored of result.candidates || []) {
+        const previous = seen.get(scored.track.uri);
+        if (!previous || scored.confidence > previous.confidence) {
+          seen.set(scored.track.uri, { ...scored, strategy: result.strategy });
+        }
+      }
+      return [...seen.values()].sort((a, b) => b.confidence - a.confidence);
+    };
 
     for (let strategy of strategies) {
-      const result = await this.searchWithStrategy(song, strategy);
-      if (result && result.match && result.confidence > 0.5) {
+      const result = await this.searchWithStrategy(song, strategy, options);
+      if (!result) continue;
+      const candidates = collectCandidates(result);
+      if (
+        result.match &&
+        result.confidence > config.get("search.minConfidence")
+      ) {
         Logger.info(
           `Matched: "${song.title}" -> ${result.match.name} (${strategy.name}, confidence=${result.confidence.toFixed(2)})`,
         );
-        return result;
+        return { ...result, candidates };
       }
     }
     Logger.info(`No good match for "${song.title}" by "${song.artist}"`);
-    return { song, match: null, confidence: 0, strategy: null };
+    return {
+      song,
+      match: null,
+      confidence: 0,
+      strategy: null,
+      candidates: [...seen.values()].sort((a, b) => b.confidence - a.confidence),
+    };
+  }
+
+  /**
+   * Queries tried first for classical songs: performers with work and movement,
+   * then the composer standing in for the artist
+   */
+  classicalStrategies(info) {
+    const movement = info.movementName ? ` ${normalize(info.movementName)}` : "";
+    const strategies = [];
+    if (info.work) {
+      strategies.push({
+        name: "classical work+movement+artist",
+        getQuery: (s) =>
+          `${normalize(info.work)}${movement} artist:${s.searchArtist}`,
+      });
+      if (info.composer) {
+        strategies.push({
+          name: "classical work+movement+composer",
+          getQuery: () =>
+            `${normalize(info.work)}${movement} artist:${normalize(info.composer)}`,
+        });
+      }
+    }
+    return strategies;
   }
 
   /**
    * Search using a strategy, score candidates, pick best
    */
-  async searchWithStrategy(song, strategy) {
+  async searchWithStrategy(song, strategy, options = {}) {
     const query = strategy.getQuery(song);
-    let attempt = 0,
-      lastError = null;
+    const excludeUris = new Set(options.excludeUris || []);
+    const result = await this.request(song, strategy.name, query, () =>
+      this.spotifyApi.searchTracks(query, { limit: 10 }),
+    );
+    // A response without a tracks page is an empty result
+    const items = ((result.body.tracks && result.body.tracks.items) || []).filter(
+      (item) => item && !excludeUris.has(item.uri),
+    );
+    if (items.length === 0) return null;
+    const best = this.scoreAndSelectBestMatch(song, items);
+    return {
+      song,
+      match: best.match,
+      confidence: best.confidence,
+      breakdown: best.breakdown,
+      strategy: strategy.name,
+      candidates: best.scored,
+    };
+  }
 
-    while (attempt <= this.maxRetries) {
-      try {
-        Logger.debug(
-          `Searching Spotify (${strategy.name}, attempt ${attempt + 1}): ${query}`,
-        );
-        const result = await this.spotifyApi.searchTracks(query, { limit: 5 });
-        if (result.body.tracks.items.length > 0) {
-          const best = this.scoreAndSelectBestMatch(
-            song,
-            result.body.tracks.items,
-          );
-          return {
-            song,
-            match: best.match,
-            confidence: best.confidence,
-            strategy: strategy.name,
-          };
-        }
-        return null;
-      } catch (err) {
-        lastError = err;
-        // Rate limiting
-        if (err.statusCode === 429) {
-          const retryAfterSec = parseInt(
-            err.headers?.["retry-after"] || "1",
-            10,
-          );
-          const delay = Math.max(
-            this.baseDelay * Math.pow(2, attempt),
-            retryAfterSec * 1000,
-          );
-          Logger.warning(
-            `Rate limit hit, retrying after ${delay / 1000}s (attempt ${attempt + 1}/${this.maxRetries + 1})...`,
-          );
-          await new Promise((r) => setTimeout(r, delay));
-          attempt++;
-          continue;
-        }
-        Logger.error(
-          `Spotify search error for "${song.title}": ${err.message}`,
-        );
-        break;
-      }
+  /**
+   * Match a podcast episode against Spotify episodes. The show (Apple "Artist") goes into
+   * the query; search results carry no show, so candidates are scored on title and duration.
+   * @param {Object} [options]
+   * @param {Array<string>} [options.excludeUris] - Episode URIs that must never be selected
+   */
+  async searchEpisodeSmart(song, options = {}) {
+    const query = `${song.searchTitle} ${song.searchArtist}`.trim();
+    const excludeUris = new Set(options.excludeUris || []);
+    const result = await this.request(song, "episode", query, () =>
+      this.spotifyApi.searchEpisodes(query, { limit: 10, market: "from_token" }),
+    );
+    const items = ((result.body.episodes && result.body.episodes.items) || []).filter(
+      (item) => item && !excludeUris.has(item.uri),
+    );
+
+    const scored = items
+      .map((episode) => {
+        const breakdown = {
+          title: stringSimilarity.compareTwoStrings(
+            normalize(song.title),
+            normalize(episode.name),
+          ),
+          duration: this.scoreDuration(song, episode),
+        };
+        const confidence =
+          breakdown.duration == null
+            ? breakdown.title
+            : breakdown.title * 0.8 + breakdown.duration * 0.2;
+        return { track: episode, confidence, breakdown };
+      })
+      .sort((a, b) => b.confidence - a.confidence);
+
+    const best = scored[0];
+    if (best && best.confidence > config.get("search.minConfidence")) {
+      Logger.info(
+        `Matched episode: "${song.title}" -> ${best.track.name} (confidence=${best.confidence.toFixed(2)})`,
+      );
+      return {
+        song,
+        match: best.track,
+        confidence: best.confidence,
+        breakdown: best.breakdown,
+        strategy: "episode",
+        candidates: scored.map((entry) => ({ ...entry, strategy: "episode" })),
+      };
+    }
+    Logger.info(`No good episode match for "${song.title}"`);
+    return { song, match: null, confidence: 0, strategy: null, candidates: scored };
+  }
+
+  /**
+   * Run a search request; the API client has already retried it where that helps.
+   * Failures are rethrown: a search that could not run did not find nothing.
+   * @returns {Promise<Object>} The response
+   */
+  async request(song, label, query, call) {
+    Logger.debug(`Searching Spotify (${label}): ${query}`);
+    try {
+      return await call();
+    } catch (err) {
+      Logger.debug(`Spotify search error for "${song.title}": ${err.message}`);
+      throw err;
     }
-    return null;
   }
 
   /**
    * Score all candidates, pick best
+   * @returns {Object} { match, confidence, breakdown, scored } where scored lists every candidate, best first
    */
   scoreAndSelectBestMatch(song, candidates) {
-    const normTitle = normalize(song.title);
-    const normArtist = normalize(song.artist);
-
-    let best = { match: null, confidence: 0 };
+    let best = { match: null, confidence: 0, breakdown: null };
+    const scored = [];
     candidates.forEach((candidate) => {
-      const candTitle = normalize(candidate.name);
-      const candArtists = candidate.artists
-        .map((a) => normalize(a.name))
-        .join(" ");
-      // Score: weighted fuzzy match (title 70%, artist 30%)
-      const titleScore = stringSimilarity.compareTwoStrings(
-        normTitle,
-        candTitle,
+      const { confidence, breakdown } = this.scoreCandidate(song, candidate);
+      scored.push({ track: candidate, confidence, breakdown });
+      if (confidence > best.confidence) {
+        best = { match: candidate, confidence, breakdown };
+      }
+    });
+    scored.sort((a, b) => b.confidence - a.confidence);
+    return { ...best, scored };
+  }
+
+  /**
+   * Multi-factor score for a single candidate.
+   * Factors without data on either side are left out and the remaining weights
+   * are rescaled, so a song with no album or duration is scored on title/artist alone.
+   * @returns {Object} { confidence, breakdown } where breakdown holds each factor's 0-1 score
+   */
+  scoreCandidate(song, candidate) {
+    const breakdown = {
+      title: this.scoreTitle(song, candidate),
+      artist: this.scoreArtist(song, candidate),
+      duration: this.scoreDuration(song, candidate),
+      album: this.scoreAlbum(song, candidate),
+      year: this.scoreYear(song, candidate),
+      trackPosition: this.scoreTrackPosition(song, candidate),
+    };
+
+    let weights = FACTOR_WEIGHTS;
+    if (song.classical) {
+      const parts = classical.splitClassicalTitle(candidate.name);
+      breakdown.work = classical.scoreWork(song.classical, parts);
+      breakdown.movement = classical.scoreMovement(song.classical, parts);
+      breakdown.composer = classical.scoreComposer(song.classical, candidate);
+      weights = CLASSICAL_FACTOR_WEIGHTS;
+    }
+
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [factor, weight] of Object.entries(weights)) {
+      if (breakdown[factor] == null) continue;
+      weighted += breakdown[factor] * weight;
+      totalWeight += weight;
+    }
+
+    breakdown.versionPenalty = this.getVersionPenalty(song, candidate);
+    const confidence =
+      totalWeight > 0
+        ? (weighted / totalWeight) * (1 - breakdown.versionPenalty)
+        : 0;
+
+    return { confidence, breakdown };
+  }
+
+  /**
+   * Title similarity; a versioned title ("Song Live") counts when it scores higher
+   */
+  scoreTitle(song, candidate) {
+    const candTitle = normalize(candidate.name);
+    let score = stringSimilarity.compareTwoStrings(
+      normalize(song.title),
+      candTitle,
+    );
+    if (song.version) {
+      score = Math.max(
+        score,
+        stringSimilarity.compareTwoStrings(
+          normalize(`${song.title} ${song.version}`),
+          candTitle,
+        ),
       );
-      const artistScore = stringSimilarity.compareTwoStrings(
-        normArtist,
-        candArtists,
+    }
+    return score;
+  }
+
+  /**
+   * Artist similarity; featured artists count when they score higher.
+   * For classical songs the composer is left out of the candidate's artists.
+   */
+  scoreArtist(song, candidate) {
+    const candArtists = song.classical
+      ? classical.performerNames(song.classical, candidate).join(" ")
+      : candidate.artists.map((a) => normalize(a.name)).join(" ");
+    let score = stringSimilarity.compareTwoStrings(
+      normalize(song.artist),
+      candArtists,
+    );
+    if (song.features && song.features.length > 0) {
+      score = Math.max(
+        score,
+        stringSimilarity.compareTwoStrings(
+          normalize([song.artist, ...song.features].join(" ")),
+          candArtists,
+        ),
       );
-      const confidence = 0.7 * titleScore + 0.3 * artistScore;
-      if (confidence > best.confidence) best = { match: candidate, confidence };
-    });
-    return best;
+    }
+    return score;
+  }
+
+  /**
+   * Apple "Time" (seconds) vs. duration_ms. Within 2s is a perfect match,
+   * falling to 0 at 32s off, which is where radio edits usually land.
+   */
+  scoreDuration(song, candidate) {
+    if (!song.duration || !candidate.duration_ms) return null;
+    const diff = Math.abs(song.duration - candidate.duration_ms / 1000);
+    if (diff <= 2) return 1;
+    return Math.max(0, 1 - (diff - 2) / 30);
+  }
+
+  scoreAlbum(song, candidate) {
+    if (!song.album || !candidate.album || !candidate.album.name) return null;
+    return stringSimilarity.compareTwoStrings(
+      normalizeAlbum(song.album),
+      normalizeAlbum(candidate.album.name),
+    );
+  }
+
+  /**
+   * Release year vs. album.release_date; remasters and compilations drift, so decay slowly
+   */
+  scoreYear(song, candidate) {
+    const releaseDate = candidate.album && candidate.album.release_date;
+    if (!song.year || !releaseDate) return null;
+    const candYear = parseInt(String(releaseDate).slice(0, 4), 10);
+    if (isNaN(candYear)) return null;
+    return Math.max(0, 1 - Math.abs(song.year - candYear) / 10);
+  }
+
+  /**
+   * Track/disc number agreement; only meaningful next to the album factor
+   */
+  scoreTrackPosition(song, candidate) {
+    if (!song.trackNumber || !candidate.track_number) return null;
+    if (song.trackNumber !== candidate.track_number) return 0;
+    if (
+      song.discNumber &&
+      candidate.disc_number &&
+      song.discNumber !== candidate.disc_number
+    ) {
+      return 0.5;
+    }
+    return 1;
+  }
+
+  /**
+   * Penalize karaoke/cover/edit variants unless the Apple title asks for them
+   */
+  getVersionPenalty(song, candidate) {
+    const songText = normalize(
+      [song.title, song.version, song.album].filter(Boolean).join(" "),
+    );
+    const candText = normalize(
+      [
+        candidate.name,
+        candidate.album && candidate.album.name,
+        ...candidate.artists.map((a) => a.name),
+      ]
+        .filter(Boolean)
+        .join(" "),
+    );
+
+    let penalty = 0;
+    for (const { pattern, penalty: value } of UNWANTED_VERSIONS) {
+      if (pattern.test(candText) && !pattern.test(songText)) {
+        penalty = Math.max(penalty, value);
+      }
+    }
+    return penalty;
   }
 
   /**
@@ -145,43 +437,115 @@ class SpotifySearchService {
 }
 
 /**
- * Simple wrapper function for compatibility with index.js
- * @param {SpotifyWebApi} spotifyApi - Authenticated Spotify API instance
- * @param {Object} trackInfo - Track information
- * @param {string} trackInfo.title - Song title
- * @param {string} trackInfo.artist - Artist name
- * @param {string} [trackInfo.album] - Album name (optional)
- * @returns {Object|null} - Spotify track info with URI, or null if not found
+ * Flatten a Spotify track object into the shape stored in results and the search cache
+ * @param {Object} track - Spotify track object
+ * @param {Object} [score] - Optional { confidence, breakdown, strategy }
+ * @returns {Object} Track summary with URI, names, duration and release year
  */
-async function searchTrack(spotifyApi, { title, artist, album }) {
-  const searchService = new SpotifySearchService(spotifyApi);
-  
-  // Format the track data for the smart search
-  const song = {
+function formatTrack(track, score = {}) {
+  const releaseDate = (track.album && track.album.release_date) || null;
+  return {
+    uri: track.uri,
+    id: track.id,
+    name: track.name,
+    artists: (track.artists || []).map((a) => a.name),
+    album: track.album ? track.album.name : "",
+    durationMs: track.duration_ms || null,
+    year: releaseDate ? parseInt(String(releaseDate).slice(0, 4), 10) : null,
+    confidence: score.confidence,
+    breakdown: score.breakdown,
+    strategy: score.strategy,
+  };
+}
+
+/**
+ * Build the song object SpotifySearchService expects from raw or normalized track info
+ */
+function toSearchSong(trackInfo) {
+  const { title, artist, album } = trackInfo;
+  return {
+    ...trackInfo,
     title: title,
     artist: artist,
     album: album,
-    searchTitle: title,
-    searchArtist: artist
+    searchTitle: trackInfo.searchTitle || title,
+    searchArtist: trackInfo.searchArtist || artist,
+    features: trackInfo.features || [],
+    version: trackInfo.version || null,
+    classical:
+      trackInfo.classical !== undefined
+        ? trackInfo.classical
+        : classical.describeClassical(trackInfo),
   };
-  
-  const result = await searchService.searchTrackSmart(song);
-  
-  if (result && result.match && result.confidence > 0.5) {
+}
+
+/**
+ * Search a track and keep the runner-up candidates for manual review
+ * @param {SpotifyWebApi} spotifyApi - Authenticated Spotify API instance
+ * @param {Object} trackInfo - Track information (see searchTrack)
+ * @param {Object} [options]
+ * @param {number} [options.maxCandidates] - Number of candidates to return (search.maxCandidates setting)
+ * @param {Array<string>} [options.excludeUris] - Track URIs the user rejected for this song
+ * @returns {Object} { match, candidates } where match is null when nothing scored above search.minConfidence
+ */
+async function searchTrackDetailed(spotifyApi, trackInfo, options = {}) {
+  const {
+    maxCandidates = config.get("search.maxCandidates"),
+    excludeUris = [],
+  } = options;
+  const searchService = new SpotifySearchService(spotifyApi);
+  const song = toSearchSong(trackInfo);
+  // Podcast episodes (when search.podcasts is "search") are looked up as Spotify episodes
+  const result =
+    trackInfo.mediaKind === MEDIA_KINDS.PODCAST
+      ? await searchService.searchEpisodeSmart(song, { excludeUris })
+      : await searchService.searchTrackSmart(song, { excludeUris });
+
+  const candidates = (result.candidates || [])
+    .slice(0, maxCandidates)
+    .map((scored) => formatTrack(scored.track, scored));
+
+  if (
+    result &&
+    result.match &&
+    result.confidence > config.get("search.minConfidence")
+  ) {
     return {
-      uri: result.match.uri,
-      id: result.match.id,
-      name: result.match.name,
-      artists: result.match.artists.map(a => a.name),
-      album: result.match.album.name,
-      confidence: result.confidence
+      match: formatTrack(result.match, result),
+      candidates,
     };
   }
-  
-  return null;
+
+  return { match: null, candidates };
+}
+
+/**
+ * Simple wrapper function for compatibility with index.js
+ * @param {SpotifyWebApi} spotifyApi - Authenticated Spotify API instance
+ * @param {Object} trackInfo - Track information (raw or SongNormalizer output)
+ * @param {string} trackInfo.title - Song title
+ * @param {string} trackInfo.artist - Artist name
+ * @param {string} [trackInfo.album] - Album name (optional)
+ * @param {string} [trackInfo.searchTitle] - Search-optimized title (optional)
+ * @param {string} [trackInfo.searchArtist] - Search-optimized artist (optional)
+ * @param {Array<string>} [trackInfo.features] - Featured artists (optional)
+ * @param {string} [trackInfo.version] - Version info, e.g. "Live" (optional)
+ * @param {string} [trackInfo.mediaKind] - MEDIA_KINDS value; podcast episodes search Spotify episodes (optional)
+ * @param {string} [trackInfo.composer] - Composer, used for classical songs (optional)
+ * @param {string} [trackInfo.work] - Work, e.g. "Symphony No. 5 in C Minor, Op. 67" (optional)
+ * @param {number} [trackInfo.movementNumber] - Movement number (optional)
+ * @param {string} [trackInfo.movementName] - Movement name (optional)
+ * @returns {Object|null} - Spotify track info with URI, or null if not found
+ */
+async function searchTrack(spotifyApi, trackInfo) {
+  const { match } = await searchTrackDetailed(spotifyApi, trackInfo);
+  return match;
 }
 
 module.exports = {
   SpotifySearchService,
-  searchTrack
+  searchTrack,
+  searchTrackDetailed,
+  formatTrack,
+  toSearchSong,
 };
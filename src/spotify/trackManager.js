@@ -83,7 +83,149 @@ async function addTracksToPlaylist(spotifyApi, playlistId, trackUris) {
   return addedCount;
 }
 
+/**
+ * Inserts groups of tracks at specific playlist positions (see ordering.planInsertions).
+ * Group positions refer to the playlist before any insert; they are shifted by the
+ * number of tracks inserted ahead of them. Groups with a null position are appended.
+ * `options.onBatch(count)` is called after each successful request.
+ * Returns the number of tracks added.
+ */
+async function insertTracksAtPositions(
+  spotifyApi,
+  playlistId,
+  groups,
+  options = {},
+) {
+  // Resolve final positions up front (max 100 tracks per request)
+  const batches = [];
+  let offset = 0;
+  for (const group of groups) {
+    for (let i = 0; i < group.uris.length; i += 100) {
+      batches.push({
+        uris: group.uris.slice(i, i + 100),
+        position: group.position === null ? null : group.position + offset + i,
+      });
+    }
+    if (group.position !== null) offset += group.uris.length;
+  }
+
+  let addedCount = 0;
+  for (const batch of batches) {
+    try {
+      await spotifyApi.addTracksToPlaylist(
+        playlistId,
+        batch.uris,
+        batch.position === null ? {} : { position: batch.position },
+      );
+      Logger.info(
+        `Added batch of ${batch.uris.length} tracks (${batch.position === null ? "at the end" : `at position ${batch.position}`}).`,
+      );
+      addedCount += batch.uris.length;
+      if (options.onBatch) options.onBatch(batch.uris.length);
+    } catch (err) {
+      Logger.error(`Failed to insert batch: ${err.message}`);
+      break;
+    }
+  }
+  Logger.info(`Finished adding tracks. Total added: ${addedCount}`);
+  return addedCount;
+}
+
+/**
+ * Get the current snapshot_id of a playlist (needed to make reorders/removals consistent)
+ */
+async function getPlaylistSnapshotId(spotifyApi, playlistId) {
+  try {
+    const resp = await spotifyApi.getPlaylist(playlistId, {
+      fields: "snapshot_id",
+    });
+    return resp.body.snapshot_id;
+  } catch (err) {
+    Logger.error(
+      `Error fetching snapshot for playlist ${playlistId}: ${err.message}`,
+    );
+    throw err;
+  }
+}
+
+/**
+ * Removes the given playlist items ({ uri, position } from getPlaylistTracks) in batches
+ * of 100. Only those positions go, so other copies of the same track stay.
+ * Returns { removedCount, snapshotId }.
+ */
+async function removeTracksFromPlaylist(
+  spotifyApi,
+  playlistId,
+  items,
+  snapshotId,
+) {
+  let removedCount = 0;
+  let currentSnapshot = snapshotId;
+  // Last positions first, so each batch leaves the positions of the next one untouched
+  const ordered = [...items].sort((a, b) => b.position - a.position);
+
+  for (let i = 0; i < ordered.length; i += 100) {
+    const batch = ordered.slice(i, i + 100);
+    const positionsByUri = new Map();
+    batch.forEach(({ uri, position }) => {
+      if (!positionsByUri.has(uri)) positionsByUri.set(uri, []);
+      positionsByUri.get(uri).push(position);
+    });
+    try {
+      const resp = await spotifyApi.removeTracksFromPlaylist(
+        playlistId,
+        [...positionsByUri].map(([uri, positions]) => ({ uri, positions })),
+        currentSnapshot ? { snapshot_id: currentSnapshot } : {},
+      );
+      currentSnapshot = (resp.body && resp.body.snapshot_id) || currentSnapshot;
+      removedCount += batch.length;
+      Logger.info(`Removed batch of ${batch.length} tracks.`);
+    } catch (err) {
+      Logger.error(
+        `Failed to remove batch starting at index ${i}: ${err.message}`,
+      );
+      break;
+    }
+  }
+  Logger.info(`Finished removing tracks. Total removed: ${removedCount}`);
+  return { removedCount, snapshotId: currentSnapshot };
+}
+
+/**
+ * Apply a list of moves ({ rangeStart, rangeLength, insertBefore }) to a playlist.
+ * Each move is chained on the snapshot_id returned by the previous one.
+ * Returns { movedCount, snapshotId }.
+ */
+async function reorderPlaylistTracks(spotifyApi, playlistId, moves, snapshotId) {
+  let movedCount = 0;
+  let currentSnapshot = snapshotId;
+
+  for (const move of moves) {
+    try {
+      const resp = await spotifyApi.reorderTracksInPlaylist(
+        playlistId,
+        move.rangeStart,
+        move.insertBefore,
+        { range_length: move.rangeLength || 1, snapshot_id: currentSnapshot },
+      );
+      currentSnapshot = (resp.body && resp.body.snapshot_id) || currentSnapshot;
+      movedCount++;
+    } catch (err) {
+      Logger.error(
+        `Failed to move ${move.rangeLength || 1} tracks from ${move.rangeStart} to ${move.insertBefore}: ${err.message}`,
+      );
+      break;
+    }
+  }
+  Logger.info(`Finished reordering. Total moves: ${movedCount}`);
+  return { movedCount, snapshotId: currentSnapshot };
+}
+
 module.exports = {
   fetchAllPlaylistTrackUris,
   addTracksToPlaylist,
+  insertTracksAtPositions,
+  getPlaylistSnapshotId,
+  removeTracksFromPlaylist,
+  reorderPlaylistTracks,
 };
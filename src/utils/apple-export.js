@@ -0,0 +1,219 @@
+const crypto = require("crypto");
+const AppleMusicParser = require("../parsers/apple-music");
+const { spotifyUrl } = require("./sync-report");
+
+// Output format -> file extension
+const APPLE_EXPORT_FORMATS = {
+  tsv: ".txt",
+  m3u8: ".m3u8",
+  xml: ".xml",
+};
+
+/**
+ * Join artists the way Apple Music credits them: "A & B", "A, B & C"
+ */
+function joinArtists(artists) {
+  if (artists.length <= 1) return artists[0] || "";
+  return `${artists.slice(0, -1).join(", ")} & ${artists[artists.length - 1]}`;
+}
+
+/**
+ * Web link for a playlist item (track or episode); local files have no ID and no link
+ */
+function spotifyTrackUrl(track) {
+  return track.id ? spotifyUrl(track.uri) : "";
+}
+
+// 16 hex digits, the shape of Music.app Persistent IDs, stable for the same Spotify URI
+function persistentId(value) {
+  return crypto
+    .createHash("sha1")
+    .update(value)
+    .digest("hex")
+    .slice(0, 16)
+    .toUpperCase();
+}
+
+// "3/21/21, 7:43 PM", as in an English Music.app export
+function formatAppleDate(iso) {
+  if (!iso) return "";
+  const date = new Date(iso);
+  if (isNaN(date.getTime())) return "";
+  const hours = date.getHours() % 12 || 12;
+  const minutes = String(date.getMinutes()).padStart(2, "0");
+  const period = date.getHours() < 12 ? "AM" : "PM";
+  return `${date.getMonth() + 1}/${date.getDate()}/${String(date.getFullYear()).slice(-2)}, ${hours}:${minutes} ${period}`;
+}
+
+/**
+ * Values for the Apple export columns of one playlist track (from getPlaylistTracks)
+ */
+function toAppleColumns(track) {
+  return {
+    Name: track.name,
+    Artist: joinArtists(track.artists),
+    Album: track.album,
+    Time: track.durationMs ? Math.round(track.durationMs / 1000) : "",
+    "Disc Number": track.discNumber || "",
+    "Track Number": track.trackNumber || "",
+    "Track Count": track.trackCount || "",
+    Year: track.year || "",
+    "Date Added": formatAppleDate(track.addedAt),
+    Location: spotifyTrackUrl(track),
+  };
+}
+
+function tsvValue(value) {
+  return String(value == null ? "" : value).replace(/[\t\r\n]+/g, " ");
+}
+
+/**
+ * UTF-16LE tab-separated text with the 31 Music.app columns, as File > Library > Export Playlist writes it
+ * @returns {Buffer}
+ */
+function renderTsv(playlist, tracks) {
+  const columns = new AppleMusicParser().appleColumns;
+  const lines = [
+    columns.join("\t"),
+    ...tracks.map((track) => {
+      const values = toAppleColumns(track);
+      return columns.map((column) => tsvValue(values[column])).join("\t");
+    }),
+  ];
+  return Buffer.from(`\uFEFF${lines.join("\r\n")}\r\n`, "utf16le");
+}
+
+function m3uValue(value) {
+  return String(value || "").replace(/[\r\n]+/g, " ");
+}
+
+/**
+ * Extended M3U with #EXTINF/#EXTALB metadata; locations are Spotify web links
+ * @returns {string}
+ */
+function renderM3u8(playlist, tracks) {
+  const lines = ["#EXTM3U", `#PLAYLIST:${m3uValue(playlist.name)}`];
+  tracks.forEach((track) => {
+    const seconds = track.durationMs ? Math.round(track.durationMs / 1000) : -1;
+    lines.push(
+      `#EXTINF:${seconds},${m3uValue(joinArtists(track.artists))} - ${m3uValue(track.name)}`,
+    );
+    if (track.album) lines.push(`#EXTALB:${m3uValue(track.album)}`);
+    lines.push(spotifyTrackUrl(track) || m3uValue(track.uri));
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// One <key>/<value> line of a plist dict; empty values are left out
+function plistEntry(indent, key, value) {
+  if (value === null || value === undefined || value === "") return [];
+  let element;
+  if (typeof value === "boolean") element = value ? "<true/>" : "<false/>";
+  else if (typeof value === "number") element = `<integer>${value}</integer>`;
+  else if (value instanceof Date) {
+    element = `<date>${value.toISOString().replace(/\.\d{3}Z$/, "Z")}</date>`;
+  }
+  else element = `<string>${escapeXml(value)}</string>`;
+  return [`${indent}<key>${escapeXml(key)}</key>${element}`];
+}
+
+/**
+ * iTunes-style plist holding the playlist and its tracks, importable with File > Library > Import Playlist
+ * @returns {string}
+ */
+function renderLibraryXml(playlist, tracks) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE plist PUBLIC "-//Apple Computer//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+    '<plist version="1.0">',
+    "<dict>",
+    ...plistEntry("\t", "Major Version", 1),
+    ...plistEntry("\t", "Minor Version", 1),
+    ...plistEntry("\t", "Date", new Date()),
+    "\t<key>Tracks</key>",
+    "\t<dict>",
+  ];
+  tracks.forEach((track, i) => {
+    const trackId = i + 1;
+    const addedAt = track.addedAt ? new Date(track.addedAt) : null;
+    const validAddedAt = addedAt && !isNaN(addedAt.getTime()) ? addedAt : null;
+    lines.push(
+      `\t\t<key>${trackId}</key>`,
+      "\t\t<dict>",
+      ...plistEntry("\t\t\t", "Track ID", trackId),
+      ...plistEntry("\t\t\t", "Name", track.name),
+      ...plistEntry("\t\t\t", "Artist", joinArtists(track.artists)),
+      ...plistEntry("\t\t\t", "Album", track.album),
+      ...plistEntry("\t\t\t", "Total Time", track.durationMs || null),
+      ...plistEntry("\t\t\t", "Disc Number", track.discNumber || null),
+      ...plistEntry("\t\t\t", "Track Number", track.trackNumber || null),
+      ...plistEntry("\t\t\t", "Track Count", track.trackCount || null),
+      ...plistEntry("\t\t\t", "Year", track.year || null),
+      ...plistEntry("\t\t\t", "Date Added", validAddedAt),
+      ...plistEntry("\t\t\t", "Persistent ID", persistentId(track.uri)),
+      ...plistEntry("\t\t\t", "Track Type", "URL"),
+      ...plistEntry("\t\t\t", "Location", spotifyTrackUrl(track)),
+      "\t\t</dict>",
+    );
+  });
+  lines.push(
+    "\t</dict>",
+    "\t<key>Playlists</key>",
+    "\t<array>",
+    "\t\t<dict>",
+    ...plistEntry("\t\t\t", "Name", playlist.name),
+    ...plistEntry("\t\t\t", "Description", playlist.description),
+    ...plistEntry("\t\t\t", "Playlist ID", 1),
+    ...plistEntry(
+      "\t\t\t",
+      "Playlist Persistent ID",
+      persistentId(playlist.uri || playlist.id),
+    ),
+    ...plistEntry("\t\t\t", "All Items", true),
+    "\t\t\t<key>Playlist Items</key>",
+    "\t\t\t<array>",
+    ...tracks.map(
+      (track, i) =>
+        `\t\t\t\t<dict><key>Track ID</key><integer>${i + 1}</integer></dict>`,
+    ),
+    "\t\t\t</array>",
+    "\t\t</dict>",
+    "\t</array>",
+    "</dict>",
+    "</plist>",
+  );
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Render a Spotify playlist in one of APPLE_EXPORT_FORMATS
+ * @param {Object} playlist - Spotify playlist object (name, id, description)
+ * @param {Array<Object>} tracks - From getPlaylistTracks
+ * @param {string} format - "tsv", "m3u8" or "xml"
+ * @returns {Buffer|string|null} File contents, or null for an unknown format
+ */
+function renderAppleExport(playlist, tracks, format) {
+  switch (format) {
+    case "tsv":
+      return renderTsv(playlist, tracks);
+    case "m3u8":
+      return renderM3u8(playlist, tracks);
+    case "xml":
+      return renderLibraryXml(playlist, tracks);
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  APPLE_EXPORT_FORMATS,
+  renderAppleExport,
+};
@@ -36,12 +36,15 @@ async function loadSearchCache() {
 }
 
 /**
- * Save search cache to file
+ * Save search cache to file. Written to a temporary file first, so a sync stopped
+ * mid-write (the cache is saved while searching) never leaves half a cache behind.
  */
 async function saveSearchCache(cache) {
   try {
     await fs.mkdir(CACHE_DIR, { recursive: true });
-    await fs.writeFile(SEARCH_CACHE_FILE, JSON.stringify(cache, null, 2));
+    const tempFile = `${SEARCH_CACHE_FILE}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(cache, null, 2));
+    await fs.rename(tempFile, SEARCH_CACHE_FILE);
     Logger.debug(`Saved ${Object.keys(cache).length} search results to cache`);
   } catch (error) {
     Logger.error(`Failed to save search cache: ${error.message}`);
@@ -62,9 +65,45 @@ async function clearSearchCache() {
   }
 }
 
+/**
+ * Summarize the search cache file
+ * @returns {Object} { file, sizeBytes, entries, matched, unmatched, errors, oldest, newest }
+ */
+async function getSearchCacheStats() {
+  const stats = {
+    file: SEARCH_CACHE_FILE,
+    sizeBytes: 0,
+    entries: 0,
+    matched: 0,
+    unmatched: 0,
+    errors: 0,
+    oldest: null,
+    newest: null
+  };
+  try {
+    stats.sizeBytes = (await fs.stat(SEARCH_CACHE_FILE)).size;
+  } catch (error) {
+    return stats;
+  }
+
+  const cache = await loadSearchCache();
+  Object.values(cache).forEach((entry) => {
+    stats.entries++;
+    if (entry.error) stats.errors++;
+    else if (entry.matched) stats.matched++;
+    else stats.unmatched++;
+    if (entry.cachedAt) {
+      if (!stats.oldest || entry.cachedAt < stats.oldest) stats.oldest = entry.cachedAt;
+      if (!stats.newest || entry.cachedAt > stats.newest) stats.newest = entry.cachedAt;
+    }
+  });
+  return stats;
+}
+
 module.exports = {
   generateTrackKey,
   loadSearchCache,
   saveSearchCache,
-  clearSearchCache
+  clearSearchCache,
+  getSearchCacheStats
 };
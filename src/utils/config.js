@@ -0,0 +1,213 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const Logger = require("./logger");
+const { FileParsingError } = require("./errors");
+
+// Per-user data: config, tokens, match decisions, sync history and reports
+const DATA_DIR = path.join(os.homedir(), ".apple-music-spotify-sync");
+const USER_CONFIG_FILE = path.join(DATA_DIR, "config.json");
+// Per-project overrides, looked up in the working directory
+const PROJECT_CONFIG_FILE = ".apple-music-spotify-sync.json";
+
+const DEFAULT_CONFIG = {
+  search: {
+    // Best candidate must score above this to count as a match
+    minConfidence: 0.5,
+    maxCandidates: 5,
+    // Most searches in flight at once; rate limits halve it until responses are healthy again
+    maxConcurrency: 10,
+    // How often new search results are written to the cache during a sync
+    cacheFlushMs: 30000,
+    // Podcast episodes: "skip" them or "search" Spotify episodes
+    podcasts: "skip",
+  },
+  review: {
+    // Matches below this confidence are offered for manual review
+    threshold: 0.75,
+  },
+  duplicates: {
+    highSimilarity: 0.9,
+    mediumSimilarity: 0.75,
+    // Artist similarity required together with mediumSimilarity
+    artistSimilarity: 0.95,
+  },
+  validation: {
+    minQualityScore: 50,
+  },
+  playlist: {
+    public: false,
+    // {name} is the export name, {date} today's date (YYYY-MM-DD)
+    nameTemplate: "{name}",
+    description: "",
+  },
+  reports: {
+    formats: ["json", "csv", "html"],
+  },
+  api: {
+    // Retries for rate limits (429), server errors (5xx) and network failures
+    maxRetries: 4,
+    baseDelayMs: 1000,
+    // At most budgetRequests Spotify requests per rolling window (0 disables the budget)
+    budgetRequests: 150,
+    budgetWindowMs: 30000,
+  },
+};
+
+// Settings limited to a fixed set of values
+const CONFIG_CHOICES = {
+  "search.podcasts": ["skip", "search"],
+};
+
+let current = null;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Merge a config layer into a copy of `base`, warning about keys the defaults do not know
+ */
+function mergeLayer(base, layer, source, prefix = "") {
+  const merged = { ...base };
+  Object.entries(layer).forEach(([key, value]) => {
+    const keyPath = `${prefix}${key}`;
+    if (!(key in base)) {
+      Logger.warning(`Ignoring unknown config key "${keyPath}" in ${source}`);
+      return;
+    }
+    if (isPlainObject(base[key])) {
+      if (!isPlainObject(value)) {
+        Logger.warning(`Ignoring config key "${keyPath}" in ${source}: expected an object`);
+        return;
+      }
+      merged[key] = mergeLayer(base[key], value, source, `${keyPath}.`);
+      return;
+    }
+    const expected = Array.isArray(base[key]) ? "array" : typeof base[key];
+    const actual = Array.isArray(value) ? "array" : typeof value;
+    if (expected !== actual) {
+      Logger.warning(
+        `Ignoring config key "${keyPath}" in ${source}: expected ${expected}, got ${actual}`,
+      );
+      return;
+    }
+    const choices = CONFIG_CHOICES[keyPath];
+    if (choices && !choices.includes(value)) {
+      Logger.warning(
+        `Ignoring config key "${keyPath}" in ${source}: expected one of ${choices.join(", ")}, got "${value}"`,
+      );
+      return;
+    }
+    merged[key] = value;
+  });
+  return merged;
+}
+
+function readConfigFile(file) {
+  let data;
+  try {
+    data = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw new FileParsingError(`Could not read config: ${error.message}`, file);
+  }
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    throw new FileParsingError(`Invalid JSON in config: ${error.message}`, file);
+  }
+}
+
+/**
+ * Build the effective configuration.
+ * Precedence (lowest to highest): defaults, ~/.apple-music-spotify-sync/config.json,
+ * ./.apple-music-spotify-sync.json, options.file, options.overrides (CLI flags).
+ * @param {Object} [options]
+ * @param {string} [options.file] - Extra config file (--config)
+ * @param {Object} [options.overrides] - Values keyed by dotted path, e.g. { "search.maxConcurrency": 5 }
+ * @returns {Object} Effective configuration
+ */
+function loadConfig(options = {}) {
+  let config = DEFAULT_CONFIG;
+  const extraFile = options.file && path.resolve(options.file);
+  const files = [
+    USER_CONFIG_FILE,
+    path.resolve(PROJECT_CONFIG_FILE),
+    extraFile,
+  ].filter(Boolean);
+
+  files.forEach((file) => {
+    const layer = readConfigFile(file);
+    if (layer === null) {
+      if (file === extraFile) {
+        throw new FileParsingError(`Config file not found: ${file}`, file);
+      }
+      return;
+    }
+    Logger.debug(`Loaded config from ${file}`);
+    config = mergeLayer(config, layer, file);
+  });
+
+  Object.entries(options.overrides || {}).forEach(([keyPath, value]) => {
+    const layer = {};
+    const keys = keyPath.split(".");
+    keys.reduce((node, key, i) => {
+      node[key] = i === keys.length - 1 ? value : {};
+      return node[key];
+    }, layer);
+    config = mergeLayer(config, layer, "command-line flags");
+  });
+
+  current = config;
+  return current;
+}
+
+/**
+ * Current configuration (loaded on first use)
+ */
+function getConfig() {
+  return current || loadConfig();
+}
+
+/**
+ * Read one setting by dotted path, e.g. get("search.minConfidence")
+ */
+function get(keyPath) {
+  return keyPath
+    .split(".")
+    .reduce((node, key) => (node ? node[key] : undefined), getConfig());
+}
+
+/**
+ * Playlist name for an export, from playlist.nameTemplate
+ */
+function formatPlaylistName(exportName) {
+  return get("playlist.nameTemplate")
+    .replace(/\{name\}/g, exportName)
+    .replace(/\{date\}/g, new Date().toISOString().slice(0, 10));
+}
+
+/**
+ * Write the defaults to the user config file, unless it exists
+ * @returns {boolean} True when the file was created
+ */
+function initUserConfig() {
+  if (fs.existsSync(USER_CONFIG_FILE)) return false;
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(USER_CONFIG_FILE, JSON.stringify(DEFAULT_CONFIG, null, 2));
+  return true;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  CONFIG_CHOICES,
+  DATA_DIR,
+  USER_CONFIG_FILE,
+  PROJECT_CONFIG_FILE,
+  loadConfig,
+  getConfig,
+  get,
+  formatPlaylistName,
+  initUserConfig,
+};
@@ -0,0 +1,99 @@
+const fs = require("fs").promises;
+const path = require("path");
+const Logger = require("./logger");
+const { generateTrackKey } = require("./cache");
+const { DATA_DIR } = require("./config");
+
+// Decisions live next to the tokens so clearing the search cache does not forget them
+const DECISIONS_FILE = path.join(DATA_DIR, "match-decisions.json");
+
+/**
+ * Load saved match decisions, keyed by generateTrackKey
+ */
+async function loadDecisions() {
+  try {
+    const data = await fs.readFile(DECISIONS_FILE, "utf8");
+    const decisions = JSON.parse(data);
+    Logger.debug(`Loaded ${Object.keys(decisions).length} saved match decisions`);
+    return decisions;
+  } catch (error) {
+    Logger.debug("No saved match decisions found, starting fresh");
+    return {};
+  }
+}
+
+/**
+ * Save match decisions to file
+ */
+async function saveDecisions(decisions) {
+  try {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.writeFile(DECISIONS_FILE, JSON.stringify(decisions, null, 2));
+    Logger.debug(`Saved ${Object.keys(decisions).length} match decisions`);
+  } catch (error) {
+    Logger.error(`Failed to save match decisions: ${error.message}`);
+  }
+}
+
+/**
+ * Look up the saved decision for a track
+ * @returns {Object|null} { selected, rejectedUris, skipped } or null when the user never decided
+ */
+function getDecision(decisions, track) {
+  return decisions[generateTrackKey(track)] || null;
+}
+
+/**
+ * Record a manual pick or skip for a track.
+ * A pick replaces an earlier skip; the URI that was auto-matched before the user
+ * intervened is remembered as rejected so it is never auto-selected again.
+ * @param {Object} decisions - Decisions map (mutated)
+ * @param {Object} track - Apple track (title/artist/album used for the key)
+ * @param {Object} decision
+ * @param {Object} [decision.selected] - Chosen Spotify track { uri, name, artists, album }
+ * @param {boolean} [decision.skipped] - User skipped the track
+ * @param {Array<string>} [decision.rejectedUris] - URIs the user turned down
+ */
+function recordDecision(decisions, track, decision) {
+  const key = generateTrackKey(track);
+  const previous = decisions[key] || { rejectedUris: [] };
+
+  const rejectedUris = new Set([
+    ...previous.rejectedUris,
+    ...(decision.rejectedUris || []),
+  ]);
+  if (decision.selected) rejectedUris.delete(decision.selected.uri);
+
+  decisions[key] = {
+    title: track.title,
+    artist: track.artist,
+    album: track.album,
+    selected: decision.selected || null,
+    skipped: Boolean(decision.skipped) && !decision.selected,
+    rejectedUris: [...rejectedUris],
+    updatedAt: new Date().toISOString(),
+  };
+  return decisions[key];
+}
+
+/**
+ * Clear all saved match decisions
+ */
+async function clearDecisions() {
+  try {
+    await fs.unlink(DECISIONS_FILE);
+    Logger.info("Match decisions cleared");
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      Logger.error(`Failed to clear match decisions: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  loadDecisions,
+  saveDecisions,
+  getDecision,
+  recordDecision,
+  clearDecisions,
+};
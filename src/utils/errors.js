@@ -24,8 +24,17 @@ class APIError extends Error {
   }
 }
 
+class UsageError extends Error {
+  constructor(message, command) {
+    super(message);
+    this.name = "UsageError";
+    this.command = command;
+  }
+}
+
 module.exports = {
   SpotifyAuthError,
   FileParsingError,
   APIError,
+  UsageError,
 };
@@ -2,29 +2,44 @@ const chalk = require("chalk");
 
 /**
  * Simple logging utility with colored output.
+ * Output goes through `Logger.write`, which progress bars redirect while they are drawn.
  */
 class Logger {
   static info(message) {
-    console.log(chalk.blue("ℹ"), message);
+    Logger.write(`${chalk.blue("ℹ")} ${message}`);
   }
 
   static success(message) {
-    console.log(chalk.green("✓"), message);
+    Logger.write(`${chalk.green("✓")} ${message}`);
   }
 
   static warning(message) {
-    console.log(chalk.yellow("⚠"), message);
+    Logger.write(`${chalk.yellow("⚠")} ${message}`);
   }
 
   static error(message) {
-    console.log(chalk.red("✗"), message);
+    Logger.write(`${chalk.red("✗")} ${message}`);
   }
 
   static debug(message) {
     if (process.env.LOG_LEVEL === "debug") {
-      console.log(chalk.gray("🔍"), message);
+      Logger.write(`${chalk.gray("🔍")} ${message}`);
     }
   }
+
+  static write(line) {
+    (Logger.output || console.log)(line);
+  }
+
+  /**
+   * Redirect log lines (e.g. above active progress bars); pass null to restore console output
+   * @param {Function|null} output - Receives one formatted line per call
+   */
+  static setOutput(output) {
+    Logger.output = output;
+  }
 }
 
+Logger.output = null;
+
 module.exports = Logger;
@@ -0,0 +1,68 @@
+const fs = require("fs").promises;
+const path = require("path");
+const Logger = require("./logger");
+const { DATA_DIR } = require("./config");
+
+const HISTORY_FILE = path.join(DATA_DIR, "sync-history.json");
+
+/**
+ * Load sync history, keyed by Spotify playlist ID
+ */
+async function loadSyncHistory() {
+  try {
+    const data = await fs.readFile(HISTORY_FILE, "utf8");
+    return JSON.parse(data);
+  } catch (error) {
+    Logger.debug("No sync history found, starting fresh");
+    return {};
+  }
+}
+
+/**
+ * Save sync history to file
+ */
+async function saveSyncHistory(history) {
+  try {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.writeFile(HISTORY_FILE, JSON.stringify(history, null, 2));
+    Logger.debug(`Saved sync history for ${Object.keys(history).length} playlists`);
+  } catch (error) {
+    Logger.error(`Failed to save sync history: ${error.message}`);
+  }
+}
+
+/**
+ * URIs that have corresponded to an Apple Music export in an earlier sync of this playlist.
+ * Anything else in the playlist was added on the Spotify side.
+ * @returns {Set<string>}
+ */
+function getSyncedUris(history, playlistId) {
+  const entry = history[playlistId];
+  return new Set(entry ? entry.syncedUris : []);
+}
+
+/**
+ * Remember which URIs in a playlist came from the Apple Music export
+ * @param {Object} history - History map (mutated)
+ * @param {string} playlistId - Spotify playlist ID
+ * @param {Array<string>} uris - URIs added or matched as already present during this sync
+ * @param {Object} [meta] - Extra fields to store, e.g. { sourceFile }
+ */
+function recordSyncedUris(history, playlistId, uris, meta = {}) {
+  const synced = getSyncedUris(history, playlistId);
+  uris.filter(Boolean).forEach((uri) => synced.add(uri));
+  history[playlistId] = {
+    ...history[playlistId],
+    ...meta,
+    syncedUris: [...synced],
+    lastSyncedAt: new Date().toISOString(),
+  };
+  return history[playlistId];
+}
+
+module.exports = {
+  loadSyncHistory,
+  saveSyncHistory,
+  getSyncedUris,
+  recordSyncedUris,
+};
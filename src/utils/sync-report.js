@@ -0,0 +1,362 @@
+const fs = require("fs").promises;
+const path = require("path");
+const Logger = require("./logger");
+const { FileParsingError, UsageError } = require("./errors");
+const config = require("./config");
+const { KIND_LABELS } = require("../data/song-kind");
+
+const REPORTS_DIR = path.join(config.DATA_DIR, "reports");
+const REPORT_FORMATS = ["json", "csv", "html"];
+
+const CSV_COLUMNS = [
+  ["index", "#"],
+  ["title", "Title"],
+  ["artist", "Artist"],
+  ["album", "Album"],
+  ["kind", "Kind"],
+  ["year", "Year"],
+  ["duration", "Duration"],
+  ["outcome", "Outcome"],
+  ["spotifyUri", "Spotify URI"],
+  ["spotifyName", "Spotify Name"],
+  ["spotifyArtists", "Spotify Artists"],
+  ["spotifyAlbum", "Spotify Album"],
+  ["confidence", "Confidence"],
+  ["searchStrategy", "Search Strategy"],
+  ["duplicateMethod", "Duplicate Method"],
+  ["error", "Error"],
+];
+
+/**
+ * Parse a comma-separated --report-format value
+ * @param {string} [value] - Flag value, e.g. "json,html"
+ * @param {string} [command] - Command name for the usage error
+ * @returns {Array<string>} Requested formats, or the reports.formats setting when empty
+ * @throws {UsageError} When a format (from the flag or the setting) is not one of REPORT_FORMATS
+ */
+function parseReportFormats(value, command) {
+  const formats =
+    !value || value === true
+      ? config.get("reports.formats")
+      : String(value)
+          .split(",")
+          .map((format) => format.trim().toLowerCase())
+          .filter(Boolean);
+  const unknown = formats.filter((format) => !REPORT_FORMATS.includes(format));
+  if (unknown.length > 0) {
+    throw new UsageError(
+      `Unknown report format${unknown.length > 1 ? "s" : ""} ${unknown.map((format) => `"${format}"`).join(", ")} (use ${REPORT_FORMATS.join(", ")})`,
+      command,
+    );
+  }
+  return formats;
+}
+
+/**
+ * Run ID used as the report folder name, e.g. "2024-05-01T12-30-00-000Z"
+ */
+function createRunId(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, "-");
+}
+
+// What createRunId returns, e.g. 2024-05-01T18-30-00-000Z
+const RUN_ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+
+function reportRow(track, outcome, extra = {}) {
+  const info = track.spotifyTrackInfo || {};
+  return {
+    index: typeof track.sourceIndex === "number" ? track.sourceIndex + 1 : null,
+    title: track.title || track.name || track.Name || "",
+    artist: track.artist || track.Artist || "",
+    album: track.album || track.Album || "",
+    kind: track.mediaKind || null,
+    year: track.year || null,
+    duration: track.duration || null,
+    outcome,
+    spotifyUri: track.spotifyUri || null,
+    spotifyName: info.name || null,
+    spotifyArtists: Array.isArray(info.artists)
+      ? info.artists.join(", ")
+      : info.artists || null,
+    spotifyAlbum: info.album || null,
+    confidence:
+      typeof track.confidence === "number"
+        ? Number(track.confidence.toFixed(3))
+        : null,
+    searchStrategy: track.searchStrategy || null,
+    duplicateMethod: null,
+    error: track.error || null,
+    ...extra,
+  };
+}
+
+/**
+ * Build the per-track report for a finished sync
+ * @param {Object} run
+ * @param {string} run.runId - See createRunId
+ * @param {string} run.sourceFile - Apple Music export that was synced
+ * @param {Object} run.playlist - Target playlist ({ id, name })
+ * @param {Array} run.results - Track results (matched or not) in export order
+ * @param {Array} run.duplicates - { track, method } entries from duplicate detection
+ * @param {Array<string>} run.attemptedUris - URIs sent to Spotify
+ * @param {Array<string>} run.addedUris - URIs Spotify accepted
+ * @param {Array} [run.rejected] - Tracks dropped by validation (prepareSongs().rejected)
+ * @param {Array} [run.excluded] - Voice memos and podcast episodes left out (prepareSongs().excluded)
+ * @param {Object} [run.mirror] - { removedCount, keptManual, movedCount } in mirror mode
+ * @returns {Object} Report with summary and rows
+ */
+function buildSyncReport(run) {
+  const duplicateMethods = new Map(
+    run.duplicates.map(({ track, method }) => [track, method]),
+  );
+  const attempted = new Set(run.attemptedUris);
+  const added = new Set(run.addedUris);
+  const reported = new Set();
+
+  const rows = run.results.map((track) => {
+    if (!track.matched) {
+      return reportRow(track, track.error ? "error" : "unmatched");
+    }
+    if (duplicateMethods.has(track)) {
+      return reportRow(track, "duplicate", {
+        duplicateMethod: duplicateMethods.get(track),
+      });
+    }
+    const uri = track.spotifyUri;
+    if (reported.has(uri) || !attempted.has(uri)) {
+      // Another row of this export already maps to the same Spotify track
+      return reportRow(track, "duplicate", { duplicateMethod: "same_export" });
+    }
+    reported.add(uri);
+    return added.has(uri)
+      ? reportRow(track, "added")
+      : reportRow(track, "error", { error: "Adding to the playlist failed" });
+  });
+
+  (run.rejected || []).forEach((track) => {
+    rows.push(
+      reportRow(track, "unmatched", {
+        error: `Failed validation: ${track.validation.issues.join("; ")}`,
+      }),
+    );
+  });
+
+  (run.excluded || []).forEach((track) => {
+    rows.push(
+      reportRow(track, "unmatched", {
+        error: `Left out: ${KIND_LABELS[track.mediaKind][0]}`,
+      }),
+    );
+  });
+
+  const summary = { total: rows.length };
+  ["added", "duplicate", "unmatched", "error"].forEach((outcome) => {
+    summary[outcome] = rows.filter((row) => row.outcome === outcome).length;
+  });
+  if (run.mirror) {
+    summary.removed = run.mirror.removedCount;
+    summary.keptManual = run.mirror.keptManual;
+    summary.reorderMoves = run.mirror.movedCount;
+  }
+
+  return {
+    runId: run.runId,
+    createdAt: new Date().toISOString(),
+    sourceFile: run.sourceFile,
+    playlist: { id: run.playlist.id, name: run.playlist.name },
+    summary,
+    tracks: rows,
+  };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render report rows as CSV (one line per track)
+ */
+function toCsv(report) {
+  const lines = [CSV_COLUMNS.map(([, header]) => header).join(",")];
+  report.tracks.forEach((row) => {
+    lines.push(CSV_COLUMNS.map(([key]) => csvValue(row[key])).join(","));
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+function escapeHtml(value) {
+  if (value === null || value === undefined) return "";
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * open.spotify.com link for a Spotify URI, e.g. spotify:episode:ID -> /episode/ID
+ */
+function spotifyUrl(uri) {
+  const [, type, id] = uri.split(":");
+  return `https://open.spotify.com/${type}/${id}`;
+}
+
+/**
+ * Render a standalone HTML page (no external assets) for sharing a report
+ */
+function toHtml(report) {
+  const summary = Object.entries(report.summary)
+    .map(([key, value]) => `<li><strong>${escapeHtml(key)}</strong>: ${escapeHtml(value)}</li>`)
+    .join("");
+  const header = CSV_COLUMNS.map(([, label]) => `<th>${escapeHtml(label)}</th>`).join("");
+  const rows = report.tracks
+    .map((row) => {
+      const cells = CSV_COLUMNS.map(([key]) =>
+        key === "spotifyUri" && row.spotifyUri
+          ? `<td><a href="${escapeHtml(spotifyUrl(row.spotifyUri))}">${escapeHtml(row.spotifyUri)}</a></td>`
+          : `<td>${escapeHtml(row[key])}</td>`,
+      ).join("");
+      return `<tr class="${escapeHtml(row.outcome)}">${cells}</tr>`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Sync report: ${escapeHtml(report.playlist.name)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", sans-serif; margin: 2rem; color: #222; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+  th, td { border: 1px solid #ddd; padding: 0.3rem 0.5rem; text-align: left; }
+  th { background: #f4f4f4; position: sticky; top: 0; }
+  tr.added td { background: #eef9ee; }
+  tr.duplicate td { background: #f5f5f5; }
+  tr.unmatched td { background: #fff6e5; }
+  tr.error td { background: #fdeaea; }
+</style>
+</head>
+<body>
+<h1>Sync report: ${escapeHtml(report.playlist.name)}</h1>
+<p>Source: ${escapeHtml(report.sourceFile)}<br>Run: ${escapeHtml(report.runId)} (${escapeHtml(report.createdAt)})</p>
+<ul>${summary}</ul>
+<table>
+<thead><tr>${header}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+const RENDERERS = {
+  json: (report) => JSON.stringify(report, null, 2),
+  csv: toCsv,
+  html: toHtml,
+};
+
+/**
+ * Render a report in one of REPORT_FORMATS
+ * @returns {string|null} Rendered report, or null for an unknown format
+ */
+function renderSyncReport(report, format) {
+  return RENDERERS[format] ? RENDERERS[format](report) : null;
+}
+
+/**
+ * Write a report to ~/.apple-music-spotify-sync/reports/<runId>/report.<format>
+ * @param {Object} report - From buildSyncReport
+ * @param {Array<string>} [formats] - Any of REPORT_FORMATS; defaults to the reports.formats setting
+ * @returns {Promise<Array<string>>} Paths of the written files
+ */
+async function writeSyncReport(report, formats = config.get("reports.formats")) {
+  const dir = path.join(REPORTS_DIR, report.runId);
+  const written = [];
+  try {
+    await fs.mkdir(dir, { recursive: true });
+    for (const format of formats) {
+      const content = renderSyncReport(report, format);
+      if (content === null) {
+        Logger.warning(`Unknown report format "${format}", skipping`);
+        continue;
+      }
+      const file = path.join(dir, `report.${format}`);
+      await fs.writeFile(file, content);
+      written.push(file);
+    }
+  } catch (error) {
+    Logger.error(`Failed to write sync report: ${error.message}`);
+  }
+  return written;
+}
+
+/**
+ * Run IDs of saved reports, newest first
+ * @returns {Promise<Array<string>>}
+ */
+async function listSyncReports() {
+  try {
+    const entries = await fs.readdir(REPORTS_DIR, { withFileTypes: true });
+    return entries
+      .filter((entry) => entry.isDirectory() && RUN_ID_PATTERN.test(entry.name))
+      .map((entry) => entry.name)
+      .sort()
+      .reverse();
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Load a saved JSON report
+ * @param {string} run - Run ID, "latest" or a path to a report.json file
+ * @returns {Promise<Object>} Report as written by writeSyncReport
+ */
+async function loadSyncReport(run) {
+  let file;
+  if (run === "latest") {
+    const [latest] = await listSyncReports();
+    if (!latest) {
+      throw new FileParsingError("No sync reports found", REPORTS_DIR);
+    }
+    file = path.join(REPORTS_DIR, latest, "report.json");
+  } else if (run.endsWith(".json")) {
+    file = run;
+  } else if (RUN_ID_PATTERN.test(run)) {
+    file = path.join(REPORTS_DIR, run, "report.json");
+  } else {
+    // Only generated IDs are joined into the reports directory
+    throw new UsageError(
+      `Invalid run ID "${run}" (run "report" to list them, or pass a report.json path)`,
+      "report",
+    );
+  }
+
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    throw new FileParsingError(
+      `Could not read sync report "${run}": ${error.message}`,
+      file,
+    );
+  }
+}
+
+module.exports = {
+  REPORTS_DIR,
+  REPORT_FORMATS,
+  parseReportFormats,
+  createRunId,
+  buildSyncReport,
+  toCsv,
+  toHtml,
+  spotifyUrl,
+  renderSyncReport,
+  writeSyncReport,
+  listSyncReports,
+  loadSyncReport,
+};
@@ -1,3 +1,5 @@
+const config = require("./config");
+
 /**
  * Track comparison utility for smart duplicate detection
  */
@@ -221,7 +223,7 @@ class TrackComparison {
       // Similarity-based matching
       const similarity = this.calculateTrackSimilarity(newTrack, existingTrack);
       
-      if (similarity.overall > 0.90) {
+      if (similarity.overall > config.get("duplicates.highSimilarity")) {
         return {
           isDuplicate: true,
           method: "high_similarity",
@@ -230,7 +232,10 @@ class TrackComparison {
         };
       }
       
-      if (similarity.overall > 0.75 && similarity.artist > 0.95) {
+      if (
+        similarity.overall > config.get("duplicates.mediumSimilarity") &&
+        similarity.artist > config.get("duplicates.artistSimilarity")
+      ) {
         return {
           isDuplicate: true,
           method: "medium_similarity_exact_artist",
@@ -0,0 +1,207 @@
+const path = require("path");
+
+jest.mock("inquirer", () => ({ prompt: jest.fn() }));
+jest.mock("../../src/utils/cache", () => ({
+  ...jest.requireActual("../../src/utils/cache"),
+  saveSearchCache: jest.fn(() => Promise.resolve()),
+}));
+
+const { runSync } = require("../../src/cli/sync");
+const { saveSearchCache } = require("../../src/utils/cache");
+const { SpotifyApiClient } = require("../../src/spotify/api-client");
+const { SpotifyAuthError } = require("../../src/utils/errors");
+const { EXIT_CODES, exitCodeFor } = require("../../src/cli/exit-codes");
+const config = require("../../src/utils/config");
+const SongValidator = require("../../src/data/song-validator");
+const inquirer = require("inquirer");
+
+const FIXTURE = path.join(__dirname, "../fixtures/playlist.txt");
+
+function spotifyTrack(id, name, artist) {
+  return {
+    uri: `spotify:track:${id}`,
+    id,
+    name,
+    artists: [{ name: artist }],
+    album: { name: "", release_date: "1957" },
+    duration_ms: null,
+  };
+}
+
+/**
+ * Fake Spotify Web API with one empty playlist; `search` answers searchTracks
+ */
+function createApi(search) {
+  return {
+    searchTracks: jest.fn(search),
+    getUserPlaylists: async () => ({
+      body: { items: [{ id: "p1", name: "Oldies", owner: { id: "me" } }], total: 1 },
+    }),
+    getPlaylistTracks: async () => ({ body: { items: [], total: 0, next: null } }),
+    getPlaylist: async () => ({ body: { snapshot_id: "s1" } }),
+    addTracksToPlaylist: jest.fn(async () => ({ body: { snapshot_id: "s2" } })),
+  };
+}
+
+function sync(spotifyApi, { file = FIXTURE, ...options } = {}) {
+  return runSync(file, {
+    session: { spotifyApi, userId: "me", searchCache: {}, playlists: null },
+    playlistName: "Oldies",
+    confirm: false,
+    review: false,
+    reportFormats: [],
+    ...options,
+  });
+}
+
+beforeAll(() => {
+  config.loadConfig({
+    overrides: { "api.baseDelayMs": 1, "api.budgetRequests": 0 },
+  });
+});
+
+beforeEach(() => {
+  saveSearchCache.mockClear();
+  inquirer.prompt.mockReset();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+function emptySearch() {
+  return Promise.resolve({ body: { tracks: { items: [] } } });
+}
+
+describe("runSync process listeners", () => {
+  test("removes its exit and SIGINT listeners after each run", async () => {
+    const exitListeners = process.listenerCount("exit");
+    const sigintListeners = process.listenerCount("SIGINT");
+
+    await sync(createApi(emptySearch));
+    await sync(createApi(emptySearch), { dryRun: true });
+    const failingApi = createApi(emptySearch);
+    failingApi.getPlaylistTracks = () => Promise.reject(new Error("Playlist is gone"));
+    await expect(sync(failingApi)).rejects.toThrow("Playlist is gone");
+
+    expect(process.listenerCount("exit")).toBe(exitListeners);
+    expect(process.listenerCount("SIGINT")).toBe(sigintListeners);
+  });
+});
+
+describe("runSync search failures", () => {
+  test("reports a failed search as an error and leaves it out of the cache", async () => {
+    const spotifyApi = createApi(async (query) => {
+      if (/buddy holly/i.test(query)) {
+        throw Object.assign(new Error("Service unavailable"), { statusCode: 503 });
+      }
+      if (/dean martin/i.test(query)) {
+        return { body: { tracks: { items: [spotifyTrack("dm", "That's Amore", "Dean Martin")] } } };
+      }
+      return { body: { tracks: { items: [] } } };
+    });
+
+    const result = await sync(spotifyApi);
+
+    expect(result.status).toBe("complete");
+    expect(result.summary).toMatchObject({ added: 1, error: 1, unmatched: 3 });
+    const cache = saveSearchCache.mock.calls.at(-1)[0];
+    const entries = Object.values(cache);
+    expect(entries).toHaveLength(4);
+    expect(entries.some((entry) => entry.error)).toBe(false);
+  });
+});
+
+describe("runSync token refresh failure", () => {
+  test("stops the sync with the auth error and caches nothing it did not find", async () => {
+    let calls = 0;
+    const api = createApi(async (query) => {
+      calls++;
+      // The access token expires after two searches
+      if (calls > 2) {
+        throw Object.assign(new Error("The access token expired"), { statusCode: 401 });
+      }
+      if (/dean martin/i.test(query)) {
+        return { body: { tracks: { items: [spotifyTrack("dm", "That's Amore", "Dean Martin")] } } };
+      }
+      return { body: { tracks: { items: [] } } };
+    });
+    const refreshTokens = jest.fn(async () => {
+      throw new SpotifyAuthError("Could not refresh tokens: invalid_grant");
+    });
+    const spotifyApi = new SpotifyApiClient(api, { refreshTokens });
+
+    const error = await sync(spotifyApi).catch((err) => err);
+
+    expect(error).toBeInstanceOf(SpotifyAuthError);
+    expect(exitCodeFor(error)).toBe(EXIT_CODES.AUTH);
+    expect(refreshTokens).toHaveBeenCalled();
+    expect(api.addTracksToPlaylist).not.toHaveBeenCalled();
+    const cache = saveSearchCache.mock.calls.at(-1)[0];
+    expect(Object.values(cache)).toEqual([
+      expect.objectContaining({ matched: true, spotifyUri: "spotify:track:dm" }),
+    ]);
+  });
+});
+
+describe("runSync streaming", () => {
+  test("finds the same tracks as a normal read", async () => {
+    const search = async (query) =>
+      /dean martin/i.test(query)
+        ? { body: { tracks: { items: [spotifyTrack("dm", "That's Amore", "Dean Martin")] } } }
+        : { body: { tracks: { items: [] } } };
+
+    const normal = await sync(createApi(search), { dryRun: true });
+    const streamed = await sync(createApi(search), { dryRun: true, stream: true });
+
+    expect(streamed.summary).toEqual(normal.summary);
+  });
+
+  test.each([false, true])(
+    "asks to continue after validation issues before searching (stream: %s)",
+    async (stream) => {
+      jest
+        .spyOn(SongValidator.prototype, "generateRecommendations")
+        .mockImplementation((report) => {
+          report.recommendations.push("Check the export");
+        });
+      inquirer.prompt.mockResolvedValue({ proceed: false });
+      const spotifyApi = createApi(emptySearch);
+
+      const result = await sync(spotifyApi, { stream, confirm: true });
+
+      expect(inquirer.prompt).toHaveBeenCalledTimes(1);
+      expect(result.status).toBe("cancelled");
+      expect(spotifyApi.searchTracks).not.toHaveBeenCalled();
+      expect(spotifyApi.addTracksToPlaylist).not.toHaveBeenCalled();
+    },
+  );
+
+  test("does not ask again after the searches when the first streamed chunk was the whole export", async () => {
+    jest
+      .spyOn(SongValidator.prototype, "generateRecommendations")
+      .mockImplementation((report) => {
+        report.recommendations.push("Check the export");
+      });
+    inquirer.prompt.mockResolvedValue({ proceed: true });
+
+    const result = await sync(createApi(emptySearch), { stream: true, confirm: true, dryRun: true });
+
+    expect(inquirer.prompt).toHaveBeenCalledTimes(1);
+    expect(result.status).toBe("dry-run");
+  });
+});
+
+describe("runSync nameAfterExport", () => {
+  test("uses the #PLAYLIST name of an M3U export instead of its file name", async () => {
+    const result = await sync(createApi(emptySearch), {
+      file: path.join(__dirname, "../fixtures/playlist.m3u"),
+      playlistName: null,
+      nameAfterExport: true,
+      dryRun: true,
+    });
+
+    expect(inquirer.prompt).not.toHaveBeenCalled();
+    expect(result.playlist).toMatchObject({ id: "p1", name: "Oldies" });
+  });
+});
@@ -0,0 +1,20 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Logger = require("../src/utils/logger");
+
+// Tokens, config, decisions, history and reports live under the home directory:
+// point it at a scratch directory so tests never touch the real ones. Jest gives each
+// test file its own copy of process.env, which os.homedir() does not read, so replace it
+// too (not with a spy, which restoreAllMocks would undo)
+const home = fs.mkdtempSync(path.join(os.tmpdir(), "apple-music-spotify-sync-"));
+const realHomedir = os.homedir;
+process.env.HOME = home;
+os.homedir = () => home;
+
+Logger.setOutput(() => {});
+
+afterAll(() => {
+  os.homedir = realHomedir;
+  fs.rmSync(home, { recursive: true, force: true });
+});
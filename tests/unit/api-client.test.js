@@ -0,0 +1,98 @@
+const config = require("../../src/utils/config");
+const { SpotifyApiClient } = require("../../src/spotify/api-client");
+
+function httpError(statusCode, headers = {}) {
+  return Object.assign(new Error(`HTTP ${statusCode}`), { statusCode, headers });
+}
+
+// A spotify-web-api-node stand-in whose getMe fails with the given errors, then succeeds
+function fakeApi(...errors) {
+  return {
+    getMe: jest.fn(async () => {
+      if (errors.length > 0) throw errors.shift();
+      return { body: { id: "me" } };
+    }),
+  };
+}
+
+beforeEach(() => {
+  config.loadConfig({
+    overrides: { "api.baseDelayMs": 1, "api.maxRetries": 2, "api.budgetRequests": 0 },
+  });
+});
+
+afterEach(() => {
+  config.loadConfig();
+});
+
+describe("SpotifyApiClient", () => {
+  test("retries a 429 and reports the rate limit", async () => {
+    const api = fakeApi(httpError(429, { "retry-after": "0" }));
+    const client = new SpotifyApiClient(api);
+    const onRateLimit = jest.fn();
+    client.on("rate-limit", onRateLimit);
+
+    await expect(client.getMe()).resolves.toEqual({ body: { id: "me" } });
+    expect(api.getMe).toHaveBeenCalledTimes(2);
+    expect(onRateLimit).toHaveBeenCalledWith({ method: "getMe", retryAfterMs: 0 });
+    expect(client.getMetrics()).toMatchObject({ requests: 2, retries: 1, rateLimited: 1 });
+  });
+
+  test("retries server and network errors until maxRetries, then fails", async () => {
+    const networkError = Object.assign(new Error("socket hang up"), { code: "ECONNRESET" });
+    const api = fakeApi(httpError(502), networkError, httpError(503));
+    const client = new SpotifyApiClient(api);
+
+    await expect(client.getMe()).rejects.toMatchObject({ statusCode: 503 });
+    expect(api.getMe).toHaveBeenCalledTimes(3);
+    expect(client.getMetrics()).toMatchObject({ retries: 2, failures: 1 });
+  });
+
+  test("does not retry other client errors", async () => {
+    const api = fakeApi(httpError(404));
+    const client = new SpotifyApiClient(api);
+
+    await expect(client.getMe()).rejects.toMatchObject({ statusCode: 404 });
+    expect(api.getMe).toHaveBeenCalledTimes(1);
+  });
+
+  test("holds requests back once the budget for the window is used", async () => {
+    config.loadConfig({
+      overrides: { "api.budgetRequests": 1, "api.budgetWindowMs": 50 },
+    });
+    const client = new SpotifyApiClient(fakeApi());
+
+    const started = Date.now();
+    await client.getMe();
+    await client.getMe();
+    expect(Date.now() - started).toBeGreaterThanOrEqual(45);
+  });
+
+  test("refreshes the token once for concurrent 401s and retries each request", async () => {
+    const api = fakeApi(httpError(401), httpError(401));
+    const refreshTokens = jest.fn(async () => {});
+    const client = new SpotifyApiClient(api, { refreshTokens });
+
+    await Promise.all([client.getMe(), client.getMe()]);
+    expect(refreshTokens).toHaveBeenCalledTimes(1);
+    expect(api.getMe).toHaveBeenCalledTimes(4);
+    expect(client.getMetrics().tokenRefreshes).toBe(1);
+  });
+
+  test("fails with the refresh error when the refresh fails", async () => {
+    const refreshError = new Error("invalid_grant");
+    const client = new SpotifyApiClient(fakeApi(httpError(401)), {
+      refreshTokens: jest.fn(async () => {
+        throw refreshError;
+      }),
+    });
+
+    await expect(client.getMe()).rejects.toBe(refreshError);
+  });
+
+  test("fails a 401 without a way to refresh", async () => {
+    const client = new SpotifyApiClient(fakeApi(httpError(401)));
+
+    await expect(client.getMe()).rejects.toMatchObject({ statusCode: 401 });
+  });
+});
@@ -0,0 +1,129 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { renderAppleExport } = require("../../src/utils/apple-export");
+const AppleMusicParser = require("../../src/parsers/apple-music");
+const LibraryXmlParser = require("../../src/parsers/library-xml");
+
+const playlist = { id: "37i9dQZF1DX", uri: "spotify:playlist:37i9dQZF1DX", name: "Rock & Roll <50s>" };
+
+// Items in the shape getPlaylistTracks returns
+const tracks = [
+  {
+    position: 0,
+    uri: "spotify:track:3tMcLGZdCUzSEUhXyhkYxG",
+    id: "3tMcLGZdCUzSEUhXyhkYxG",
+    name: "That's Amore",
+    artists: ["Dean Martin"],
+    album: 'Dean Martin & "Friends"',
+    durationMs: 187400,
+    trackNumber: 3,
+    discNumber: 1,
+    trackCount: 12,
+    year: 1953,
+    addedAt: "2021-03-21T19:43:00Z",
+  },
+  {
+    position: 1,
+    uri: "spotify:episode:512ojhOuo1ktJprKbVcKyQ",
+    id: "512ojhOuo1ktJprKbVcKyQ",
+    name: "Episode\t1",
+    artists: ["Simon", "Garfunkel", "Friends"],
+    album: "The Show",
+    durationMs: 1800000,
+    addedAt: null,
+  },
+  {
+    position: 2,
+    uri: "spotify:local:Buddy+Holly::Everyday:129",
+    id: null,
+    name: "Everyday",
+    artists: ["Buddy Holly"],
+    album: "",
+    durationMs: 129000,
+  },
+];
+
+describe("renderAppleExport tsv", () => {
+  const output = renderAppleExport(playlist, tracks, "tsv");
+
+  test("writes UTF-16LE with a BOM and the 31 Music.app columns in order", () => {
+    expect([...output.subarray(0, 2)]).toEqual([0xff, 0xfe]);
+    const [header, ...rows] = output.toString("utf16le").slice(1).split("\r\n");
+    expect(header.split("\t")).toEqual(new AppleMusicParser().appleColumns);
+    expect(rows.filter(Boolean).every((row) => row.split("\t").length === 31)).toBe(true);
+  });
+
+  test("parses back through AppleMusicParser", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "apple-export-"));
+    const file = path.join(dir, "export.txt");
+    fs.writeFileSync(file, output);
+    try {
+      const { songs, metadata } = await new AppleMusicParser().parseFile(file);
+
+      expect(metadata.encoding).toBe("utf16le");
+      expect(songs.map(({ title, artist, album, duration }) => ({ title, artist, album, duration }))).toEqual([
+        { title: "That's Amore", artist: "Dean Martin", album: 'Dean Martin & "Friends"', duration: 187 },
+        { title: "Episode 1", artist: "Simon, Garfunkel & Friends", album: "The Show", duration: 1800 },
+        { title: "Everyday", artist: "Buddy Holly", album: "", duration: 129 },
+      ]);
+      expect(songs[0]).toMatchObject({
+        trackNumber: 3,
+        trackCount: 12,
+        year: 1953,
+        dateAddedISO: "2021-03-21T19:43:00.000Z",
+        location: "https://open.spotify.com/track/3tMcLGZdCUzSEUhXyhkYxG",
+      });
+      expect(songs[1].location).toBe("https://open.spotify.com/episode/512ojhOuo1ktJprKbVcKyQ");
+      expect(songs[2].location).toBe("");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("renderAppleExport m3u8", () => {
+  test("links tracks and episodes by their type and falls back to the URI for local files", () => {
+    expect(renderAppleExport(playlist, tracks, "m3u8").split("\n")).toEqual([
+      "#EXTM3U",
+      "#PLAYLIST:Rock & Roll <50s>",
+      "#EXTINF:187,Dean Martin - That's Amore",
+      '#EXTALB:Dean Martin & "Friends"',
+      "https://open.spotify.com/track/3tMcLGZdCUzSEUhXyhkYxG",
+      "#EXTINF:1800,Simon, Garfunkel & Friends - Episode\t1",
+      "#EXTALB:The Show",
+      "https://open.spotify.com/episode/512ojhOuo1ktJprKbVcKyQ",
+      "#EXTINF:129,Buddy Holly - Everyday",
+      "spotify:local:Buddy+Holly::Everyday:129",
+      "",
+    ]);
+  });
+});
+
+describe("renderAppleExport xml", () => {
+  test("escapes text and parses back as a Library.xml", () => {
+    const output = renderAppleExport(playlist, tracks, "xml");
+    expect(output).toContain("<string>Rock &amp; Roll &lt;50s&gt;</string>");
+
+    const plist = new LibraryXmlParser().parsePlist(output, "export.xml");
+    expect(plist.Tracks["1"]).toMatchObject({
+      "Track ID": 1,
+      Name: "That's Amore",
+      Album: 'Dean Martin & "Friends"',
+      "Total Time": 187400,
+      "Date Added": "2021-03-21T19:43:00Z",
+      Location: "https://open.spotify.com/track/3tMcLGZdCUzSEUhXyhkYxG",
+    });
+    expect(plist.Tracks["2"].Location).toBe("https://open.spotify.com/episode/512ojhOuo1ktJprKbVcKyQ");
+    expect(plist.Tracks["3"].Location).toBeUndefined();
+    expect(plist.Playlists[0]).toMatchObject({
+      Name: "Rock & Roll <50s>",
+      "All Items": true,
+      "Playlist Items": [{ "Track ID": 1 }, { "Track ID": 2 }, { "Track ID": 3 }],
+    });
+  });
+
+  test("returns null for an unknown format", () => {
+    expect(renderAppleExport(playlist, tracks, "wpl")).toBeNull();
+  });
+});
@@ -0,0 +1,85 @@
+const AppleMusicParser = require("../../src/parsers/apple-music");
+const { detectHeaderLocale, parseLocaleOption } = require("../../src/parsers/locales");
+const { UsageError } = require("../../src/utils/errors");
+
+const parser = () => new AppleMusicParser();
+const APPLE_COLUMNS = parser().appleColumns;
+
+// Apple writes local times; build the expected value the same way
+const localISO = (...parts) => new Date(...parts).toISOString();
+
+describe("detectHeaderLocale", () => {
+  test("recognises English and localized headers", () => {
+    expect(detectHeaderLocale(["Name", "Artist", "Album", "Kind"], APPLE_COLUMNS)).toBe("en");
+    expect(
+      detectHeaderLocale(["Name", "Künstler", "Album", "Hinzugefügt", "Art"], APPLE_COLUMNS),
+    ).toBe("de");
+    expect(detectHeaderLocale(["Nom", "Artiste", "Album"], APPLE_COLUMNS)).toBe("fr");
+  });
+
+  test("returns null without a title and an artist column", () => {
+    expect(detectHeaderLocale(["Album", "Genre"], APPLE_COLUMNS)).toBeNull();
+  });
+});
+
+describe("parseLocaleOption", () => {
+  test("accepts auto and locale codes with a region", () => {
+    expect(parseLocaleOption("auto")).toBeNull();
+    expect(parseLocaleOption("de-AT")).toBe("de");
+    expect(() => parseLocaleOption("xx", "sync")).toThrow(UsageError);
+  });
+});
+
+describe("detectDateOrder", () => {
+  test("reads the order from dates with a field above 12", () => {
+    expect(parser().detectDateOrder(["21.03.21, 19:43", "1.2.21, 10:00"])).toBe("DMY");
+    expect(parser().detectDateOrder(["3/21/21, 7:43 PM"])).toBe("MDY");
+  });
+
+  test("returns null when every date is ambiguous or they disagree", () => {
+    expect(parser().detectDateOrder(["1/2/21, 10:00"])).toBeNull();
+    expect(parser().detectDateOrder(["21/3/21 10:00", "3/21/21 10:00"])).toBeNull();
+  });
+});
+
+describe("parseAppleDateToISO", () => {
+  test("parses US dates with a narrow no-break space before PM", () => {
+    expect(parser().parseAppleDateToISO("3/21/21, 7:43 PM")).toBe(
+      localISO(2021, 2, 21, 19, 43),
+    );
+  });
+
+  test("uses the locale's field order and year-first dates", () => {
+    const german = new AppleMusicParser({ locale: "de" });
+    expect(german.parseAppleDateToISO("21.03.21, 19:43")).toBe(localISO(2021, 2, 21, 19, 43));
+    expect(parser().parseAppleDateToISO("2021/03/21 午後7:43")).toBe(
+      localISO(2021, 2, 21, 19, 43),
+    );
+  });
+
+  test("returns null for text that is not a date", () => {
+    expect(parser().parseAppleDateToISO("yesterday")).toBeNull();
+    expect(parser().parseAppleDateToISO("")).toBeNull();
+  });
+});
+
+describe("parseTSVContent", () => {
+  test("reads a German export with day-first dates", () => {
+    const content = [
+      ["Name", "Künstler", "Album", "Hinzugefügt", "Art"].join("\t"),
+      ["Everyday", "Buddy Holly", "Buddy Holly", "02.03.21, 19:43", "Apple Music-AAC-Audiodatei"].join("\t"),
+      ["Mr. Sandman", "The Chordettes", "Mr. Sandman", "21.03.21, 08:05", "Apple Music-AAC-Audiodatei"].join("\t"),
+    ].join("\n");
+    const p = parser();
+    const songs = p.parseTSVContent(content, "de.txt");
+
+    expect(p.headerLocale).toBe("de");
+    expect(p.dateOrder).toBe("DMY");
+    expect(songs.map((song) => [song.title, song.artist])).toEqual([
+      ["Everyday", "Buddy Holly"],
+      ["Mr. Sandman", "The Chordettes"],
+    ]);
+    // 02.03 is ambiguous on its own; the other row settles it as 2 March
+    expect(songs[0].dateAddedISO).toBe(localISO(2021, 2, 2, 19, 43));
+  });
+});
@@ -0,0 +1,156 @@
+const {
+  isClassical,
+  describeClassical,
+  splitClassicalTitle,
+  parseMovement,
+  scoreWork,
+  scoreMovement,
+  scoreComposer,
+  performerNames,
+} = require("../../src/spotify/classical");
+
+function candidate(name, artists, album = "") {
+  return { name, artists: artists.map((artist) => ({ name: artist })), album: { name: album } };
+}
+
+describe("parseMovement", () => {
+  test.each([
+    ["I. Allegro con brio", 1, "Allegro con brio"],
+    ["IV - Finale", 4, "Finale"],
+    ["XIV. Contrapunctus", 14, "Contrapunctus"],
+    ["XL) Coda", 40, "Coda"],
+    ["3. Presto", 3, "Presto"],
+    ["Andante", null, "Andante"],
+  ])("reads %p", (text, number, name) => {
+    expect(parseMovement(text)).toEqual({ number, name });
+  });
+});
+
+describe("splitClassicalTitle", () => {
+  test("splits Apple and Spotify work/movement titles", () => {
+    expect(splitClassicalTitle("Symphony No. 5 in C Minor, Op. 67: II. Andante con moto")).toEqual({
+      work: "Symphony No. 5 in C Minor, Op. 67",
+      movementNumber: 2,
+      movementName: "Andante con moto",
+    });
+    expect(splitClassicalTitle("Cello Suite No. 1 in G Major, BWV 1007 - 1. Prélude")).toEqual({
+      work: "Cello Suite No. 1 in G Major, BWV 1007",
+      movementNumber: 1,
+      movementName: "Prélude",
+    });
+  });
+
+  test("uses a known work name as the prefix", () => {
+    expect(splitClassicalTitle("Gymnopédie No. 1 - Lent et douloureux", "Gymnopédie No. 1")).toEqual({
+      work: "Gymnopédie No. 1",
+      movementNumber: null,
+      movementName: "Lent et douloureux",
+    });
+  });
+
+  test("keeps single-movement titles whole", () => {
+    expect(splitClassicalTitle("Clair de lune")).toEqual({
+      work: "Clair de lune",
+      movementNumber: null,
+      movementName: null,
+    });
+  });
+});
+
+describe("isClassical and describeClassical", () => {
+  test("needs work or movement columns or a classical genre, not just a composer", () => {
+    expect(isClassical({ genre: "Klassik" })).toBe(true);
+    expect(isClassical({ genre: "クラシック" })).toBe(true);
+    expect(isClassical({ work: "Requiem" })).toBe(true);
+    expect(isClassical({ composer: "Paul McCartney", genre: "Rock" })).toBe(false);
+    expect(describeClassical({ title: "Yesterday", genre: "Pop" })).toBeNull();
+  });
+
+  test("drops a parsed movement number past the movement count", () => {
+    expect(
+      describeClassical({
+        title: "Symphony No. 9: 10. Finale",
+        genre: "Classical",
+        composer: "Antonín Dvořák",
+        movementCount: 4,
+      }),
+    ).toEqual({
+      composer: "Antonín Dvořák",
+      work: "Symphony No. 9",
+      movementNumber: null,
+      movementCount: 4,
+      movementName: "Finale",
+    });
+  });
+});
+
+describe("scoreWork", () => {
+  test("scores a work with a different number low however similar the text", () => {
+    const song = { work: "Symphony No. 5 in C Minor, Op. 67" };
+    const same = scoreWork(song, { work: "Symphony No. 5 in C Minor, Op. 67" });
+    const other = scoreWork(song, { work: "Symphony No. 9 in D Minor, Op. 125" });
+
+    expect(same).toBe(1);
+    expect(other).toBeLessThan(0.4);
+    expect(scoreWork({ work: null }, { work: "Requiem" })).toBeNull();
+  });
+});
+
+describe("scoreMovement", () => {
+  test("misses on a different movement number and matches on the same one", () => {
+    const song = { movementNumber: 2, movementName: "Andante" };
+    expect(scoreMovement(song, { movementNumber: 3, movementName: "Andante" })).toBe(0);
+    expect(scoreMovement(song, { movementNumber: 2, movementName: null })).toBe(1);
+    expect(scoreMovement(song, { movementNumber: 2, movementName: "Andante" })).toBe(1);
+  });
+
+  test("compares names when either side has no number", () => {
+    expect(scoreMovement({ movementName: "Andante con moto" }, { movementName: "Andante con moto" })).toBe(1);
+    expect(scoreMovement({}, { movementNumber: 1 })).toBeNull();
+  });
+});
+
+describe("scoreComposer", () => {
+  test("finds the composer among the artists", () => {
+    const composer = { composer: "Ludwig van Beethoven" };
+    expect(scoreComposer(composer, candidate("Symphony No. 5", ["Ludwig van Beethoven"]))).toBe(1);
+  });
+
+  test("finds the surname in the title or album, with accents intact", () => {
+    const dvorak = { composer: "Antonín Dvořák" };
+    expect(
+      scoreComposer(dvorak, candidate("Symphony No. 9", ["Berliner Philharmoniker"], "Dvořák: Symphonies")),
+    ).toBe(0.8);
+    expect(
+      scoreComposer(dvorak, candidate("Symphony No. 9", ["Berliner Philharmoniker"], "Dvorak Symphonies")),
+    ).toBeLessThan(0.8);
+  });
+
+  test("works for composers written in Japanese", () => {
+    const song = { composer: "ドヴォルザーク" };
+    expect(scoreComposer(song, candidate("交響曲第9番", ["チェコ・フィル"], "ドヴォルザーク：交響曲集"))).toBe(0.8);
+    expect(scoreComposer(song, candidate("交響曲第9番", ["ドヴォルザーク"]))).toBe(1);
+  });
+
+  test("returns null without a composer", () => {
+    expect(scoreComposer({}, candidate("Symphony", ["Orchestra"]))).toBeNull();
+  });
+});
+
+describe("performerNames", () => {
+  test("leaves the composer out, also for non-ASCII names", () => {
+    const song = { composer: "Antonín Dvořák" };
+    expect(
+      performerNames(song, candidate("Symphony No. 9", ["Antonín Dvořák", "Czech Philharmonic"])),
+    ).toEqual(["czech philharmonic"]);
+    expect(
+      performerNames({ composer: "ドヴォルザーク" }, candidate("交響曲第9番", ["ドヴォルザーク", "小澤征爾"])),
+    ).toEqual(["小澤征爾"]);
+  });
+
+  test("keeps every artist when only the composer is listed", () => {
+    expect(performerNames({ composer: "Erik Satie" }, candidate("Gymnopédie No. 1", ["Erik Satie"]))).toEqual([
+      "erik satie",
+    ]);
+  });
+});
@@ -0,0 +1,63 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../../src/utils/config");
+const { applyConfigFlags } = require("../../src/cli/config");
+const { UsageError } = require("../../src/utils/errors");
+const { EXIT_CODES, exitCodeFor } = require("../../src/cli/exit-codes");
+
+afterEach(() => {
+  config.loadConfig();
+});
+
+describe("applyConfigFlags", () => {
+  test("applies numeric and enum flags on top of the defaults", () => {
+    applyConfigFlags({ minConfidence: "0.6", maxConcurrency: "4", podcasts: "search" }, "sync");
+
+    expect(config.get("search.minConfidence")).toBe(0.6);
+    expect(config.get("search.maxConcurrency")).toBe(4);
+    expect(config.get("search.podcasts")).toBe("search");
+  });
+
+  test.each([
+    [{ minConfidence: "" }, "--min-confidence expects a number"],
+    [{ minConfidence: "  " }, "--min-confidence expects a number"],
+    [{ maxConcurrency: "lots" }, "--max-concurrency expects a number"],
+    [{ reviewThreshold: true }, "--review-threshold expects a number"],
+    [{ podcasts: "download" }, "--podcasts expects one of: skip, search"],
+    [{ podcasts: true }, "--podcasts expects one of: skip, search"],
+    [{ config: true }, "--config expects a file path"],
+    [{ config: "" }, "--config expects a file path"],
+  ])("rejects %o", (flags, message) => {
+    let error;
+    try {
+      applyConfigFlags(flags, "sync");
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(UsageError);
+    expect(error.message).toBe(message);
+    expect(exitCodeFor(error)).toBe(EXIT_CODES.USAGE);
+  });
+});
+
+describe("loadConfig", () => {
+  test("ignores config file values outside a setting's choices", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-test-"));
+    const file = path.join(dir, "config.json");
+    fs.writeFileSync(
+      file,
+      JSON.stringify({ search: { podcasts: "download", maxCandidates: 3 } }),
+    );
+
+    try {
+      config.loadConfig({ file });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    expect(config.get("search.podcasts")).toBe("skip");
+    expect(config.get("search.maxCandidates")).toBe(3);
+  });
+});
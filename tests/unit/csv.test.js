@@ -0,0 +1,53 @@
+const CsvParser = require("../../src/parsers/csv");
+const { UsageError } = require("../../src/utils/errors");
+
+function parse(text, options) {
+  return new CsvParser(options).parseContent(text, "playlist.csv").songs;
+}
+
+describe("CsvParser", () => {
+  test("maps common column names from other tools", () => {
+    const [song] = parse(
+      "Track Name,Artist Name(s),Album Name,Release Date\nHey Jude,The Beatles,Hey Jude,1968-08-26\n",
+    );
+
+    expect(song).toMatchObject({
+      title: "Hey Jude",
+      artist: "The Beatles",
+      album: "Hey Jude",
+      year: 1968,
+    });
+  });
+
+  test("parses ISO 8601 Added At timestamps", () => {
+    const songs = parse(
+      "Track Name,Artist Name(s),Added At\nHey Jude,The Beatles,2020-05-01T12:34:56Z\nLet It Be,The Beatles,2021-01-02\n",
+    );
+
+    expect(songs.map((song) => song.dateAddedISO)).toEqual([
+      "2020-05-01T12:34:56.000Z",
+      new Date(Date.parse("2021-01-02")).toISOString(),
+    ]);
+  });
+
+  test("still reads Apple-style dates and leaves invalid ones empty", () => {
+    const songs = parse(
+      "Name;Artist;Date Added\nHey Jude;The Beatles;3/21/21, 7:43 PM\nLet It Be;The Beatles;2021-13-45\n",
+    );
+
+    expect(songs[0].dateAddedISO).toBe(new Date(2021, 2, 21, 19, 43).toISOString());
+    expect(songs[1].dateAddedISO).toBeNull();
+  });
+
+  test("uses an explicit column map", () => {
+    const [song] = parse("Track,Performer\nHey Jude,The Beatles\n", {
+      columnMap: CsvParser.parseColumnMap("title=Track,artist=Performer", "sync"),
+    });
+
+    expect(song).toMatchObject({ title: "Hey Jude", artist: "The Beatles" });
+  });
+
+  test("rejects unknown --map fields", () => {
+    expect(() => CsvParser.parseColumnMap("tempo=BPM", "sync")).toThrow(UsageError);
+  });
+});
@@ -0,0 +1,106 @@
+const path = require("path");
+const LibraryXmlParser = require("../../src/parsers/library-xml");
+const { FORMATS, detectFormat } = require("../../src/parsers");
+const { FileParsingError } = require("../../src/utils/errors");
+
+const LIBRARY = path.join(__dirname, "../fixtures/Library.xml");
+
+describe("parsePlist", () => {
+  const parse = (body) =>
+    new LibraryXmlParser().parsePlist(`<plist version="1.0">${body}</plist>`, "test.xml");
+
+  test("reads nested dicts and arrays with every value type", () => {
+    expect(
+      parse(`
+        <dict>
+          <key>list</key>
+          <array><integer>1</integer><real>2.5</real><true/><false/><string/></array>
+          <key>inner</key>
+          <dict><key>when</key><date> 2021-03-21T19:43:00Z </date><key>none</key><dict/></dict>
+          <!-- <key>ignored</key> -->
+          <key>blob</key><data>
+            AQID
+            BA==
+          </data>
+        </dict>`),
+    ).toEqual({
+      list: [1, 2.5, true, false, ""],
+      inner: { when: "2021-03-21T19:43:00Z", none: {} },
+      blob: "AQIDBA==",
+    });
+  });
+
+  test("decodes named and numeric entities", () => {
+    expect(parse("<string>Simon &amp; Garfunkel &lt;3 &#39;&#x263A;&apos;</string>")).toBe(
+      "Simon & Garfunkel <3 '☺'",
+    );
+  });
+
+  test("rejects unbalanced and incomplete documents", () => {
+    expect(() => parse("<dict><key>a</key><array></dict>")).toThrow(FileParsingError);
+    expect(() => parse("<array><string>a</string>")).toThrow("Incomplete plist document");
+    expect(() => parse("<dict><string>a</string></dict>")).toThrow(
+      "Plist dict value without a key",
+    );
+  });
+});
+
+describe("loadLibrary", () => {
+  test("lists user playlists with their folder path, skipping the library itself", async () => {
+    const library = await new LibraryXmlParser().loadLibrary(LIBRARY);
+
+    expect(library.tracks.size).toBe(3);
+    expect(
+      library.playlists.map(({ path: playlistPath, folder, smart, trackIds }) => ({
+        path: playlistPath,
+        folder,
+        smart,
+        trackIds,
+      })),
+    ).toEqual([
+      { path: "Oldies", folder: true, smart: false, trackIds: [102, 101, 999, 103] },
+      { path: "Oldies / Fifties <Mono>", folder: false, smart: false, trackIds: [102, 101, 999] },
+      { path: "Oldies / Sixties", folder: false, smart: true, trackIds: [103, 101] },
+      { path: "Empty", folder: false, smart: false, trackIds: [] },
+    ]);
+  });
+
+  test("rejects files that are not a property list", async () => {
+    await expect(
+      new LibraryXmlParser().loadLibrary(path.join(__dirname, "../fixtures/playlist.txt")),
+    ).rejects.toThrow("Not a Library.xml property list");
+  });
+});
+
+describe("parsePlaylist", () => {
+  test("maps library tracks to songs and skips items missing from the track list", async () => {
+    const parser = new LibraryXmlParser();
+    const library = await parser.loadLibrary(LIBRARY);
+    const fifties = library.playlists.find((playlist) => playlist.name === "Fifties <Mono>");
+    const { songs, metadata } = parser.parsePlaylist(library, fifties);
+
+    expect(songs.map((song) => song.title)).toEqual(["Everyday", "That's Amore"]);
+    expect(songs[0].location).toBe("file:///Music/Buddy Holly/Everyday.m4a");
+    expect(songs[1]).toMatchObject({
+      album: "Dean Martin & Friends",
+      duration: 187,
+      year: 1953,
+      playCount: 12,
+      dateAddedISO: "2021-03-21T19:43:00.000Z",
+      persistentId: "AAAA000000000101",
+    });
+    expect(metadata).toMatchObject({
+      playlistName: "Fifties <Mono>",
+      playlistPath: "Oldies / Fifties <Mono>",
+      totalSongs: 2,
+    });
+  });
+});
+
+describe("format detection", () => {
+  test("sniffs a plist whatever the file is called", async () => {
+    expect(LibraryXmlParser.looksLikeLibraryXml('<?xml version="1.0"?>\n<plist>')).toBe(true);
+    expect(LibraryXmlParser.looksLikeLibraryXml("Name\tArtist\tAlbum")).toBe(false);
+    await expect(detectFormat(LIBRARY)).resolves.toBe(FORMATS.LIBRARY_XML);
+  });
+});
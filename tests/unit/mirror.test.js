@@ -0,0 +1,88 @@
+const { planRemovals, reorderToMatch } = require("../../src/spotify/mirror");
+const { removeTracksFromPlaylist } = require("../../src/spotify/trackManager");
+const playlistUtils = require("../../src/spotify/playlist");
+
+describe("planRemovals", () => {
+  const playlist = [
+    { position: 0, uri: "spotify:track:a" },
+    { position: 1, uri: "spotify:track:a" },
+    { position: 2, uri: "spotify:track:manual" },
+  ];
+  const counterparts = [{ sourceIndex: 0 }, null, null];
+
+  test("removes a duplicate copy that has no counterpart", () => {
+    const { toRemove } = planRemovals(playlist, counterparts);
+    expect(toRemove).toEqual([playlist[1], playlist[2]]);
+  });
+
+  test("keeps tracks never synced with keepManual", () => {
+    const { toRemove, keptManual } = planRemovals(playlist, counterparts, {
+      keepManual: true,
+      syncedUris: new Set(["spotify:track:a"]),
+    });
+    expect(toRemove).toEqual([playlist[1]]);
+    expect(keptManual).toEqual([playlist[2]]);
+  });
+});
+
+describe("removeTracksFromPlaylist", () => {
+  test("removes by position, last positions first", async () => {
+    const spotifyApi = {
+      removeTracksFromPlaylist: jest.fn(async () => ({ body: { snapshot_id: "s2" } })),
+    };
+    const result = await removeTracksFromPlaylist(
+      spotifyApi,
+      "playlist",
+      [
+        { position: 1, uri: "spotify:track:a" },
+        { position: 4, uri: "spotify:track:b" },
+        { position: 3, uri: "spotify:track:a" },
+      ],
+      "s1",
+    );
+    expect(spotifyApi.removeTracksFromPlaylist).toHaveBeenCalledWith(
+      "playlist",
+      [
+        { uri: "spotify:track:b", positions: [4] },
+        { uri: "spotify:track:a", positions: [3, 1] },
+      ],
+      { snapshot_id: "s1" },
+    );
+    expect(result).toEqual({ removedCount: 3, snapshotId: "s2" });
+  });
+});
+
+describe("reorderToMatch", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("sends moves as playlist positions when unavailable tracks leave gaps", async () => {
+    const track = (name) => ({ name, artists: ["The Band"], album: "Greatest Hits" });
+    const apple = ["Alpha", "Beta"].map((name, sourceIndex) => ({
+      sourceIndex,
+      title: name,
+      artist: "The Band",
+      matched: true,
+      spotifyUri: `spotify:track:${name}`,
+      spotifyTrackInfo: track(name),
+    }));
+    // Positions 0 and 2 hold unavailable tracks, which getPlaylistTracks leaves out
+    jest.spyOn(playlistUtils, "getPlaylistTracks").mockResolvedValue([
+      { position: 1, uri: "spotify:track:Beta", ...track("Beta") },
+      { position: 3, uri: "spotify:track:Alpha", ...track("Alpha") },
+    ]);
+    const playlist = ["unavailable 0", "Beta", "unavailable 2", "Alpha"];
+    const spotifyApi = {
+      getPlaylist: async () => ({ body: { snapshot_id: "s1" } }),
+      reorderTracksInPlaylist: jest.fn(async (id, rangeStart, insertBefore, options) => {
+        const range = playlist.splice(rangeStart, options.range_length);
+        playlist.splice(insertBefore, 0, ...range);
+        return { body: { snapshot_id: "s2" } };
+      }),
+    };
+
+    await reorderToMatch(spotifyApi, "playlist", apple);
+    expect(playlist).toEqual(["Alpha", "Beta", "unavailable 0", "unavailable 2"]);
+  });
+});
@@ -0,0 +1,117 @@
+const {
+  findCounterparts,
+  planOrder,
+  planMoves,
+  planInsertions,
+} = require("../../src/spotify/ordering");
+
+function result(sourceIndex, uri, name) {
+  return {
+    sourceIndex,
+    title: name,
+    artist: "The Band",
+    album: "Greatest Hits",
+    matched: true,
+    spotifyUri: uri,
+    spotifyTrackInfo: { name, artists: ["The Band"], album: "Greatest Hits" },
+  };
+}
+
+function item(uri, name, position) {
+  return { position, uri, name, artists: ["The Band"], album: "Greatest Hits" };
+}
+
+// Apply moves the way Spotify's reorder endpoint does
+function applyMoves(list, moves) {
+  const current = [...list];
+  moves.forEach(({ rangeStart, rangeLength, insertBefore }) => {
+    const range = current.splice(rangeStart, rangeLength);
+    current.splice(insertBefore, 0, ...range);
+  });
+  return current;
+}
+
+describe("planMoves", () => {
+  test("moves neighbours that stay together as one range", () => {
+    const moves = planMoves([3, 4, 5, 0, 1, 2]);
+    expect(moves).toEqual([{ rangeStart: 3, rangeLength: 3, insertBefore: 0 }]);
+    expect(applyMoves([0, 1, 2, 3, 4, 5], moves)).toEqual([3, 4, 5, 0, 1, 2]);
+  });
+
+  test("produces the desired order for scattered items", () => {
+    const desired = [4, 2, 0, 5, 1, 3];
+    const moves = planMoves(desired);
+    expect(applyMoves([0, 1, 2, 3, 4, 5], moves)).toEqual(desired);
+  });
+
+  test("plans nothing for an order that already matches", () => {
+    expect(planMoves([0, 1, 2])).toEqual([]);
+  });
+});
+
+describe("findCounterparts", () => {
+  test("gives each export row to one playlist item, so extra copies have none", () => {
+    const apple = [result(0, "spotify:track:a", "Alpha"), result(1, "spotify:track:b", "Beta")];
+    const playlist = [
+      item("spotify:track:a", "Alpha"),
+      item("spotify:track:b", "Beta"),
+      item("spotify:track:a", "Alpha"),
+    ];
+    expect(findCounterparts(playlist, apple)).toEqual([apple[0], apple[1], null]);
+  });
+
+  test("keeps one copy per export row when the export lists a track twice", () => {
+    const apple = [result(0, "spotify:track:a", "Alpha"), result(1, "spotify:track:a", "Alpha")];
+    const playlist = [item("spotify:track:a", "Alpha"), item("spotify:track:a", "Alpha")];
+    expect(findCounterparts(playlist, apple)).toEqual([apple[0], apple[1]]);
+  });
+
+  test("falls back to the smart comparison for another version of a track", () => {
+    const apple = [result(0, "spotify:track:a", "Alpha")];
+    const playlist = [item("spotify:track:a-remaster", "Alpha")];
+    expect(findCounterparts(playlist, apple)).toEqual([apple[0]]);
+  });
+});
+
+describe("planOrder", () => {
+  test("follows the export and puts items without a counterpart last", () => {
+    const apple = [result(0, "a", "A"), result(1, "b", "B")];
+    expect(planOrder([null, apple[1], apple[0]])).toEqual([2, 1, 0]);
+  });
+});
+
+describe("planInsertions", () => {
+  test("inserts new tracks after their nearest export neighbour", () => {
+    const apple = [
+      result(0, "spotify:track:a", "Alpha"),
+      result(1, "spotify:track:b", "Beta"),
+      result(2, "spotify:track:c", "Gamma"),
+    ];
+    const playlist = [item("spotify:track:a", "Alpha", 0), item("spotify:track:c", "Gamma", 1)];
+    const counterparts = findCounterparts(playlist, apple);
+    expect(planInsertions([apple[1]], playlist, counterparts)).toEqual([
+      { position: 1, uris: ["spotify:track:b"] },
+    ]);
+  });
+
+  test("counts the slots of unavailable tracks getPlaylistTracks leaves out", () => {
+    const apple = [
+      result(0, "spotify:track:a", "Alpha"),
+      result(1, "spotify:track:b", "Beta"),
+      result(2, "spotify:track:c", "Gamma"),
+    ];
+    // Positions 0 and 2 hold unavailable tracks
+    const playlist = [item("spotify:track:a", "Alpha", 1), item("spotify:track:c", "Gamma", 3)];
+    const counterparts = findCounterparts(playlist, apple);
+    expect(planInsertions([apple[1]], playlist, counterparts)).toEqual([
+      { position: 2, uris: ["spotify:track:b"] },
+    ]);
+  });
+
+  test("appends in export order when nothing is anchored", () => {
+    const apple = [result(0, "spotify:track:a", "Alpha"), result(1, "spotify:track:b", "Beta")];
+    expect(planInsertions([apple[1], apple[0]], [], [])).toEqual([
+      { position: null, uris: ["spotify:track:a", "spotify:track:b"] },
+    ]);
+  });
+});
@@ -0,0 +1,114 @@
+const SearchQueue = require("../../src/spotify/search-queue");
+
+// Worker whose searches finish only when the test resolves them
+function controlledWorker() {
+  const running = new Map();
+  const worker = jest.fn(
+    (item) => new Promise((resolve) => running.set(item, () => resolve(item))),
+  );
+  const finish = async (item) => {
+    running.get(item)();
+    running.delete(item);
+    // Let the queue record the result and start the next item
+    await new Promise((resolve) => setImmediate(resolve));
+  };
+  return { worker, running, finish };
+}
+
+describe("SearchQueue", () => {
+  test("runs at most maxConcurrency items at once and reports every result", async () => {
+    const { worker, running, finish } = controlledWorker();
+    const results = [];
+    const queue = new SearchQueue(worker, {
+      maxConcurrency: 2,
+      onResult: (result) => results.push(result),
+    });
+
+    queue.push([1, 2, 3]);
+    expect([...running.keys()]).toEqual([1, 2]);
+    await finish(1);
+    expect([...running.keys()]).toEqual([2, 3]);
+    await finish(2);
+    await finish(3);
+
+    await expect(queue.drain()).resolves.toBeUndefined();
+    expect(results).toEqual([1, 2, 3]);
+    expect(queue.completed).toBe(3);
+  });
+
+  test("halves the concurrency on slowDown and speeds up after healthy searches", async () => {
+    const queue = new SearchQueue(async (item) => item, {
+      maxConcurrency: 4,
+      minConcurrency: 1,
+    });
+
+    queue.slowDown();
+    expect(queue.concurrency).toBe(2);
+    queue.slowDown();
+    queue.slowDown();
+    expect(queue.concurrency).toBe(1);
+
+    // 2 × concurrency healthy searches add one worker back
+    queue.push([1, 2]);
+    await queue.drain();
+    expect(queue.concurrency).toBe(2);
+  });
+
+  test("does not count searches that started before a slowdown as healthy", async () => {
+    const { worker, finish } = controlledWorker();
+    const queue = new SearchQueue(worker, { maxConcurrency: 2 });
+
+    queue.push([1, 2]);
+    queue.slowDown();
+    await finish(1);
+    await finish(2);
+    expect(queue.concurrency).toBe(1);
+    expect(queue.healthyStreak).toBe(0);
+  });
+
+  test("cancel skips pending items and lets the ones in flight finish", async () => {
+    const { worker, running, finish } = controlledWorker();
+    const results = [];
+    const queue = new SearchQueue(worker, {
+      maxConcurrency: 1,
+      onResult: (result) => results.push(result),
+    });
+
+    queue.push([1, 2, 3]);
+    expect(queue.cancel()).toBe(2);
+    queue.push([4]);
+    const drained = queue.drain();
+    await finish(1);
+
+    await expect(drained).resolves.toBeUndefined();
+    expect(results).toEqual([1]);
+    expect(running.size).toBe(0);
+  });
+
+  test("drain resolves at once when nothing was queued", async () => {
+    await expect(new SearchQueue(async () => {}).drain()).resolves.toBeUndefined();
+  });
+});
+
+describe("SearchQueue worker errors", () => {
+  test("an error thrown by the worker cancels the queue and rejects drain", async () => {
+    const failure = new Error("stop everything");
+    const started = [];
+    const queue = new SearchQueue(
+      async (item) => {
+        started.push(item);
+        if (item === 2) throw failure;
+        return item;
+      },
+      { maxConcurrency: 1 },
+    );
+
+    queue.push([1, 2, 3, 4]);
+
+    await expect(queue.drain()).rejects.toBe(failure);
+    expect(started).toEqual([1, 2]);
+    expect(queue.completed).toBe(1);
+    expect(queue.cancelled).toBe(true);
+    await expect(queue.drain()).rejects.toBe(failure);
+  });
+});
@@ -0,0 +1,89 @@
+const {
+  parseWhere,
+  filterSongs,
+  filterSongStream,
+} = require("../../src/data/song-filter");
+const { UsageError } = require("../../src/utils/errors");
+
+const songs = [
+  { title: "Everyday", genre: "Rock & Roll", year: 1957, playCount: 12, rating: 80, dateAddedISO: "2019-05-01T10:00:00.000Z" },
+  { title: "Mr. Sandman", genre: "Pop", year: 1954, playCount: null, rating: null, dateAddedISO: "2021-03-21T19:43:00.000Z" },
+  { title: "Please Mr. Postman", genre: "R&B", year: null, playCount: 3, rating: 100, dateAddedISO: null },
+];
+
+const titles = (clauses) => filterSongs(songs, clauses).songs.map((song) => song.title);
+
+describe("parseWhere", () => {
+  test("returns null when no filter was given", () => {
+    expect(parseWhere(undefined)).toBeNull();
+  });
+
+  test("splits on and, but not inside quoted values", () => {
+    const clauses = parseWhere('genre="Rock and Roll" AND year<2000');
+    expect(clauses.map(({ field, op, value }) => [field, op, value])).toEqual([
+      ["genre", "=", "Rock and Roll"],
+      ["year", "<", "2000"],
+    ]);
+  });
+
+  test("accepts field aliases in any case", () => {
+    expect(parseWhere("PLAYS>=1")[0].field).toBe("playCount");
+  });
+
+  test.each([
+    ["", "--where needs an expression, e.g. year<2000"],
+    ["year", 'Invalid --where clause "year" (expected field<op>value, e.g. year<2000)'],
+    ["tempo>100", /^Unknown --where field "tempo"/],
+    ["genre>Rock", '--where field "genre" is text and only supports =, != and ~ (contains)'],
+    ["year~19", "--where operator ~ only applies to text fields"],
+    ["year<soon", '--where field "year" needs a number, got "soon"'],
+    ["dateAdded>=03/2020", /needs a date as YYYY, YYYY-MM or YYYY-MM-DD/],
+  ])("rejects %p", (value, message) => {
+    expect(() => parseWhere(value, "sync")).toThrow(UsageError);
+    expect(() => parseWhere(value, "sync")).toThrow(message);
+  });
+});
+
+describe("filterSongs", () => {
+  test("matches text case-insensitively, with ~ for contains", () => {
+    expect(titles(parseWhere("genre=pop"))).toEqual(["Mr. Sandman"]);
+    expect(titles(parseWhere("genre~r&"))).toEqual(["Please Mr. Postman"]);
+  });
+
+  test("reads blank counts and ratings as 0, and blank years as no match", () => {
+    expect(titles(parseWhere("plays<5"))).toEqual(["Mr. Sandman", "Please Mr. Postman"]);
+    expect(titles(parseWhere("year<2000"))).toEqual(["Everyday", "Mr. Sandman"]);
+    expect(titles(parseWhere("year!=1957"))).toEqual(["Mr. Sandman", "Please Mr. Postman"]);
+  });
+
+  test("compares dates on the precision given", () => {
+    expect(titles(parseWhere("dateAdded>=2021"))).toEqual(["Mr. Sandman"]);
+    expect(titles(parseWhere("dateAdded<2019-06"))).toEqual(["Everyday"]);
+  });
+
+  test("requires every repeated expression and charges each song to its first failed clause", () => {
+    const { songs: kept, stats } = filterSongs(songs, parseWhere(["year<2000", "rating>=80"]));
+    expect(kept.map((song) => song.title)).toEqual(["Everyday"]);
+    expect(stats).toEqual({
+      total: 3,
+      kept: 1,
+      removed: [
+        { clause: "year<2000", count: 1 },
+        { clause: "rating>=80", count: 1 },
+      ],
+    });
+  });
+
+  test("streams the same songs and stats", async () => {
+    async function* source() {
+      yield* songs;
+    }
+    const clauses = parseWhere("year<2000 and rating>=80");
+    const { songs: stream, stats } = filterSongStream(source(), clauses);
+    const kept = [];
+    for await (const song of stream) kept.push(song.title);
+
+    expect(kept).toEqual(["Everyday"]);
+    expect(stats).toEqual(filterSongs(songs, clauses).stats);
+  });
+});
@@ -0,0 +1,86 @@
+const config = require("../../src/utils/config");
+const {
+  MEDIA_KINDS,
+  classifySong,
+  isExcludedKind,
+  toAudioTitle,
+  countKinds,
+  describeKindCounts,
+} = require("../../src/data/song-kind");
+
+afterEach(() => {
+  config.loadConfig();
+});
+
+describe("classifySong", () => {
+  test.each([
+    ["Apple Music AAC audio file", "Pop", MEDIA_KINDS.SONG],
+    ["Purchased AAC audio file", "Rock", MEDIA_KINDS.SONG],
+    ["Matched AAC audio file", "Rock", MEDIA_KINDS.SONG],
+    ["Protected AAC audio file", "Rock", MEDIA_KINDS.SONG],
+    ["MPEG audio file", "Rock", MEDIA_KINDS.LOCAL],
+    ["Apple Lossless audio file", "Jazz", MEDIA_KINDS.LOCAL],
+    ["AAC audio file", "Jazz", MEDIA_KINDS.LOCAL],
+    ["Apple Music music video", "Pop", MEDIA_KINDS.MUSIC_VIDEO],
+    ["Purchased MPEG-4 video file", "Pop", MEDIA_KINDS.MUSIC_VIDEO],
+    ["Podcast", "Comedy", MEDIA_KINDS.PODCAST],
+    ["MPEG audio file", "Podcasts", MEDIA_KINDS.PODCAST],
+    ["Voice Memo", "", MEDIA_KINDS.VOICE_MEMO],
+    ["AAC audio file", "Voice Memos", MEDIA_KINDS.VOICE_MEMO],
+    ["", "", MEDIA_KINDS.SONG],
+  ])("%p with genre %p is a %s", (kind, genre, expected) => {
+    expect(classifySong({ kind, genre })).toBe(expected);
+  });
+
+  test("treats rows without a Kind column as songs", () => {
+    expect(classifySong({ title: "Everyday" })).toBe(MEDIA_KINDS.SONG);
+  });
+});
+
+describe("isExcludedKind", () => {
+  test("always leaves voice memos out and never songs or videos", () => {
+    expect(isExcludedKind(MEDIA_KINDS.VOICE_MEMO)).toBe(true);
+    expect(isExcludedKind(MEDIA_KINDS.SONG)).toBe(false);
+    expect(isExcludedKind(MEDIA_KINDS.MUSIC_VIDEO)).toBe(false);
+    expect(isExcludedKind(MEDIA_KINDS.LOCAL)).toBe(false);
+  });
+
+  test("leaves podcasts out unless search.podcasts is search", () => {
+    expect(isExcludedKind(MEDIA_KINDS.PODCAST)).toBe(true);
+    config.loadConfig({ overrides: { "search.podcasts": "search" } });
+    expect(isExcludedKind(MEDIA_KINDS.PODCAST)).toBe(false);
+  });
+});
+
+describe("toAudioTitle", () => {
+  test.each([
+    ["Thriller (Official Video)", "Thriller"],
+    ["Thriller [Lyric Video]", "Thriller"],
+    ["Thriller (Official Music Video HD)", "Thriller"],
+    ["Thriller (Video)", "Thriller"],
+    ["Thriller - Official Music Video", "Thriller"],
+    ["thriller official video", "thriller"],
+    ["Thriller music video", "Thriller"],
+    ["Video Games", "Video Games"],
+    ["Song (Video Games", "Song (Video Games"],
+    ["Song (Video Games Remix)", "Song (Video Games Remix)"],
+    ["Video Killed the Radio Star", "Video Killed the Radio Star"],
+    ["(Official Video)", "(Official Video)"],
+  ])("%p -> %p", (title, expected) => {
+    expect(toAudioTitle(title)).toBe(expected);
+  });
+});
+
+describe("describeKindCounts", () => {
+  test("counts each kind with singular and plural labels", () => {
+    const counts = countKinds([
+      { mediaKind: MEDIA_KINDS.SONG },
+      {},
+      { mediaKind: MEDIA_KINDS.MUSIC_VIDEO },
+      { mediaKind: MEDIA_KINDS.PODCAST },
+      { mediaKind: MEDIA_KINDS.PODCAST },
+    ]);
+    expect(counts).toEqual({ song: 2, "music-video": 1, podcast: 2 });
+    expect(describeKindCounts(counts)).toBe("2 songs, 1 music video, 2 podcast episodes");
+  });
+});
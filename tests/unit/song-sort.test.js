@@ -0,0 +1,102 @@
+const {
+  parseSortOption,
+  parseTopOption,
+  sortSongs,
+  rankSongs,
+} = require("../../src/data/song-sort");
+const { prepareSongs } = require("../../src/data/song-pipeline");
+const { UsageError } = require("../../src/utils/errors");
+
+function song(title, fields = {}) {
+  return {
+    title,
+    artist: "The Band",
+    album: "Greatest Hits",
+    duration: 200,
+    kind: "Apple Music AAC audio file",
+    ...fields,
+  };
+}
+
+describe("parseSortOption", () => {
+  test("reads a field with its default or an explicit direction", () => {
+    expect(parseSortOption("plays")).toEqual({ field: "plays", direction: "desc" });
+    expect(parseSortOption("DateAdded:asc")).toEqual({ field: "dateAdded", direction: "asc" });
+    expect(parseSortOption(undefined)).toBeNull();
+  });
+
+  test("rejects unknown fields and directions", () => {
+    expect(() => parseSortOption("tempo", "sync")).toThrow(UsageError);
+    expect(() => parseSortOption("plays:up", "sync")).toThrow(UsageError);
+  });
+});
+
+describe("parseTopOption", () => {
+  test("accepts positive whole numbers only", () => {
+    expect(parseTopOption("10")).toBe(10);
+    expect(() => parseTopOption("0", "sync")).toThrow(UsageError);
+    expect(() => parseTopOption("2.5", "sync")).toThrow(UsageError);
+  });
+});
+
+describe("sortSongs", () => {
+  test("treats blank play counts as 0 and keeps ties in export order", () => {
+    const songs = [
+      song("A", { playCount: 3 }),
+      song("B"),
+      song("C", { playCount: 7 }),
+      song("D", { playCount: 3 }),
+    ];
+
+    expect(sortSongs(songs, parseSortOption("plays")).map((s) => s.title)).toEqual([
+      "C",
+      "A",
+      "D",
+      "B",
+    ]);
+  });
+
+  test("puts songs without a date last in either direction", () => {
+    const songs = [
+      song("Old", { dateAddedISO: "2019-01-01T00:00:00.000Z" }),
+      song("Undated"),
+      song("New", { dateAddedISO: "2023-01-01T00:00:00.000Z" }),
+    ];
+
+    expect(sortSongs(songs, parseSortOption("dateAdded")).map((s) => s.title)).toEqual([
+      "New",
+      "Old",
+      "Undated",
+    ]);
+    expect(sortSongs(songs, parseSortOption("dateAdded:asc")).map((s) => s.title)).toEqual([
+      "Old",
+      "New",
+      "Undated",
+    ]);
+  });
+});
+
+describe("--top", () => {
+  test("counts only songs that pass the kind and validation checks", () => {
+    const songs = [
+      song("Memo", { playCount: 50, kind: "Voice Memo" }),
+      song("", { playCount: 40, artist: "" }),
+      song("Hit", { playCount: 30 }),
+      song("Deep Cut", { playCount: 20 }),
+      song("Filler", { playCount: 10 }),
+    ];
+
+    const prepared = prepareSongs(rankSongs(songs, { top: 2 }), { top: 2 });
+
+    expect(prepared.tracks.map((track) => track.title)).toEqual(["Hit", "Deep Cut"]);
+    expect(prepared.excluded.map((track) => track.title)).toEqual(["Memo"]);
+    expect(prepared.rejected).toHaveLength(1);
+    expect(prepared.report.summary.total).toBe(3);
+  });
+
+  test("keeps everything when fewer songs than --top are valid", () => {
+    const prepared = prepareSongs([song("Only")], { top: 5 });
+
+    expect(prepared.tracks.map((track) => track.title)).toEqual(["Only"]);
+  });
+});
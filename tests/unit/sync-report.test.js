@@ -0,0 +1,81 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  REPORTS_DIR,
+  parseReportFormats,
+  createRunId,
+  buildSyncReport,
+  toHtml,
+  listSyncReports,
+  loadSyncReport,
+} = require("../../src/utils/sync-report");
+const { UsageError } = require("../../src/utils/errors");
+
+describe("parseReportFormats", () => {
+  test("splits a comma-separated list", () => {
+    expect(parseReportFormats("json, HTML")).toEqual(["json", "html"]);
+  });
+
+  test("falls back to the reports.formats setting", () => {
+    expect(parseReportFormats()).toEqual(["json", "csv", "html"]);
+    expect(parseReportFormats(true)).toEqual(["json", "csv", "html"]);
+  });
+
+  test("rejects unknown formats with a usage error", () => {
+    expect(() => parseReportFormats("json,pdf", "sync")).toThrow(UsageError);
+    expect(() => parseReportFormats("pdf,xml", "sync")).toThrow(
+      'Unknown report formats "pdf", "xml" (use json, csv, html)',
+    );
+  });
+});
+
+describe("toHtml", () => {
+  function reportFor(results) {
+    return buildSyncReport({
+      runId: "run",
+      sourceFile: "playlist.txt",
+      playlist: { id: "p1", name: "Mixed" },
+      results,
+      duplicates: [],
+      attemptedUris: results.map((track) => track.spotifyUri),
+      addedUris: results.map((track) => track.spotifyUri),
+    });
+  }
+
+  test("links tracks and episodes to their own open.spotify.com pages", () => {
+    const html = toHtml(
+      reportFor([
+        { sourceIndex: 0, title: "Song", matched: true, spotifyUri: "spotify:track:t1" },
+        { sourceIndex: 1, title: "Show", matched: true, spotifyUri: "spotify:episode:e1" },
+      ]),
+    );
+
+    expect(html).toContain('href="https://open.spotify.com/track/t1"');
+    expect(html).toContain('href="https://open.spotify.com/episode/e1"');
+  });
+});
+
+describe("loadSyncReport", () => {
+  const runId = createRunId(new Date("2024-05-01T18:30:00Z"));
+
+  beforeAll(() => {
+    fs.mkdirSync(path.join(REPORTS_DIR, runId), { recursive: true });
+    fs.writeFileSync(path.join(REPORTS_DIR, runId, "report.json"), JSON.stringify({ runId }));
+    fs.mkdirSync(path.join(REPORTS_DIR, "not-a-run"), { recursive: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(REPORTS_DIR, { recursive: true, force: true });
+  });
+
+  test("reads a report by run ID or as the latest", async () => {
+    await expect(loadSyncReport(runId)).resolves.toEqual({ runId });
+    await expect(loadSyncReport("latest")).resolves.toEqual({ runId });
+    await expect(listSyncReports()).resolves.toEqual([runId]);
+  });
+
+  test("rejects run IDs that are not generated ones instead of joining them into a path", async () => {
+    await expect(loadSyncReport("../../x")).rejects.toThrow(UsageError);
+    await expect(loadSyncReport("not-a-run")).rejects.toThrow('Invalid run ID "not-a-run"');
+  });
+});